@@ -0,0 +1,26 @@
+import path from "path";
+import {
+  FUNDING_PROGRAMS_SEED_PATH,
+  importFundingPrograms,
+  readFundingProgramsSeed
+} from "../src/fundingPrograms.js";
+
+// Imports a funding programme seed file into the catalogue. Programmes are
+// matched by slug, so re-running the import updates them in place:
+//
+//   npm run import:funding-programs                  # bundled seed file
+//   npm run import:funding-programs -- programs.json
+
+const filePath = process.argv[2]
+  ? path.resolve(process.argv[2])
+  : FUNDING_PROGRAMS_SEED_PATH;
+
+try {
+  const { created, updated } = importFundingPrograms(readFundingProgramsSeed(filePath));
+  // eslint-disable-next-line no-console
+  console.log(`Imported ${filePath}: ${created} created, ${updated} updated`);
+} catch (error) {
+  // eslint-disable-next-line no-console
+  console.error(`Import of ${filePath} failed: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,31 @@
+import express from "express";
+import {
+  searchRegistryFixtures,
+  TRADE_REGISTER_FIXTURES_DIRECTORY
+} from "../src/tradeRegister.js";
+
+// Serves the trade register fixtures in the shape of the YTJ v3 API so the
+// HTTP path of TRADE_REGISTER_MODE=prh can be exercised offline:
+//
+//   npm run mock:trade-register
+//   TRADE_REGISTER_MODE=prh TRADE_REGISTER_BASE_URL=http://localhost:4010 npm start
+
+const port = Number(process.env.MOCK_TRADE_REGISTER_PORT) || 4010;
+const app = express();
+
+app.get("/companies", (req, res) => {
+  const { businessId, name } = req.query;
+
+  if (!businessId && !name) {
+    return res.status(400).json({ message: "businessId or name is required" });
+  }
+
+  res.json(searchRegistryFixtures({ businessId, name }));
+});
+
+app.listen(port, () => {
+  // eslint-disable-next-line no-console
+  console.log(
+    `Mock trade register on http://localhost:${port}, serving ${TRADE_REGISTER_FIXTURES_DIRECTORY}`
+  );
+});
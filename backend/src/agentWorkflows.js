@@ -0,0 +1,525 @@
+import {
+  recordBasicCase,
+  recordDetailedCase,
+  getCaseForRetry,
+  recordEnrichmentRetry,
+  getCompanyProfileById,
+  recordInvestorReport,
+  replaceReportRecommendations,
+  listReportInvestorFits,
+  listUnscoredInvestorReports
+} from "./db.js";
+import {
+  inferCompanyBaseMetrics,
+  rejectedEnrichmentResult
+} from "./companyEnrichment.js";
+import { recommendInvestorsForCompany } from "./investorAdvisor.js";
+import { llmProvider } from "./llmProvider.js";
+import { createLlmError } from "./llmCall.js";
+import { linkUsageToCase, linkUsageToReport } from "./usageLedger.js";
+import { createProgressReporter } from "./progress.js";
+import {
+  CONFIDENCE_LEVELS,
+  filterConfidentMetrics,
+  registryFieldConfidence
+} from "./fieldConfidence.js";
+import {
+  ENRICHMENT_VERIFICATION_ENABLED,
+  verifyCompanyMetrics,
+  withholdDisputedMetrics
+} from "./companyVerification.js";
+import {
+  describeGuardFindings,
+  guardLookupInput,
+  INPUT_GUARD_DECISIONS,
+  INPUT_REJECTED_ERROR_CLASS
+} from "./inputGuard.js";
+import { checkMetricsBusinessId, parseBusinessId } from "./businessId.js";
+import { checkMetricsIndustryCode } from "./industryClassification.js";
+import { applyRegistryRecord, lookupRegistryCompany } from "./tradeRegister.js";
+import { classifyCompanySize } from "./companySize.js";
+import { linkFundingProgramsToCase } from "./fundingPrograms.js";
+import { recordReportInvestors } from "./investorDirectory.js";
+import { scoreInvestorFit } from "./investorFit.js";
+
+// Agent work behind the lookup and investor match routes, kept free of
+// Express so the same steps can run inline or stream progress.
+
+function statusError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Sanitizes the advisor input and runs the lookup agent unless the input
+// guard rejected it (see inputGuard.js). Agent values that fail validation,
+// such as an invalid Business ID or TOL 2008 code, are nulled and returned as
+// `dataFlags`.
+async function runGuardedLookup(input, { force, onProgress }) {
+  const report = createProgressReporter(onProgress);
+  const { companyName, extraInfo, inputGuard } = guardLookupInput(input);
+  const findings = describeGuardFindings(inputGuard);
+
+  if (inputGuard.decision === INPUT_GUARD_DECISIONS.REJECTED) {
+    report("input_rejected", `Input rejected: ${findings}`);
+    return {
+      companyName,
+      extraInfo,
+      inputGuard,
+      dataFlags: [],
+      lookup: rejectedEnrichmentResult(companyName, {
+        errorClass: INPUT_REJECTED_ERROR_CLASS,
+        errorMessage: `The input looks like instructions to the agent (${findings})`
+      })
+    };
+  }
+
+  if (inputGuard.decision === INPUT_GUARD_DECISIONS.FLAGGED) {
+    report("input_flagged", `Input flagged for review: ${findings}`);
+  }
+
+  const lookup = await inferCompanyBaseMetrics(companyName, {
+    extraInfo,
+    force,
+    onProgress
+  });
+  const businessIdCheck = checkMetricsBusinessId(lookup.metrics);
+  const industryCheck = checkMetricsIndustryCode(businessIdCheck.metrics);
+  const { metrics } = industryCheck;
+  const dataFlags = [...businessIdCheck.flags, ...industryCheck.flags];
+  const fieldConfidence = { ...lookup.fieldConfidence };
+  for (const flag of dataFlags) {
+    report("data_flagged", `Dropped ${flag.field} from the agent answer: ${flag.message}`);
+    fieldConfidence[flag.field] = {
+      level: CONFIDENCE_LEVELS.UNKNOWN,
+      score: 0,
+      source: "derived"
+    };
+  }
+
+  return {
+    companyName,
+    extraInfo,
+    inputGuard,
+    dataFlags,
+    lookup: { ...lookup, metrics, fieldConfidence }
+  };
+}
+
+// With `throwRetryable` (job attempts that are not the last), a lookup that
+// failed with a retryable model error throws before anything is stored, so
+// the job queue can run it again without writing a duplicate case.
+function throwIfRetryableFailure(lookup, throwRetryable) {
+  const { enrichment } = lookup;
+  if (!throwRetryable || enrichment.status !== "failed" || !lookup.retryable) return;
+  throw createLlmError(enrichment.errorClass, enrichment.errorMessage, {
+    retryable: true
+  });
+}
+
+// Second pass over a usable first-pass answer; see companyVerification.js.
+async function runVerification(verify, companyName, metrics, enrichment, onProgress) {
+  if (!verify || enrichment.status === "failed") {
+    return {
+      verification: null,
+      citations: [],
+      usageIds: [],
+      parseDiagnostics: [],
+      trace: []
+    };
+  }
+  return verifyCompanyMetrics(companyName, metrics, { onProgress });
+}
+
+// Trade register identity takes precedence over the agent and verification
+// values (see tradeRegister.js). A Business ID from the advisor is looked up
+// as given; one from the agent must also belong to a company of that name.
+// Returns the metrics to show, the metrics to store (disputed fields
+// withheld) and the field confidence with registry fields marked verified.
+async function runRegistryLookup(
+  { businessId, companyName, lookup, verification },
+  onProgress
+) {
+  const { metrics, fieldConfidence, enrichment } = lookup;
+  const withheld = withholdDisputedMetrics(metrics, verification);
+
+  if (enrichment.status === "failed") {
+    return { registry: null, metrics, storedMetrics: withheld, fieldConfidence };
+  }
+
+  const registry = await lookupRegistryCompany(
+    {
+      businessId: businessId || withheld.business_id,
+      companyName,
+      matchName: !businessId
+    },
+    { onProgress }
+  );
+  const applied = applyRegistryRecord(metrics, registry);
+  const registryConfidence = { ...fieldConfidence };
+  for (const field of applied.fields) {
+    registryConfidence[field] = registryFieldConfidence();
+  }
+
+  return {
+    registry: { ...registry, overrides: applied.overrides },
+    metrics: applied.metrics,
+    storedMetrics: applyRegistryRecord(withheld, registry).metrics,
+    fieldConfidence: registryConfidence
+  };
+}
+
+/**
+ * Runs the lookup agent and stores the result as a basic or detailed case.
+ * Failed enrichments are stored too; check `payload.enrichment.status`.
+ * With `verify` (default: ENRICHMENT_VERIFICATION_ENABLED) the verification
+ * agent re-checks key fields, and disputed values are kept out of `companies`.
+ * The input passes the input guard first; its decision is stored on the case
+ * as `inputGuard`, and rejected input is stored as a failed case.
+ * Identity fields come from the trade register when it knows the company,
+ * looked up by `businessId` if the advisor supplied one. See
+ * throwIfRetryableFailure for `throwRetryable`.
+ */
+export async function runCompanyLookup(
+  {
+    companyName: rawCompanyName,
+    extraInfo: rawExtraInfo = "",
+    businessId = null,
+    kind = "basic",
+    force = false,
+    verify = ENRICHMENT_VERIFICATION_ENABLED,
+    requestBody
+  },
+  { onProgress, throwRetryable = false } = {}
+) {
+  const report = createProgressReporter(onProgress);
+  const isDetailed = kind === "detailed";
+  const parsedBusinessId = businessId ? parseBusinessId(businessId) : null;
+  if (parsedBusinessId && !parsedBusinessId.valid) {
+    throw statusError(`Invalid businessId: ${parsedBusinessId.error}`, 400);
+  }
+
+  const { companyName, extraInfo, inputGuard, dataFlags, lookup } = await runGuardedLookup(
+    { companyName: rawCompanyName, extraInfo: isDetailed ? rawExtraInfo : "" },
+    { force, onProgress }
+  );
+  throwIfRetryableFailure(lookup, throwRetryable);
+  const { citations, enrichment, agentRun, usageIds, parseDiagnostics, trace, cache } =
+    lookup;
+  const verificationRun = await runVerification(
+    verify,
+    companyName,
+    lookup.metrics,
+    enrichment,
+    onProgress
+  );
+  const { verification } = verificationRun;
+  const { registry, metrics, storedMetrics, fieldConfidence } = await runRegistryLookup(
+    {
+      businessId: parsedBusinessId?.businessId,
+      companyName,
+      lookup,
+      verification
+    },
+    onProgress
+  );
+  const caseCitations = [...citations, ...verificationRun.citations];
+  const summary =
+    enrichment.status === "failed"
+      ? null
+      : metrics.summary ||
+        (isDetailed
+          ? `Profile summary for company ${companyName} based on the provided context.`
+          : `Basic information for company ${companyName}.`);
+
+  report("persisting", "Saving the case to history");
+  const recordCase = isDetailed ? recordDetailedCase : recordBasicCase;
+  const { companyId, caseId } = recordCase({
+    companyName,
+    businessId: parsedBusinessId?.businessId,
+    summary,
+    metrics: storedMetrics,
+    enrichment,
+    agentRun,
+    citations: caseCitations,
+    fieldConfidence,
+    verification,
+    parseDiagnostics: [...parseDiagnostics, ...verificationRun.parseDiagnostics],
+    trace: [...trace, ...verificationRun.trace],
+    inputGuard,
+    dataFlags,
+    registry,
+    extraInfo,
+    rawInput: requestBody
+  });
+  linkUsageToCase([...usageIds, ...verificationRun.usageIds], caseId);
+  const fundingPrograms = linkCaseFundingPrograms({ caseId, companyId, enrichment }, report);
+
+  return {
+    companyName,
+    ...(isDetailed ? { extraInfo } : {}),
+    summary,
+    metrics,
+    fieldConfidence,
+    verification,
+    inputGuard,
+    dataFlags,
+    registry,
+    citations: caseCitations,
+    enrichment,
+    agentRun,
+    cache,
+    companyId,
+    caseId,
+    fundingPrograms,
+    source: llmProvider.sourceLabel
+  };
+}
+
+// Links the catalogue programmes that fit the stored company to the case.
+// A failed lookup leaves the company row as it was, so its case gets none.
+function linkCaseFundingPrograms({ caseId, companyId, enrichment }, report) {
+  if (enrichment.status === "failed") return [];
+
+  report("funding_programs", "Matching funding programmes from the catalogue");
+  return linkFundingProgramsToCase(caseId, getCompanyProfileById(companyId)?.metrics);
+}
+
+// Re-runs the lookup agent for a failed (or partial) case and updates it in
+// place. The registry is queried with the Business ID entered for the case.
+export async function runEnrichmentRetry(
+  caseId,
+  { verify = ENRICHMENT_VERIFICATION_ENABLED, onProgress, throwRetryable = false } = {}
+) {
+  const report = createProgressReporter(onProgress);
+  const caseInfo = getCaseForRetry(caseId);
+  if (!caseInfo) {
+    throw statusError("Case not found", 404);
+  }
+
+  if (caseInfo.enrichmentStatus === "succeeded") {
+    throw statusError("Only failed or partial lookups can be retried.", 409);
+  }
+
+  // A retry must reach the agent, so it never reads from the cache.
+  const { inputGuard, dataFlags, lookup } = await runGuardedLookup(
+    {
+      companyName: caseInfo.companyName,
+      extraInfo: caseInfo.kind === "detailed" ? caseInfo.extraInfo : ""
+    },
+    { force: true, onProgress }
+  );
+  throwIfRetryableFailure(lookup, throwRetryable);
+  const { citations, enrichment, agentRun, usageIds, parseDiagnostics, trace, cache } =
+    lookup;
+  const verificationRun = await runVerification(
+    verify,
+    caseInfo.companyName,
+    lookup.metrics,
+    enrichment,
+    onProgress
+  );
+  const { verification } = verificationRun;
+  const { registry, metrics, storedMetrics, fieldConfidence } = await runRegistryLookup(
+    {
+      businessId: caseInfo.businessId,
+      companyName: caseInfo.companyName,
+      lookup,
+      verification
+    },
+    onProgress
+  );
+  const caseCitations = [...citations, ...verificationRun.citations];
+  const summary =
+    enrichment.status === "failed"
+      ? null
+      : metrics.summary || `Basic information for company ${caseInfo.companyName}.`;
+
+  report("persisting", "Updating the case");
+  recordEnrichmentRetry({
+    caseId: caseInfo.caseId,
+    companyId: caseInfo.companyId,
+    summary,
+    metrics: storedMetrics,
+    enrichment,
+    agentRun,
+    citations: caseCitations,
+    fieldConfidence,
+    verification,
+    parseDiagnostics: [...parseDiagnostics, ...verificationRun.parseDiagnostics],
+    trace: [...trace, ...verificationRun.trace],
+    inputGuard,
+    dataFlags,
+    registry,
+    rawInput: {
+      companyName: caseInfo.companyName,
+      extraInfo: caseInfo.extraInfo,
+      ...(caseInfo.businessId ? { businessId: caseInfo.businessId } : {})
+    }
+  });
+  linkUsageToCase([...usageIds, ...verificationRun.usageIds], caseInfo.caseId);
+  const fundingPrograms = linkCaseFundingPrograms(
+    { caseId: caseInfo.caseId, companyId: caseInfo.companyId, enrichment },
+    report
+  );
+
+  return {
+    companyName: caseInfo.companyName,
+    summary,
+    metrics,
+    fieldConfidence,
+    verification,
+    inputGuard,
+    dataFlags,
+    registry,
+    citations: caseCitations,
+    enrichment,
+    agentRun,
+    cache,
+    companyId: caseInfo.companyId,
+    caseId: caseInfo.caseId,
+    fundingPrograms,
+    source: llmProvider.sourceLabel
+  };
+}
+
+function optionalAmount(value) {
+  return typeof value === "number" && Number.isFinite(value) ? value : null;
+}
+
+// Matches the report's investors into the investor directory and stores them
+// as `investor` recommendations of the company's latest case, ranked by fit
+// score against the company's stored metrics (see investorFit.js).
+function indexReportInvestors({ reportId, caseId, recommendation, metrics }) {
+  const investorIds = new Map(
+    recordReportInvestors(reportId, recommendation).map((link) => [
+      link.position,
+      link.investorId
+    ])
+  );
+  if (!caseId) return [];
+
+  const investors = Array.isArray(recommendation?.recommended_investors)
+    ? recommendation.recommended_investors
+    : [];
+  const ranked = investors
+    .map((investor, position) => ({
+      investor,
+      position,
+      fit: scoreInvestorFit(investor, metrics)
+    }))
+    .sort((a, b) => b.fit.score - a.fit.score || a.position - b.position);
+
+  replaceReportRecommendations(
+    reportId,
+    caseId,
+    ranked.map(({ investor, position, fit }, index) => ({
+      investor_id: investorIds.get(position) ?? null,
+      name: String(investor?.name ?? "").trim() || "Unnamed investor",
+      provider: null,
+      url: investor?.website_url ?? null,
+      stage_match: investor?.stage_focus ?? null,
+      funding_type: investor?.type ?? null,
+      min_amount_eur: optionalAmount(investor?.ticket_size_min_eur),
+      max_amount_eur: optionalAmount(investor?.ticket_size_max_eur),
+      geography_focus: investor?.geo_focus ?? null,
+      sector_focus: investor?.sector_focus ?? null,
+      score: fit.score,
+      rank: index + 1,
+      explanation_text: fit.components.map((entry) => `${entry.message}.`).join(" "),
+      raw_metadata_json: JSON.stringify({ position, components: fit.components })
+    }))
+  );
+  return listReportInvestorFits(reportId);
+}
+
+/**
+ * Re-indexes an investor report after a manual edit: the directory links and
+ * fit scores are rebuilt from `recommendation` against the company's current
+ * metrics.
+ */
+export function refreshInvestorReport({ reportId, companyId, recommendation }) {
+  const profile = getCompanyProfileById(companyId);
+  return indexReportInvestors({
+    reportId,
+    caseId: profile?.caseId ?? null,
+    recommendation,
+    metrics: profile?.metrics ?? {}
+  });
+}
+
+/**
+ * Scores the investor reports saved before fit scoring existed. Run by the
+ * server on start; reports that already have fit rows are skipped.
+ */
+export function scoreUnscoredInvestorReports() {
+  for (const entry of listUnscoredInvestorReports()) {
+    refreshInvestorReport(entry);
+  }
+}
+
+export async function runInvestorMatch(companyId, { onProgress } = {}) {
+  const report = createProgressReporter(onProgress);
+  const profile = getCompanyProfileById(companyId);
+  if (!profile || !profile.metrics) {
+    throw statusError("Company not found", 404);
+  }
+
+  // Low-confidence fields are withheld so the advisor does not build on guesses.
+  const { metrics, withheldFields } = filterConfidentMetrics(
+    profile.metrics,
+    profile.fieldConfidence
+  );
+  if (withheldFields.length > 0) {
+    report(
+      "filtering",
+      `Withholding ${withheldFields.length} low-confidence field(s): ${withheldFields.join(", ")}`
+    );
+  }
+
+  // The size class is recomputed from the fields the advisor actually gets.
+  const companySize = classifyCompanySize(metrics);
+  for (const warning of companySize.warnings) {
+    report("size_warning", `Size class: ${warning.message}`);
+  }
+
+  const { recommendation, citations, agentRun, usageIds } =
+    await recommendInvestorsForCompany(
+      {
+        ...metrics,
+        size_class: companySize.sizeClass,
+        size_warnings: companySize.warnings.map((warning) => warning.message)
+      },
+      { withheldFields, onProgress }
+    );
+
+  report("persisting", "Saving the investor report");
+  const { reportId } = recordInvestorReport({
+    companyId,
+    companyName: profile.metrics.name || profile.companyName || "Unknown company",
+    recommendation,
+    citations,
+    agentRun
+  });
+  linkUsageToReport(usageIds, reportId);
+  // Fit is scored on the stored values, including fields withheld from the
+  // advisor, so the ticket check still sees the estimated funding need.
+  report("ranking", "Scoring investor fit");
+  const investorFit = indexReportInvestors({
+    reportId,
+    caseId: profile.caseId,
+    recommendation,
+    metrics: profile.metrics
+  });
+
+  return {
+    companyId,
+    reportId,
+    recommendation,
+    citations,
+    agentRun,
+    withheldFields,
+    companySize,
+    investorFit
+  };
+}
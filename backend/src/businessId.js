@@ -0,0 +1,119 @@
+// Finnish Business ID (Y-tunnus): seven digits, a hyphen and a modulus-11
+// check digit, e.g. 0112038-9. The EU VAT number is "FI" plus the eight
+// digits without the hyphen (FI01120389).
+
+const CHECK_DIGIT_WEIGHTS = [7, 9, 10, 5, 8, 4, 2];
+
+// Accepts "0112038-9", "01120389", "FI01120389", "FI 0112038-9", en dashes and
+// the six-digit form of old IDs, which are padded with a leading zero.
+const BUSINESS_ID_INPUT_PATTERN = /^(?:FI)?(\d{6,7})[-\u2010-\u2015]?(\d)$/;
+
+export const BUSINESS_ID_FLAGS = {
+  INVALID: "invalid_business_id"
+};
+
+/**
+ * Returns the check digit for the seven leading digits, or null when the
+ * weighted sum leaves remainder 1 (no valid ID uses those digits).
+ */
+export function computeBusinessIdCheckDigit(digits) {
+  const sum = CHECK_DIGIT_WEIGHTS.reduce(
+    (total, weight, index) => total + weight * Number(digits[index]),
+    0
+  );
+  const remainder = sum % 11;
+  if (remainder === 0) return 0;
+  if (remainder === 1) return null;
+  return 11 - remainder;
+}
+
+/**
+ * Parses a Business ID in any of the accepted spellings. Returns
+ * `{ valid: true, businessId, vatNumber }` in the canonical `1234567-8` and
+ * `FI12345678` forms, or `{ valid: false, error }` with a message that names
+ * the problem (format or check digit).
+ */
+export function parseBusinessId(value) {
+  const compact = String(value ?? "")
+    .toUpperCase()
+    .replace(/[\s.]/g, "");
+
+  if (!compact) {
+    return { valid: false, error: "Business ID is empty" };
+  }
+
+  const match = BUSINESS_ID_INPUT_PATTERN.exec(compact);
+  if (!match) {
+    return {
+      valid: false,
+      error: `"${value}" is not a Business ID; expected seven digits, a hyphen and a check digit (1234567-8)`
+    };
+  }
+
+  const digits = match[1].padStart(7, "0");
+  const checkDigit = Number(match[2]);
+  const expected = computeBusinessIdCheckDigit(digits);
+
+  if (expected === null) {
+    return {
+      valid: false,
+      error: `"${value}" is not a valid Business ID; no check digit exists for ${digits}`
+    };
+  }
+
+  if (expected !== checkDigit) {
+    return {
+      valid: false,
+      error: `"${value}" has the wrong check digit; ${digits}-${expected} would be valid`
+    };
+  }
+
+  return {
+    valid: true,
+    businessId: `${digits}-${checkDigit}`,
+    vatNumber: `FI${digits}${checkDigit}`
+  };
+}
+
+export function isValidBusinessId(value) {
+  return parseBusinessId(value).valid;
+}
+
+// Null for anything that is not a valid Business ID.
+export function businessIdToVatNumber(value) {
+  const parsed = parseBusinessId(value);
+  return parsed.valid ? parsed.vatNumber : null;
+}
+
+/**
+ * Normalizes the agent-provided `business_id` of lookup metrics. A valid ID
+ * is rewritten to the canonical form; an invalid one is nulled so it never
+ * reaches `companies`, and reported in `flags` as
+ * `{ field, flag, value, message }` for the case.
+ */
+export function checkMetricsBusinessId(metrics) {
+  const rawValue = metrics?.business_id;
+  if (rawValue === null || rawValue === undefined || rawValue === "") {
+    return { metrics: { ...metrics, vat_number: null }, flags: [] };
+  }
+
+  const parsed = parseBusinessId(rawValue);
+  if (parsed.valid) {
+    return {
+      metrics: { ...metrics, business_id: parsed.businessId, vat_number: parsed.vatNumber },
+      flags: []
+    };
+  }
+
+  return {
+    metrics: { ...metrics, business_id: null, vat_number: null },
+    flags: [
+      {
+        field: "business_id",
+        flag: BUSINESS_ID_FLAGS.INVALID,
+        value: rawValue,
+        message: parsed.error
+      }
+    ]
+  };
+}
@@ -0,0 +1,168 @@
+// Web search answers carry `url_citation` annotations whose start/end indices
+// point into the output text. Because the agents answer in JSON, a citation
+// can be attributed to the JSON value whose text span contains it.
+
+/**
+ * Walks a JSON document (leading prose is skipped) and returns
+ * `{ path, start, end }` for every value, e.g. `revenue_eur` or
+ * `investors[2].ticket_size_min_eur`. Malformed input yields the spans
+ * collected before the error.
+ */
+export function mapJsonValueSpans(text) {
+  const spans = [];
+  if (typeof text !== "string") return spans;
+
+  let index = text.search(/[{[]/);
+  if (index === -1) return spans;
+
+  const fail = () => {
+    throw new Error(`Unexpected JSON at offset ${index}`);
+  };
+
+  const skipWhitespace = () => {
+    while (index < text.length && /\s/.test(text[index])) index += 1;
+  };
+
+  const readString = () => {
+    if (text[index] !== '"') fail();
+    const start = index;
+    index += 1;
+    while (index < text.length && text[index] !== '"') {
+      index += text[index] === "\\" ? 2 : 1;
+    }
+    if (index >= text.length) fail();
+    index += 1;
+    return text.slice(start, index);
+  };
+
+  const readValue = (path) => {
+    skipWhitespace();
+    const start = index;
+    const char = text[index];
+
+    if (char === "{") {
+      index += 1;
+      skipWhitespace();
+      if (text[index] === "}") {
+        index += 1;
+      } else {
+        for (;;) {
+          skipWhitespace();
+          const rawKey = readString();
+          let key;
+          try {
+            key = JSON.parse(rawKey);
+          } catch {
+            key = rawKey.slice(1, -1);
+          }
+          skipWhitespace();
+          if (text[index] !== ":") fail();
+          index += 1;
+          readValue(path ? `${path}.${key}` : key);
+          skipWhitespace();
+          if (text[index] === ",") {
+            index += 1;
+            continue;
+          }
+          if (text[index] !== "}") fail();
+          index += 1;
+          break;
+        }
+      }
+    } else if (char === "[") {
+      index += 1;
+      skipWhitespace();
+      if (text[index] === "]") {
+        index += 1;
+      } else {
+        for (let item = 0; ; item += 1) {
+          readValue(`${path}[${item}]`);
+          skipWhitespace();
+          if (text[index] === ",") {
+            index += 1;
+            continue;
+          }
+          if (text[index] !== "]") fail();
+          index += 1;
+          break;
+        }
+      }
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (index < text.length && !/[\s,\]}]/.test(text[index])) index += 1;
+      if (index === start) fail();
+    }
+
+    if (path) spans.push({ path, start, end: index });
+  };
+
+  try {
+    readValue("");
+  } catch {
+    // Keep whatever was mapped before the malformed part.
+  }
+
+  return spans;
+}
+
+// Innermost value span containing the citation start, or null.
+function findCitedPath(spans, startIndex) {
+  let best = null;
+  for (const span of spans) {
+    if (span.start <= startIndex && startIndex < span.end) {
+      if (!best || span.end - span.start < best.end - best.start) {
+        best = span;
+      }
+    }
+  }
+  return best?.path ?? null;
+}
+
+/**
+ * Collects the `url_citation` annotations of a Responses API payload as
+ * `{ field, url, title }`, where `field` is the JSON path of the value the
+ * citation supports (null when it cannot be attributed). Duplicate
+ * url/field pairs are dropped.
+ */
+export function extractUrlCitations(response) {
+  const citations = [];
+
+  for (const block of response?.output || []) {
+    if (!Array.isArray(block?.content)) continue;
+
+    for (const item of block.content) {
+      if (item?.type !== "output_text" || !Array.isArray(item.annotations)) {
+        continue;
+      }
+
+      const urlCitations = item.annotations.filter(
+        (annotation) => annotation?.type === "url_citation" && annotation.url
+      );
+      if (urlCitations.length === 0) continue;
+
+      const spans = mapJsonValueSpans(item.text);
+      for (const annotation of urlCitations) {
+        citations.push({
+          field: Number.isInteger(annotation.start_index)
+            ? findCitedPath(spans, annotation.start_index)
+            : null,
+          url: annotation.url,
+          title: annotation.title || null
+        });
+      }
+    }
+  }
+
+  return dedupeCitations(citations);
+}
+
+export function dedupeCitations(citations) {
+  const seen = new Set();
+  return citations.filter((citation) => {
+    const key = `${citation.field ?? ""}\u0000${citation.url}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
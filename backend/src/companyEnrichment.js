@@ -1,132 +1,542 @@
 import {
-  openaiClient,
   COMPANY_REASONING_MODEL,
   COMPANY_REASONING_EFFORT,
-  COMPANY_WEB_SEARCH_ENABLED,
-  LOOKUP_AGENT
+  COMPANY_WEB_SEARCH_ENABLED
 } from "./openaiClient.js";
+import { llmProvider } from "./llmProvider.js";
+import {
+  createLlmError,
+  LLM_ERROR_CODES,
+  LLM_TIMEOUT_MS
+} from "./llmCall.js";
+import { validateJsonSchema } from "./schemaValidation.js";
+import { AGENT_NAMES, getActiveAgentPrompt } from "./promptRegistry.js";
+import { callLlmWithUsage } from "./usageLedger.js";
+import {
+  buildEnrichmentCacheKey,
+  getCachedEnrichment,
+  storeCachedEnrichment
+} from "./enrichmentCache.js";
+import { dedupeCitations, extractUrlCitations } from "./citations.js";
+import { collectOutputText, parseModelJson } from "./modelResponseParsing.js";
+import { createProgressReporter, reportSearchEvents } from "./progress.js";
+import { DATA_BLOCK_NOTICE, DATA_BLOCK_TAGS, wrapUserData } from "./inputGuard.js";
+import {
+  FIELD_CONFIDENCE_INSTRUCTIONS,
+  FIELD_CONFIDENCE_JSON_SCHEMA,
+  resolveFieldConfidence
+} from "./fieldConfidence.js";
+
+export const LOOKUP_AGENT_NAME = AGENT_NAMES.LOOKUP;
 
 const LOOKUP_AGENT_MISSING_MESSAGE =
-  "LOOKUP_AGENT prompt is missing. Add it to backend/.env to enable company lookups.";
+  "LOOKUP_AGENT prompt is missing. Add it to backend/.env or activate a lookup prompt version to enable company lookups.";
+
+const parsedRepairAttempts = Number.parseInt(
+  process.env.ENRICHMENT_REPAIR_ATTEMPTS ?? "",
+  10
+);
+
+// Upper bound for extra round-trips that feed validation errors back to the model.
+const ENRICHMENT_REPAIR_ATTEMPTS = Number.isInteger(parsedRepairAttempts)
+  ? Math.min(Math.max(parsedRepairAttempts, 0), 3)
+  : 1;
+
+const parsedLookupTimeout = Number.parseInt(
+  process.env.LOOKUP_TIMEOUT_MS ?? "",
+  10
+);
+
+const LOOKUP_TIMEOUT_MS =
+  Number.isInteger(parsedLookupTimeout) && parsedLookupTimeout > 0
+    ? parsedLookupTimeout
+    : LLM_TIMEOUT_MS;
+
+const nullableString = { type: ["string", "null"] };
+const nullableNumber = { type: ["number", "null"] };
+
+// Mirrors the `companies` columns; the funding need fields keep their `_guess`
+// suffix because they are estimates rather than reported figures.
+// `field_confidence` is the agent's own rating of each field and is split off
+// before the metrics are stored (see fieldConfidence.js).
+export const COMPANY_METRICS_JSON_SCHEMA = {
+  name: "CompanyMetrics",
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: [
+      "name",
+      "business_id",
+      "website_url",
+      "country",
+      "city",
+      "industry_text",
+      "industry_code",
+      "employee_count",
+      "employee_range",
+      "revenue_eur",
+      "revenue_range",
+      "balance_sheet_total_eur",
+      "stage",
+      "funding_need_type_guess",
+      "funding_need_min_eur_guess",
+      "funding_need_max_eur_guess",
+      "funding_need_summary_guess",
+      "description",
+      "summary",
+      "field_confidence"
+    ],
+    properties: {
+      name: { type: "string" },
+      business_id: nullableString,
+      website_url: nullableString,
+      country: nullableString,
+      city: nullableString,
+      industry_text: nullableString,
+      industry_code: nullableString,
+      employee_count: { type: ["integer", "null"] },
+      employee_range: nullableString,
+      revenue_eur: nullableNumber,
+      revenue_range: nullableString,
+      balance_sheet_total_eur: nullableNumber,
+      stage: nullableString,
+      funding_need_type_guess: nullableString,
+      funding_need_min_eur_guess: nullableNumber,
+      funding_need_max_eur_guess: nullableNumber,
+      funding_need_summary_guess: nullableString,
+      description: nullableString,
+      summary: { type: "string" },
+      field_confidence: FIELD_CONFIDENCE_JSON_SCHEMA
+    }
+  }
+};
+
+const NON_NEGATIVE_METRIC_FIELDS = [
+  "employee_count",
+  "revenue_eur",
+  "balance_sheet_total_eur",
+  "funding_need_min_eur_guess",
+  "funding_need_max_eur_guess"
+];
+
+export function validateCompanyMetrics(metrics) {
+  const errors = validateJsonSchema(COMPANY_METRICS_JSON_SCHEMA.schema, metrics);
+  if (errors.length > 0) return errors;
+
+  for (const field of NON_NEGATIVE_METRIC_FIELDS) {
+    if (typeof metrics[field] === "number" && metrics[field] < 0) {
+      errors.push(`$.${field}: must not be negative`);
+    }
+  }
+
+  if (
+    typeof metrics.funding_need_min_eur_guess === "number" &&
+    typeof metrics.funding_need_max_eur_guess === "number" &&
+    metrics.funding_need_min_eur_guess > metrics.funding_need_max_eur_guess
+  ) {
+    errors.push(
+      "$.funding_need_min_eur_guess: must not exceed funding_need_max_eur_guess"
+    );
+  }
+
+  if (!metrics.name.trim()) {
+    errors.push("$.name: must not be empty");
+  }
+
+  return errors;
+}
 
-function buildEnrichmentPrompt(companyName) {
-  if (!LOOKUP_AGENT) {
+// Advisor input only ever appears inside data blocks (see inputGuard.js).
+function buildEnrichmentPrompt(companyName, extraInfo, prompt) {
+  if (!prompt && llmProvider.requiresAgentPrompts) {
     const error = new Error(LOOKUP_AGENT_MISSING_MESSAGE);
     error.code = "MISSING_LOOKUP_AGENT";
     throw error;
   }
 
+  const dataBlocks = [wrapUserData(DATA_BLOCK_TAGS.companyName, companyName)];
+  if (extraInfo) {
+    dataBlocks.push(wrapUserData(DATA_BLOCK_TAGS.extraInfo, extraInfo));
+  }
+
   return [
     {
       role: "system",
-      content: LOOKUP_AGENT
+      content: prompt?.content || "LOOKUP_AGENT is not configured."
     },
     {
       role: "user",
       content:
-        `Investigate "${companyName}" using web search. ` +
+        "Investigate the company named in the <company_name> block using web search" +
+        (extraInfo
+          ? ", using the <advisor_context> block to tell it apart from similarly named companies. "
+          : ". ") +
         "Populate the JSON row for the `companies` table (columns listed in the system prompt). " +
-        "Run as many searches as necessary to ensure the values are up to date."
+        "Run as many searches as necessary to ensure the values are up to date. " +
+        FIELD_CONFIDENCE_INSTRUCTIONS +
+        `\n${DATA_BLOCK_NOTICE}\n\n${dataBlocks.join("\n")}`
     }
   ];
 }
 
-function extractJsonPayload(response) {
-  const tryParse = (text) => {
-    if (!text) return null;
-    const trimmed = text.trim();
-    if (!trimmed) return null;
+function buildRepairMessage(errors) {
+  return (
+    "Your previous answer did not pass validation against the CompanyMetrics JSON schema:\n" +
+    errors.map((error) => `- ${error}`).join("\n") +
+    "\nReturn the corrected JSON object only. Keep every value you already found, " +
+    "use null for unknown values and do not add or rename fields."
+  );
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Keeps every field that is individually valid and nulls the rest, so a
+// mostly-correct answer can still be stored as a partial result.
+function salvageCompanyMetrics(parsed, companyName) {
+  const { properties } = COMPANY_METRICS_JSON_SCHEMA.schema;
+  const salvaged = {};
+
+  for (const [field, fieldSchema] of Object.entries(properties)) {
+    const value = parsed[field];
+    salvaged[field] =
+      value !== undefined && validateJsonSchema(fieldSchema, value).length === 0
+        ? value
+        : null;
+  }
+
+  if (!salvaged.name || !salvaged.name.trim()) {
+    salvaged.name = companyName;
+  }
+
+  return salvaged;
+}
+
+function emptyCompanyMetrics(companyName) {
+  const empty = Object.fromEntries(
+    Object.keys(COMPANY_METRICS_JSON_SCHEMA.schema.properties).map((field) => [
+      field,
+      null
+    ])
+  );
+  return { ...empty, name: companyName };
+}
+
+// Returns the company metrics without `field_confidence` plus the resolved
+// per-field confidence.
+function splitFieldConfidence(parsedMetrics, citations) {
+  const { field_confidence: reported, ...metrics } = parsedMetrics;
+  return {
+    metrics,
+    fieldConfidence: resolveFieldConfidence(metrics, reported, citations)
+  };
+}
+
+// callLlm already classifies provider errors; anything else is an upstream bug.
+export function classifyEnrichmentError(error) {
+  return error?.code || LLM_ERROR_CODES.UPSTREAM_ERROR;
+}
+
+async function requestValidatedMetrics(messages, companyName, tracking, report) {
+  let input = messages;
+  let validationErrors = [];
+  let lastParsedObject = null;
+  // Repairs reuse the field names of the first answer, so citations from
+  // every round-trip still point at the right fields.
+  let citations = [];
+
+  for (let attempt = 0; attempt <= ENRICHMENT_REPAIR_ATTEMPTS; attempt += 1) {
+    const isRepair = attempt > 0;
+    if (isRepair) {
+      report(
+        "repairing",
+        `Answer failed validation, asking the agent to fix ${validationErrors.length} issue(s)`
+      );
+    }
 
+    const { response } = await callLlmWithUsage(
+      {
+        model: COMPANY_REASONING_MODEL,
+        reasoning: {
+          effort: COMPANY_REASONING_EFFORT
+        },
+        text: {
+          format: {
+            type: "json_schema",
+            name: COMPANY_METRICS_JSON_SCHEMA.name,
+            schema: COMPANY_METRICS_JSON_SCHEMA.schema,
+            strict: true
+          }
+        },
+        input,
+        // Repairs only reformat the previous answer, so they skip web search.
+        tools:
+          COMPANY_WEB_SEARCH_ENABLED && !isRepair ? [{ type: "web_search" }] : []
+      },
+      { agent: LOOKUP_AGENT_NAME, companyName },
+      { timeoutMs: LOOKUP_TIMEOUT_MS, onEvent: reportSearchEvents(report) },
+      tracking
+    );
+
+    report("parsing", "Parsing and validating the agent answer");
+    citations = dedupeCitations([...citations, ...extractUrlCitations(response)]);
+
+    let parsed = null;
     try {
-      return JSON.parse(trimmed);
+      const { value, diagnostics } = parseModelJson(response);
+      tracking.parseDiagnostics.push({ agent: LOOKUP_AGENT_NAME, attempt, ...diagnostics });
+      parsed = value;
+      validationErrors = validateCompanyMetrics(parsed);
     } catch (error) {
-      const firstBrace = trimmed.indexOf("{");
-      const lastBrace = trimmed.lastIndexOf("}");
-      if (firstBrace === -1 || lastBrace === -1) {
-        throw error;
+      if (error.diagnostics) {
+        tracking.parseDiagnostics.push({
+          agent: LOOKUP_AGENT_NAME,
+          attempt,
+          ...error.diagnostics
+        });
       }
+      validationErrors = [`$: output is not valid JSON (${error.message})`];
+    }
 
-      const jsonSlice = trimmed.slice(firstBrace, lastBrace + 1);
-      return JSON.parse(jsonSlice);
+    if (validationErrors.length === 0) {
+      return {
+        metrics: parsed,
+        repairAttempts: attempt,
+        validationErrors,
+        citations
+      };
     }
-  };
 
-  if (Array.isArray(response.output_text) && response.output_text.length > 0) {
-    const parsed = tryParse(response.output_text.join("\n"));
-    if (parsed) return parsed;
-  }
+    if (isPlainObject(parsed)) {
+      lastParsedObject = parsed;
+    }
 
-  if (response.output && Array.isArray(response.output)) {
-    for (const block of response.output) {
-      if (!block?.content) continue;
-      const textChunks = block.content
-        .map((item) => {
-          if (item.type === "output_text" && typeof item.text === "string") {
-            return item.text;
-          }
-          if (item.type === "text" && typeof item.text === "string") {
-            return item.text;
-          }
-          return "";
-        })
-        .filter(Boolean);
+    // eslint-disable-next-line no-console
+    console.warn(
+      `[llm] Company metrics failed validation (attempt ${attempt + 1}):`,
+      validationErrors
+    );
 
-      const parsed = tryParse(textChunks.join(""));
-      if (parsed) return parsed;
-    }
+    input = [
+      ...input,
+      { role: "assistant", content: collectOutputText(response) || "(empty response)" },
+      { role: "user", content: buildRepairMessage(validationErrors) }
+    ];
+  }
+
+  if (lastParsedObject) {
+    return {
+      metrics: salvageCompanyMetrics(lastParsedObject, companyName),
+      repairAttempts: ENRICHMENT_REPAIR_ATTEMPTS,
+      validationErrors,
+      citations
+    };
   }
 
-  throw new Error("Empty response from OpenAI reasoning model");
+  const error = createLlmError(
+    LLM_ERROR_CODES.INVALID_OUTPUT,
+    `Company metrics failed schema validation after ${ENRICHMENT_REPAIR_ATTEMPTS} repair attempt(s): ${validationErrors.join("; ")}`
+  );
+  error.validationErrors = validationErrors;
+  throw error;
 }
 
-export async function inferCompanyBaseMetrics(companyName) {
-  const messages = buildEnrichmentPrompt(companyName);
+async function runEnrichment(companyName, messages, agentRun, report) {
+  const usageIds = [];
+  const parseDiagnostics = [];
+  const trace = [];
+  report(
+    "agent_started",
+    `Running lookup agent (prompt ${agentRun.promptVersion || "unversioned"}, ${agentRun.model})`
+  );
 
   try {
-    const response = await openaiClient.responses.create({
-      model: COMPANY_REASONING_MODEL,
-      reasoning: {
-        effort: COMPANY_REASONING_EFFORT
-      },
-      input: messages,
-      tools: COMPANY_WEB_SEARCH_ENABLED ? [{ type: "web_search" }] : []
-    });
-
-    const parsed = extractJsonPayload(response);
+    const { metrics: parsed, repairAttempts, validationErrors, citations } =
+      await requestValidatedMetrics(
+        messages,
+        companyName,
+        { agentRun, usageIds, parseDiagnostics, trace },
+        report
+      );
     const raw = JSON.stringify(parsed);
+    const isPartial = validationErrors.length > 0;
+    const { metrics, fieldConfidence } = splitFieldConfidence(parsed, citations);
 
     return {
-      metrics: parsed,
-      raw
+      metrics,
+      fieldConfidence,
+      raw,
+      citations,
+      repairAttempts,
+      agentRun,
+      usageIds,
+      parseDiagnostics,
+      trace,
+      enrichment: {
+        status: isPartial ? "partial" : "succeeded",
+        errorClass: isPartial ? LLM_ERROR_CODES.INVALID_OUTPUT : null,
+        errorMessage: isPartial ? validationErrors.join("; ") : null
+      }
     };
   } catch (error) {
     // eslint-disable-next-line no-console
-    console.error("[openai] Failed to infer company metrics:", error);
+    console.error("[llm] Failed to infer company metrics:", error);
+
+    return {
+      ...failedEnrichmentResult(companyName, agentRun, {
+        errorClass: classifyEnrichmentError(error),
+        errorMessage: error?.message ?? "Unknown error"
+      }),
+      retryable: error?.retryable === true,
+      usageIds,
+      parseDiagnostics,
+      trace
+    };
+  }
+}
+
+function failedEnrichmentResult(companyName, agentRun, { errorClass, errorMessage }) {
+  return {
+    ...splitFieldConfidence(emptyCompanyMetrics(companyName), []),
+    raw: null,
+    citations: [],
+    repairAttempts: 0,
+    agentRun,
+    usageIds: [],
+    parseDiagnostics: [],
+    trace: [],
+    enrichment: { status: "failed", errorClass, errorMessage }
+  };
+}
+
+function buildLookupAgentRun(prompt) {
+  return {
+    agent: LOOKUP_AGENT_NAME,
+    promptId: prompt?.id ?? null,
+    promptVersion: prompt?.version ?? null,
+    model: COMPANY_REASONING_MODEL,
+    reasoningEffort: COMPANY_REASONING_EFFORT
+  };
+}
+
+/**
+ * Result of a lookup the input guard refused to send to the agent, shaped
+ * like a failed `inferCompanyBaseMetrics` run so it is stored the same way.
+ */
+export function rejectedEnrichmentResult(companyName, { errorClass, errorMessage }) {
+  return {
+    ...failedEnrichmentResult(
+      companyName,
+      buildLookupAgentRun(getActiveAgentPrompt(LOOKUP_AGENT_NAME)),
+      { errorClass, errorMessage }
+    ),
+    cache: { hit: false, coalesced: false, cachedAt: null, expiresAt: null }
+  };
+}
+
+// Identical lookups that arrive while a run is in progress share its result.
+const inFlightEnrichments = new Map();
 
-    const fallbackSummary = `Basic information for company ${companyName}: an AI enrichment call failed, so only minimal data is available.`;
+/**
+ * Runs the lookup agent for `companyName` with the active prompt version.
+ * Pass the guarded input (see inputGuard.js); `extraInfo` is optional advisor
+ * context that is sent as its own data block.
+ * Never throws for model failures: the returned `enrichment.status` is
+ * "succeeded", "partial" (some fields were dropped after validation) or
+ * "failed" (no usable data, metrics are empty); a failed run sets `retryable`
+ * when the model error (timeout, rate limit, 5xx) may pass on another run.
+ * `agentRun` records the prompt version, model and reasoning effort used;
+ * `usageIds` lists the usage ledger rows written for this run and `citations`
+ * the web sources as `{ field, url, title }`. `fieldConfidence` rates each
+ * metric field (see fieldConfidence.js), `parseDiagnostics` lists how each
+ * answer was parsed (see modelResponseParsing.js) and `trace` holds the
+ * request and raw response of every model call for the case debug payload.
+ *
+ * Succeeded runs are cached per normalized query, prompt version, prompt text
+ * and model; `cache` reports `{ hit, coalesced, cachedAt, expiresAt }`. Pass
+ * `{ force: true }` to skip the cache lookup and refresh the entry.
+ * `onProgress` receives progress entries (see progress.js).
+ */
+export async function inferCompanyBaseMetrics(
+  companyName,
+  { extraInfo = "", force = false, onProgress } = {}
+) {
+  const report = createProgressReporter(onProgress);
+  const prompt = getActiveAgentPrompt(LOOKUP_AGENT_NAME);
+  const messages = buildEnrichmentPrompt(companyName, extraInfo, prompt);
+  const agentRun = buildLookupAgentRun(prompt);
+  // Detailed lookups are cached under "name (context)".
+  const query = extraInfo ? `${companyName} (${extraInfo})` : companyName;
+  const cacheKey = buildEnrichmentCacheKey({
+    query,
+    promptVersion: agentRun.promptVersion,
+    promptText: messages[0].content,
+    model: agentRun.model
+  });
 
+  const cached = force ? null : getCachedEnrichment(cacheKey);
+  if (cached) {
+    report("cache_hit", "Served from the enrichment cache");
     return {
-      metrics: {
-        name: companyName,
-        business_id: null,
-        website_url: null,
-        country: "Finland",
-        city: null,
-        industry_text: null,
-        industry_code: null,
-        employee_count: null,
-        employee_range: null,
-        revenue_eur: null,
-        revenue_range: null,
-        stage: null,
-        funding_need_type_guess: null,
-        funding_need_min_eur_guess: null,
-        funding_need_max_eur_guess: null,
-        funding_need_summary_guess: null,
-        description: null,
-        summary: fallbackSummary
-      },
-      raw: null
+      metrics: cached.metrics,
+      fieldConfidence:
+        cached.fieldConfidence ??
+        resolveFieldConfidence(cached.metrics, null, cached.citations),
+      raw: cached.raw,
+      citations: cached.citations,
+      repairAttempts: 0,
+      agentRun,
+      usageIds: [],
+      parseDiagnostics: [],
+      trace: [],
+      enrichment: { status: "succeeded", errorClass: null, errorMessage: null },
+      cache: {
+        hit: true,
+        coalesced: false,
+        cachedAt: cached.cachedAt,
+        expiresAt: cached.expiresAt
+      }
     };
   }
+
+  const pending = inFlightEnrichments.get(cacheKey);
+  if (pending) {
+    report("coalesced", "Joined an identical lookup that is already running");
+    const shared = await pending;
+    // The usage rows belong to the request that started the run.
+    return { ...shared, usageIds: [], cache: { ...shared.cache, coalesced: true } };
+  }
+
+  const run = runEnrichment(companyName, messages, agentRun, report)
+    .then((result) => {
+      if (result.enrichment.status === "succeeded") {
+        try {
+          storeCachedEnrichment({
+            cacheKey,
+            query,
+            promptVersion: agentRun.promptVersion,
+            model: agentRun.model,
+            metrics: result.metrics,
+            raw: result.raw,
+            citations: result.citations,
+            fieldConfidence: result.fieldConfidence
+          });
+        } catch (error) {
+          // eslint-disable-next-line no-console
+          console.warn("[llm] Failed to cache company metrics:", error);
+        }
+      }
+
+      return {
+        ...result,
+        cache: { hit: false, coalesced: false, cachedAt: null, expiresAt: null }
+      };
+    })
+    .finally(() => {
+      inFlightEnrichments.delete(cacheKey);
+    });
+
+  inFlightEnrichments.set(cacheKey, run);
+  return run;
 }
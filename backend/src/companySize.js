@@ -0,0 +1,248 @@
+// EU SME size class (Commission Recommendation 2003/361/EC) from headcount,
+// annual turnover and balance sheet total. A company is in a class when its
+// headcount is below the class limit and either its turnover or its balance
+// sheet total is within the class ceiling.
+
+export const SIZE_CLASSES = ["micro", "small", "medium", "large"];
+
+const HEADCOUNT_LIMITS = [10, 50, 250];
+const TURNOVER_CEILINGS_EUR = [2_000_000, 10_000_000, 50_000_000];
+const BALANCE_SHEET_CEILINGS_EUR = [2_000_000, 10_000_000, 43_000_000];
+
+export const SIZE_WARNINGS = {
+  INSUFFICIENT: "insufficient_inputs",
+  EMPLOYEES_MISMATCH: "employee_range_mismatch",
+  REVENUE_MISMATCH: "revenue_range_mismatch"
+};
+
+// Fixed buckets for `employee_range` and `revenue_range`, after the
+// Statistics Finland size bands. `max` is inclusive; every SME limit is a
+// bucket boundary, so each bucket belongs to exactly one size class.
+export const EMPLOYEE_RANGE_BUCKETS = [
+  { label: "0-4", max: 4, sizeClass: "micro" },
+  { label: "5-9", max: 9, sizeClass: "micro" },
+  { label: "10-19", max: 19, sizeClass: "small" },
+  { label: "20-49", max: 49, sizeClass: "small" },
+  { label: "50-99", max: 99, sizeClass: "medium" },
+  { label: "100-249", max: 249, sizeClass: "medium" },
+  { label: "250-499", max: 499, sizeClass: "large" },
+  { label: "500-999", max: 999, sizeClass: "large" },
+  { label: "1000+", max: Infinity, sizeClass: "large" }
+];
+
+export const REVENUE_RANGE_BUCKETS = [
+  { label: "0-0.2M", max: 200_000, sizeClass: "micro" },
+  { label: "0.2M-0.4M", max: 400_000, sizeClass: "micro" },
+  { label: "0.4M-2M", max: 2_000_000, sizeClass: "micro" },
+  { label: "2M-10M", max: 10_000_000, sizeClass: "small" },
+  { label: "10M-20M", max: 20_000_000, sizeClass: "medium" },
+  { label: "20M-50M", max: 50_000_000, sizeClass: "medium" },
+  { label: "50M-100M", max: 100_000_000, sizeClass: "large" },
+  { label: "100M+", max: Infinity, sizeClass: "large" }
+];
+
+const MULTIPLIERS = [
+  [/^(miljard|mrd|billion|bn|b$)/, 1e9],
+  [/^(milj|million|mio|mn|meur|m€|m$)/, 1e6],
+  [/^(thousand|tuhat|teur|t€|k$|t$)/, 1e3]
+];
+
+const NUMBER_PATTERN = /(\d+(?:[ ,.]\d{3})*(?:[.,]\d+)?)\s*([a-zé€]*)/g;
+const AT_MOST_PATTERN = /(^|\s)(<|≤|under|below|less than|up to|max|alle|enintään)/;
+const AT_LEAST_PATTERN = /(^|\s)(>|≥|over|above|more than|at least|yli|vähintään)|\+/;
+
+function parseAmount(digits) {
+  // "1 000", "7,533,000" and "1.500" are digit groups; "2,5" is a decimal.
+  if (/^\d{1,3}([ ,.]\d{3})+$/.test(digits)) {
+    return Number(digits.replace(/[ ,.]/g, ""));
+  }
+  return Number(digits.replace(",", "."));
+}
+
+function parseMultiplier(suffix) {
+  const match = MULTIPLIERS.find(([pattern]) => pattern.test(suffix));
+  return match ? match[1] : null;
+}
+
+/**
+ * Reads a free-text range such as "11-50", "50–100 employees", "200+",
+ * "€5M-10M", "2–10 milj. €" or "under 1 million" into `{ min, max }` (`max`
+ * may be Infinity). A multiplier on the last number applies to the others
+ * ("5-10M"). Returns null when the text holds no usable numbers.
+ */
+export function parseRangeText(value) {
+  const text = String(value ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[–—]/g, "-")
+    .replace(/(\d)\s*to\s*(?=\d)/g, "$1-")
+    .trim();
+
+  const numbers = [...text.matchAll(NUMBER_PATTERN)].map(([, digits, suffix]) => ({
+    amount: parseAmount(digits),
+    multiplier: parseMultiplier(suffix)
+  }));
+  if (numbers.length === 0 || numbers.length > 2) return null;
+
+  const fallbackMultiplier = numbers[numbers.length - 1].multiplier ?? 1;
+  const [low, high = low] = numbers.map(
+    ({ amount, multiplier }) => amount * (multiplier ?? fallbackMultiplier)
+  );
+  if (![low, high].every(Number.isFinite)) return null;
+
+  if (numbers.length === 1 && AT_MOST_PATTERN.test(text)) return { min: 0, max: low };
+  if (numbers.length === 1 && AT_LEAST_PATTERN.test(text)) return { min: low, max: Infinity };
+  return { min: Math.min(low, high), max: Math.max(low, high) };
+}
+
+function bucketForValue(buckets, value) {
+  return buckets.find((bucket) => value <= bucket.max) ?? null;
+}
+
+// A closed range goes to the bucket holding its midpoint, an open one ("200+")
+// to the bucket its lower bound opens.
+function bucketForRange(buckets, range) {
+  if (!range) return null;
+  return Number.isFinite(range.max)
+    ? bucketForValue(buckets, (range.min + range.max) / 2)
+    : (buckets.find((bucket) => range.min < bucket.max) ?? null);
+}
+
+/**
+ * The canonical bucket label for a free-text `employee_range` or
+ * `revenue_range` ("11-50" → "20-49", "€5M-10M" → "2M-10M"), or null when
+ * the text cannot be read.
+ */
+export function canonicalizeEmployeeRange(value) {
+  return bucketForRange(EMPLOYEE_RANGE_BUCKETS, parseRangeText(value))?.label ?? null;
+}
+
+export function canonicalizeRevenueRange(value) {
+  return bucketForRange(REVENUE_RANGE_BUCKETS, parseRangeText(value))?.label ?? null;
+}
+
+/**
+ * Canonical range fields for storage. Unreadable ranges are dropped when
+ * `dropUnreadable` is set, otherwise kept as they are.
+ */
+export function normalizeSizeRanges(
+  { employee_range: employeeRange, revenue_range: revenueRange },
+  { dropUnreadable = true } = {}
+) {
+  const normalize = (value, canonicalize) => {
+    if (value === null || value === undefined || value === "") return null;
+    return canonicalize(value) ?? (dropUnreadable ? null : value);
+  };
+  return {
+    employee_range: normalize(employeeRange, canonicalizeEmployeeRange),
+    revenue_range: normalize(revenueRange, canonicalizeRevenueRange)
+  };
+}
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function rankBelow(limits, value) {
+  const index = limits.findIndex((limit) => value < limit);
+  return index === -1 ? limits.length : index;
+}
+
+function rankWithin(ceilings, value) {
+  const index = ceilings.findIndex((ceiling) => value <= ceiling);
+  return index === -1 ? ceilings.length : index;
+}
+
+function rankInterval(rank) {
+  return rank === null ? { low: 0, high: SIZE_CLASSES.length - 1 } : { low: rank, high: rank };
+}
+
+function formatEur(value) {
+  return `€${value.toLocaleString("en-US")}`;
+}
+
+/**
+ * Classifies a company from `employee_count` (else `employee_range`),
+ * `revenue_eur` (else `revenue_range`) and `balance_sheet_total_eur`.
+ * Returns `{ sizeClass, possibleClasses, warnings }`: `sizeClass` is null
+ * when the known inputs allow more than one class, and `warnings` lists
+ * `{ code, message }` for insufficient inputs and for exact figures that
+ * contradict their range.
+ */
+export function classifyCompanySize(metrics) {
+  const warnings = [];
+  const employeeBucket = EMPLOYEE_RANGE_BUCKETS.find(
+    (bucket) => bucket.label === canonicalizeEmployeeRange(metrics?.employee_range)
+  );
+  const revenueBucket = REVENUE_RANGE_BUCKETS.find(
+    (bucket) => bucket.label === canonicalizeRevenueRange(metrics?.revenue_range)
+  );
+  const employeeCount = isNumber(metrics?.employee_count) ? metrics.employee_count : null;
+  const revenue = isNumber(metrics?.revenue_eur) ? metrics.revenue_eur : null;
+  const balanceSheet = isNumber(metrics?.balance_sheet_total_eur)
+    ? metrics.balance_sheet_total_eur
+    : null;
+
+  if (employeeCount !== null && employeeBucket) {
+    const countBucket = bucketForValue(EMPLOYEE_RANGE_BUCKETS, employeeCount);
+    if (countBucket.label !== employeeBucket.label) {
+      warnings.push({
+        code: SIZE_WARNINGS.EMPLOYEES_MISMATCH,
+        message: `employee_count ${employeeCount} is outside employee_range ${employeeBucket.label}; using the count`
+      });
+    }
+  }
+  if (revenue !== null && revenueBucket) {
+    const revenueValueBucket = bucketForValue(REVENUE_RANGE_BUCKETS, revenue);
+    if (revenueValueBucket.label !== revenueBucket.label) {
+      warnings.push({
+        code: SIZE_WARNINGS.REVENUE_MISMATCH,
+        message: `revenue_eur ${formatEur(revenue)} is outside revenue_range ${revenueBucket.label}; using the figure`
+      });
+    }
+  }
+
+  const staff = rankInterval(
+    employeeCount !== null
+      ? rankBelow(HEADCOUNT_LIMITS, employeeCount)
+      : employeeBucket
+        ? SIZE_CLASSES.indexOf(employeeBucket.sizeClass)
+        : null
+  );
+  const turnover = rankInterval(
+    revenue !== null
+      ? rankWithin(TURNOVER_CEILINGS_EUR, revenue)
+      : revenueBucket
+        ? SIZE_CLASSES.indexOf(revenueBucket.sizeClass)
+        : null
+  );
+  const balance = rankInterval(
+    balanceSheet !== null ? rankWithin(BALANCE_SHEET_CEILINGS_EUR, balanceSheet) : null
+  );
+
+  // Either financial ceiling is enough, so the financial class is the lower
+  // of the two; the headcount limit always applies.
+  const low = Math.max(staff.low, Math.min(turnover.low, balance.low));
+  const high = Math.max(staff.high, Math.min(turnover.high, balance.high));
+  const possibleClasses = SIZE_CLASSES.slice(low, high + 1);
+
+  if (low !== high) {
+    const missing = [
+      employeeCount === null && !employeeBucket ? "headcount" : null,
+      revenue === null && !revenueBucket ? "revenue" : null,
+      balanceSheet === null ? "balance sheet total" : null
+    ].filter(Boolean);
+    warnings.push({
+      code: SIZE_WARNINGS.INSUFFICIENT,
+      message: `Size class could be ${possibleClasses[0]} to ${possibleClasses[possibleClasses.length - 1]}${
+        missing.length > 0 ? `; missing ${missing.join(", ")}` : ""
+      }`
+    });
+  }
+
+  return {
+    sizeClass: low === high ? SIZE_CLASSES[low] : null,
+    possibleClasses,
+    warnings
+  };
+}
@@ -0,0 +1,257 @@
+import dotenv from "dotenv";
+import {
+  COMPANY_REASONING_MODEL,
+  COMPANY_REASONING_EFFORT,
+  COMPANY_WEB_SEARCH_ENABLED
+} from "./openaiClient.js";
+import { llmProvider } from "./llmProvider.js";
+import { createLlmError, LLM_ERROR_CODES, LLM_TIMEOUT_MS } from "./llmCall.js";
+import { validateJsonSchema } from "./schemaValidation.js";
+import { AGENT_NAMES, getActiveAgentPrompt } from "./promptRegistry.js";
+import { callLlmWithUsage } from "./usageLedger.js";
+import { extractUrlCitations } from "./citations.js";
+import { createProgressReporter, reportSearchEvents } from "./progress.js";
+import { parseModelJson } from "./modelResponseParsing.js";
+import { DATA_BLOCK_NOTICE, DATA_BLOCK_TAGS, wrapUserData } from "./inputGuard.js";
+
+dotenv.config();
+
+export const VERIFICATION_AGENT_NAME = AGENT_NAMES.VERIFICATION;
+
+// Off by default: the second pass roughly doubles the cost of a lookup.
+// Lookup requests can still opt in or out with `verify`.
+export const ENRICHMENT_VERIFICATION_ENABLED =
+  process.env.ENRICHMENT_VERIFICATION_ENABLED === "true";
+
+const parsedVerificationTimeout = Number.parseInt(
+  process.env.VERIFICATION_TIMEOUT_MS ?? "",
+  10
+);
+
+const VERIFICATION_TIMEOUT_MS =
+  Number.isInteger(parsedVerificationTimeout) && parsedVerificationTimeout > 0
+    ? parsedVerificationTimeout
+    : LLM_TIMEOUT_MS;
+
+// Identity and financial fields where a mix-up with a similarly named company
+// or another fiscal year does the most damage.
+export const VERIFIED_FIELDS = ["business_id", "city", "revenue_eur", "employee_count"];
+
+export const VERIFICATION_VERDICTS = {
+  AGREE: "agree",
+  DISAGREE: "disagree",
+  UNVERIFIABLE: "unverifiable"
+};
+
+const fieldCheckSchema = {
+  type: "object",
+  additionalProperties: false,
+  required: ["verdict", "found_value", "note"],
+  properties: {
+    verdict: { type: "string", enum: Object.values(VERIFICATION_VERDICTS) },
+    found_value: { type: ["string", "number", "null"] },
+    note: { type: "string" }
+  }
+};
+
+export const VERIFICATION_JSON_SCHEMA = {
+  name: "CompanyVerification",
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: VERIFIED_FIELDS,
+    properties: Object.fromEntries(
+      VERIFIED_FIELDS.map((field) => [field, fieldCheckSchema])
+    )
+  }
+};
+
+function buildVerificationPrompt(companyName, metrics, prompt) {
+  const firstPass = Object.fromEntries(
+    ["name", "website_url", ...VERIFIED_FIELDS].map((field) => [
+      field,
+      metrics[field] ?? null
+    ])
+  );
+
+  return [
+    {
+      role: "system",
+      content: prompt.content
+    },
+    {
+      role: "user",
+      content:
+        "Another agent looked up the company in the <company_name> block and produced the " +
+        "<first_pass_values> block. " +
+        "Check each of business_id, city, revenue_eur and employee_count with your own web searches; " +
+        "do not rely on the first-pass values. Answer \"agree\" when an independent source confirms the value, " +
+        "\"disagree\" when sources show a different value (put it in found_value, e.g. the company with " +
+        "that exact name or the latest fiscal year), or \"unverifiable\" when you cannot confirm either way. " +
+        "Explain the evidence briefly in note.\n" +
+        `${DATA_BLOCK_NOTICE}\n\n` +
+        `${wrapUserData(DATA_BLOCK_TAGS.companyName, companyName)}\n` +
+        wrapUserData(DATA_BLOCK_TAGS.firstPass, JSON.stringify(firstPass))
+    }
+  ];
+}
+
+function skippedVerification(reason) {
+  return {
+    status: "skipped",
+    reason,
+    checks: {},
+    disagreements: []
+  };
+}
+
+/**
+ * Runs the verification agent over the first-pass `metrics` of a lookup.
+ * Never throws for model failures, since the first pass remains usable:
+ * `verification.status` is "completed", "failed" or "skipped" (no prompt
+ * configured). Completed runs hold `checks` per field as
+ * `{ verdict, firstPassValue, foundValue, note }` and list the fields the
+ * agent disagreed with in `disagreements`.
+ */
+export async function verifyCompanyMetrics(companyName, metrics, { onProgress } = {}) {
+  const report = createProgressReporter(onProgress);
+  const prompt = getActiveAgentPrompt(VERIFICATION_AGENT_NAME);
+  const usageIds = [];
+  const parseDiagnostics = [];
+  const trace = [];
+  const agentRun = {
+    agent: VERIFICATION_AGENT_NAME,
+    promptId: prompt?.id ?? null,
+    promptVersion: prompt?.version ?? null,
+    model: COMPANY_REASONING_MODEL,
+    reasoningEffort: COMPANY_REASONING_EFFORT
+  };
+
+  if (!prompt && llmProvider.requiresAgentPrompts) {
+    // eslint-disable-next-line no-console
+    console.warn(
+      "[llm] Verification requested but no VERIFICATION_AGENT prompt is configured; skipping."
+    );
+    return {
+      verification: skippedVerification(
+        "VERIFICATION_AGENT prompt is missing. Add it to backend/.env or activate a verification prompt version."
+      ),
+      citations: [],
+      agentRun,
+      usageIds,
+      parseDiagnostics,
+      trace
+    };
+  }
+
+  report(
+    "verification_started",
+    `Running verification agent (prompt ${agentRun.promptVersion || "unversioned"}, ${agentRun.model})`
+  );
+
+  try {
+    const { response } = await callLlmWithUsage(
+      {
+        model: COMPANY_REASONING_MODEL,
+        reasoning: {
+          effort: COMPANY_REASONING_EFFORT
+        },
+        text: {
+          format: {
+            type: "json_schema",
+            name: VERIFICATION_JSON_SCHEMA.name,
+            schema: VERIFICATION_JSON_SCHEMA.schema,
+            strict: true
+          }
+        },
+        input: buildVerificationPrompt(
+          companyName,
+          metrics,
+          prompt ?? { content: "VERIFICATION_AGENT is not configured." }
+        ),
+        tools: COMPANY_WEB_SEARCH_ENABLED ? [{ type: "web_search" }] : []
+      },
+      { agent: VERIFICATION_AGENT_NAME, companyName },
+      { timeoutMs: VERIFICATION_TIMEOUT_MS, onEvent: reportSearchEvents(report) },
+      { agentRun, usageIds, trace }
+    );
+
+    const { value: parsed, diagnostics } = parseModelJson(response);
+    parseDiagnostics.push({ agent: VERIFICATION_AGENT_NAME, attempt: 0, ...diagnostics });
+    const errors = validateJsonSchema(VERIFICATION_JSON_SCHEMA.schema, parsed);
+    if (errors.length > 0) {
+      throw createLlmError(
+        LLM_ERROR_CODES.INVALID_OUTPUT,
+        `Verification output failed schema validation: ${errors.join("; ")}`
+      );
+    }
+
+    const checks = Object.fromEntries(
+      VERIFIED_FIELDS.map((field) => [
+        field,
+        {
+          verdict: parsed[field].verdict,
+          firstPassValue: metrics[field] ?? null,
+          foundValue: parsed[field].found_value,
+          note: parsed[field].note
+        }
+      ])
+    );
+    const disagreements = VERIFIED_FIELDS.filter(
+      (field) => checks[field].verdict === VERIFICATION_VERDICTS.DISAGREE
+    );
+
+    report(
+      "verification_completed",
+      disagreements.length > 0
+        ? `Verification disagreed on ${disagreements.join(", ")}`
+        : "Verification found no disagreements"
+    );
+
+    return {
+      verification: { status: "completed", reason: null, checks, disagreements },
+      citations: extractUrlCitations(response).map((citation) => ({
+        ...citation,
+        field: `verification.${citation.field}`
+      })),
+      agentRun,
+      usageIds,
+      parseDiagnostics,
+      trace
+    };
+  } catch (error) {
+    if (error.diagnostics) {
+      parseDiagnostics.push({
+        agent: VERIFICATION_AGENT_NAME,
+        attempt: 0,
+        ...error.diagnostics
+      });
+    }
+    // eslint-disable-next-line no-console
+    console.error("[llm] Verification agent failed:", error);
+    report("verification_failed", "Verification failed; keeping the first-pass values");
+
+    return {
+      verification: {
+        status: "failed",
+        reason: error?.message ?? "Unknown error",
+        checks: {},
+        disagreements: []
+      },
+      citations: [],
+      agentRun,
+      usageIds,
+      parseDiagnostics,
+      trace
+    };
+  }
+}
+
+// Disagreeing fields stay out of `companies` until an advisor has reviewed them.
+export function withholdDisputedMetrics(metrics, verification) {
+  const disputed = { ...metrics };
+  for (const field of verification?.disagreements ?? []) {
+    disputed[field] = null;
+  }
+  return disputed;
+}
@@ -0,0 +1,82 @@
+// Minimal RFC 4180 reader/writer for the bulk lookup upload. Excel in Finnish
+// locales saves CSV with semicolons, so the delimiter is detected from the
+// first line.
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] ?? "";
+  const counts = [",", ";", "\t"].map((delimiter) => ({
+    delimiter,
+    count: firstLine.split(delimiter).length - 1
+  }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ",";
+}
+
+/**
+ * Parses CSV text into an array of string arrays. Handles quoted fields with
+ * embedded delimiters, newlines and doubled quotes; blank lines are skipped.
+ */
+export function parseCsv(text) {
+  const source = String(text ?? "").replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const pushRow = () => {
+    row.push(field);
+    if (row.some((value) => value.trim() !== "")) rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+
+    if (inQuotes) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") index += 1;
+      pushRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) pushRow();
+  return rows;
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating cells that look like formulas.
+  if (/^[=+\-@]/.test(text) && !/^-?\d/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serializes `rows` (arrays of values) with a header line, CRLF separated.
+export function toCsv(header, rows) {
+  return [header, ...rows]
+    .map((row) => row.map(escapeCsvValue).join(","))
+    .join("\r\n")
+    .concat("\r\n");
+}
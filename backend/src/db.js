@@ -2,6 +2,25 @@ import fs from "fs";
 import path from "path";
 import Database from "better-sqlite3";
 import { fileURLToPath } from "url";
+import {
+  CONFIDENCE_FIELDS,
+  CONFIDENCE_LEVELS,
+  manualFieldConfidence
+} from "./fieldConfidence.js";
+import { businessIdToVatNumber, parseBusinessId } from "./businessId.js";
+import {
+  industryLabel,
+  industryMatches,
+  normalizeIndustryFields,
+  parseIndustryCode
+} from "./industryClassification.js";
+import {
+  canonicalizeEmployeeRange,
+  canonicalizeRevenueRange,
+  classifyCompanySize,
+  normalizeSizeRanges
+} from "./companySize.js";
+import { getElyCentre, getRegion, normalizeRegionFields } from "./regions.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,7 +30,7 @@ const dbPath = path.join(dbDirectory, "app.db");
 
 fs.mkdirSync(dbDirectory, { recursive: true });
 
-const db = new Database(dbPath);
+export const db = new Database(dbPath);
 
 db.pragma("journal_mode = WAL");
 
@@ -181,6 +200,204 @@ try {
   // eslint-disable-next-line no-empty
 } catch (e) {}
 
+export function addColumnIfMissing(table, columnDefinition) {
+  try {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${columnDefinition}`);
+    // eslint-disable-next-line no-empty
+  } catch (e) {}
+}
+
+// Enrichment outcome per case: succeeded / partial / failed plus the error class
+addColumnIfMissing("company_cases", "enrichment_status TEXT");
+addColumnIfMissing("company_cases", "enrichment_error_class TEXT");
+addColumnIfMissing("company_cases", "enrichment_error_message TEXT");
+addColumnIfMissing("company_cases", "enrichment_attempts INTEGER DEFAULT 1");
+addColumnIfMissing("company_cases", "enrichment_updated_at DATETIME");
+
+// Prompt version, model and reasoning effort that produced each stored result
+for (const table of ["company_cases", "investor_reports"]) {
+  addColumnIfMissing(table, "prompt_id INTEGER");
+  addColumnIfMissing(table, "prompt_version TEXT");
+  addColumnIfMissing(table, "llm_model TEXT");
+  addColumnIfMissing(table, "llm_reasoning_effort TEXT");
+}
+
+// Web search sources as [{ field, url, title }], see citations.js
+addColumnIfMissing("company_cases", "citations_json TEXT");
+addColumnIfMissing("investor_reports", "citations_json TEXT");
+
+// Per-field confidence: the case keeps the rating from its own agent run, the
+// company row the rating of the value currently stored in each column.
+addColumnIfMissing("company_cases", "field_confidence_json TEXT");
+addColumnIfMissing("companies", "field_confidence_json TEXT");
+
+// Second-pass verification result (see companyVerification.js), including the
+// advisor's resolution of each disagreement.
+addColumnIfMissing("company_cases", "verification_json TEXT");
+
+// Input guard decision for the advisor input of the case (see inputGuard.js).
+addColumnIfMissing("company_cases", "input_guard_json TEXT");
+
+// Problems found in the agent output that kept a value out of `companies`,
+// e.g. an invalid Business ID: [{ field, flag, value, message }].
+addColumnIfMissing("company_cases", "data_flags_json TEXT");
+
+// Trade register identity (see tradeRegister.js): the registered name and date
+// on the company, the full lookup outcome on the case.
+addColumnIfMissing("companies", "registered_name TEXT");
+addColumnIfMissing("companies", "registration_date TEXT");
+addColumnIfMissing("company_cases", "registry_json TEXT");
+
+// Business ID the advisor entered with the lookup, so enrichment retries look
+// up the same register entry instead of the one the agent guessed.
+addColumnIfMissing("company_cases", "input_business_id TEXT");
+
+// Balance sheet total, the third input of the EU SME size class (see
+// companySize.js).
+addColumnIfMissing("companies", "balance_sheet_total_eur REAL");
+
+// Municipality, region and ELY centre derived from `city` (see regions.js).
+addColumnIfMissing("companies", "municipality TEXT");
+addColumnIfMissing("companies", "region_code TEXT");
+addColumnIfMissing("companies", "ely_centre_code TEXT");
+
+// Catalogue entry a funding programme recommendation was linked from (see
+// fundingPrograms.js).
+addColumnIfMissing("recommendations", "program_id INTEGER");
+
+// Investor report and canonical investor (see investorDirectory.js) of an
+// investor recommendation, scored by investorFit.js.
+addColumnIfMissing("recommendations", "report_id INTEGER");
+addColumnIfMissing("recommendations", "investor_id INTEGER");
+
+// Rewrites stored Business IDs that are valid but not in the canonical
+// 1234567-8 form (missing hyphen, FI prefix). Invalid IDs are left for review.
+function normalizeStoredBusinessIds() {
+  const rows = db
+    .prepare("SELECT id, business_id FROM companies WHERE business_id IS NOT NULL")
+    .all();
+  const updateStmt = db.prepare("UPDATE companies SET business_id = ? WHERE id = ?");
+
+  db.transaction(() => {
+    for (const row of rows) {
+      const parsed = parseBusinessId(row.business_id);
+      if (parsed.valid && parsed.businessId !== row.business_id) {
+        updateStmt.run(parsed.businessId, row.id);
+      }
+    }
+  })();
+}
+
+normalizeStoredBusinessIds();
+
+// Rewrites valid stored TOL 2008 codes to canonical digits and derives
+// industry_text from them (see industryClassification.js). Invalid codes are
+// left for review.
+function normalizeStoredIndustryCodes() {
+  const rows = db
+    .prepare(
+      "SELECT id, industry_code, industry_text FROM companies WHERE industry_code IS NOT NULL"
+    )
+    .all();
+  const updateStmt = db.prepare(
+    "UPDATE companies SET industry_code = ?, industry_text = ? WHERE id = ?"
+  );
+
+  db.transaction(() => {
+    for (const row of rows) {
+      if (!parseIndustryCode(row.industry_code).valid) continue;
+      const normalized = normalizeIndustryFields(row);
+      if (
+        normalized.industry_code !== row.industry_code ||
+        normalized.industry_text !== row.industry_text
+      ) {
+        updateStmt.run(normalized.industry_code, normalized.industry_text, row.id);
+      }
+    }
+  })();
+}
+
+normalizeStoredIndustryCodes();
+
+// Rewrites stored employee and revenue ranges to the fixed buckets of
+// companySize.js. Ranges that cannot be read are left for review.
+function normalizeStoredSizeRanges() {
+  const rows = db
+    .prepare(
+      `SELECT id, employee_range, revenue_range FROM companies
+       WHERE employee_range IS NOT NULL OR revenue_range IS NOT NULL`
+    )
+    .all();
+  const updateStmt = db.prepare(
+    "UPDATE companies SET employee_range = ?, revenue_range = ? WHERE id = ?"
+  );
+
+  db.transaction(() => {
+    for (const row of rows) {
+      const normalized = normalizeSizeRanges(row, { dropUnreadable: false });
+      if (
+        normalized.employee_range !== row.employee_range ||
+        normalized.revenue_range !== row.revenue_range
+      ) {
+        updateStmt.run(normalized.employee_range, normalized.revenue_range, row.id);
+      }
+    }
+  })();
+}
+
+normalizeStoredSizeRanges();
+
+const updateCompanyRegionStmt = db.prepare(
+  `UPDATE companies SET
+    city = @city,
+    municipality = @municipality,
+    region_code = @region_code,
+    ely_centre_code = @ely_centre_code
+  WHERE id = @id`
+);
+
+// Normalizes the stored city against the municipality list and derives the
+// region columns from it; called after every write that may touch city or
+// country.
+function syncCompanyRegion(row) {
+  if (!row) return;
+  const fields = normalizeRegionFields(row);
+  if (
+    ["city", "municipality", "region_code", "ely_centre_code"].some(
+      (column) => fields[column] !== row[column]
+    )
+  ) {
+    updateCompanyRegionStmt.run({ id: row.id, ...fields });
+  }
+}
+
+function normalizeStoredRegions() {
+  const rows = db
+    .prepare(
+      "SELECT id, city, country, municipality, region_code, ely_centre_code FROM companies"
+    )
+    .all();
+  db.transaction(() => rows.forEach(syncCompanyRegion))();
+}
+
+normalizeStoredRegions();
+
+// Cases created before the funding programme catalogue carry the two
+// placeholder recommendations the old case writer added; only those exact
+// rows are removed, so real recommendations are never touched.
+db.prepare(
+  `DELETE FROM recommendations
+   WHERE (kind = 'funding_program'
+          AND name = 'Example public R&D funding programme (demo)'
+          AND provider = 'Business Finland (demo)')
+      OR (kind = 'investor'
+          AND name = 'Example Nordic VC fund (demo)'
+          AND provider = 'Demo Capital Partners')`
+).run();
+
+const BASIC_CASE_TITLE = "Quick lookup";
+const DETAILED_CASE_TITLE = "Detailed profile";
+
 const selectCompanyByNameStmt = db.prepare(
   "SELECT id FROM companies WHERE name = ?"
 );
@@ -194,6 +411,8 @@ const insertCompanyStmt = db.prepare(
 const updateCompanyFromMetricsStmt = db.prepare(
   `UPDATE companies SET
     business_id          = COALESCE(@business_id, business_id),
+    registered_name      = COALESCE(@registered_name, registered_name),
+    registration_date    = COALESCE(@registration_date, registration_date),
     website_url          = COALESCE(@website_url, website_url),
     country              = COALESCE(@country, country),
     city                 = COALESCE(@city, city),
@@ -203,12 +422,14 @@ const updateCompanyFromMetricsStmt = db.prepare(
     employee_range       = COALESCE(@employee_range, employee_range),
     revenue_eur          = COALESCE(@revenue_eur, revenue_eur),
     revenue_range        = COALESCE(@revenue_range, revenue_range),
+    balance_sheet_total_eur = COALESCE(@balance_sheet_total_eur, balance_sheet_total_eur),
     stage                = COALESCE(@stage, stage),
     funding_need_type    = COALESCE(@funding_need_type, funding_need_type),
     funding_need_min_eur = COALESCE(@funding_need_min_eur, funding_need_min_eur),
     funding_need_max_eur = COALESCE(@funding_need_max_eur, funding_need_max_eur),
     funding_need_summary = COALESCE(@funding_need_summary, funding_need_summary),
     description          = COALESCE(@description, description),
+    field_confidence_json = @field_confidence_json,
     updated_at           = CURRENT_TIMESTAMP
   WHERE id = @id`
 );
@@ -223,7 +444,24 @@ const insertCaseStmt = db.prepare(
     funding_need_max_eur,
     funding_need_details,
     extra_input_json,
-    company_summary_text
+    company_summary_text,
+    enrichment_status,
+    enrichment_error_class,
+    enrichment_error_message,
+    enrichment_updated_at,
+    prompt_id,
+    prompt_version,
+    llm_model,
+    llm_reasoning_effort,
+    citations_json,
+    field_confidence_json,
+    verification_json,
+    input_guard_json,
+    data_flags_json,
+    registry_json,
+    input_business_id,
+    debug_request_payload,
+    debug_response_payload
   ) VALUES (
     @company_id,
     @case_title,
@@ -233,10 +471,97 @@ const insertCaseStmt = db.prepare(
     @funding_need_max_eur,
     @funding_need_details,
     @extra_input_json,
-    @company_summary_text
+    @company_summary_text,
+    @enrichment_status,
+    @enrichment_error_class,
+    @enrichment_error_message,
+    CURRENT_TIMESTAMP,
+    @prompt_id,
+    @prompt_version,
+    @llm_model,
+    @llm_reasoning_effort,
+    @citations_json,
+    @field_confidence_json,
+    @verification_json,
+    @input_guard_json,
+    @data_flags_json,
+    @registry_json,
+    @input_business_id,
+    @debug_request_payload,
+    @debug_response_payload
   )`
 );
 
+const selectCaseForRetryStmt = db.prepare(
+  `SELECT
+    cc.id AS case_id,
+    cc.company_id,
+    cc.case_title,
+    cc.funding_need_details,
+    cc.enrichment_status,
+    cc.input_business_id,
+    c.name AS company_name
+  FROM company_cases cc
+  JOIN companies c ON cc.company_id = c.id
+  WHERE cc.id = ?`
+);
+
+const selectCaseDebugStmt = db.prepare(
+  `SELECT
+    cc.id AS case_id,
+    cc.company_id,
+    cc.case_title,
+    cc.extra_input_json,
+    cc.enrichment_status,
+    cc.enrichment_error_class,
+    cc.enrichment_error_message,
+    cc.enrichment_attempts,
+    cc.enrichment_updated_at,
+    cc.prompt_version,
+    cc.llm_model,
+    cc.llm_reasoning_effort,
+    cc.input_guard_json,
+    cc.registry_json,
+    cc.debug_request_payload,
+    cc.debug_response_payload,
+    c.name AS company_name
+  FROM company_cases cc
+  JOIN companies c ON cc.company_id = c.id
+  WHERE cc.id = ?`
+);
+
+const selectCaseVerificationStmt = db.prepare(
+  "SELECT id, company_id, verification_json FROM company_cases WHERE id = ?"
+);
+
+const updateCaseVerificationStmt = db.prepare(
+  "UPDATE company_cases SET verification_json = @verification_json WHERE id = @id"
+);
+
+const updateCaseEnrichmentStmt = db.prepare(
+  `UPDATE company_cases SET
+    extra_input_json         = @extra_input_json,
+    company_summary_text     = @company_summary_text,
+    enrichment_status        = @enrichment_status,
+    enrichment_error_class   = @enrichment_error_class,
+    enrichment_error_message = @enrichment_error_message,
+    enrichment_attempts      = COALESCE(enrichment_attempts, 1) + 1,
+    enrichment_updated_at    = CURRENT_TIMESTAMP,
+    prompt_id                = @prompt_id,
+    prompt_version           = @prompt_version,
+    llm_model                = @llm_model,
+    llm_reasoning_effort     = @llm_reasoning_effort,
+    citations_json           = @citations_json,
+    field_confidence_json    = @field_confidence_json,
+    verification_json        = @verification_json,
+    input_guard_json         = @input_guard_json,
+    data_flags_json          = @data_flags_json,
+    registry_json            = @registry_json,
+    debug_request_payload    = @debug_request_payload,
+    debug_response_payload   = @debug_response_payload
+  WHERE id = @id`
+);
+
 const insertRecommendationStmt = db.prepare(
   `INSERT INTO recommendations (
     case_id,
@@ -254,7 +579,10 @@ const insertRecommendationStmt = db.prepare(
     score,
     rank,
     explanation_text,
-    raw_metadata_json
+    raw_metadata_json,
+    program_id,
+    report_id,
+    investor_id
   ) VALUES (
     @case_id,
     @kind,
@@ -271,18 +599,81 @@ const insertRecommendationStmt = db.prepare(
     @score,
     @rank,
     @explanation_text,
-    @raw_metadata_json
+    @raw_metadata_json,
+    @program_id,
+    @report_id,
+    @investor_id
   )`
 );
 
+const deleteCaseRecommendationsStmt = db.prepare(
+  "DELETE FROM recommendations WHERE case_id = ? AND kind = ?"
+);
+
+const deleteReportRecommendationsStmt = db.prepare(
+  "DELETE FROM recommendations WHERE report_id = ? AND kind = 'investor'"
+);
+
+const selectUnscoredInvestorReportsStmt = db.prepare(
+  `SELECT ir.id, ir.company_id, ir.recommendation
+   FROM investor_reports ir
+   WHERE NOT EXISTS (
+     SELECT 1 FROM recommendations r
+     WHERE r.report_id = ir.id AND r.kind = 'investor'
+   )
+   ORDER BY ir.id`
+);
+
+const selectReportRecommendationsStmt = db.prepare(
+  `SELECT investor_id, score, rank, raw_metadata_json
+   FROM recommendations
+   WHERE report_id = ? AND kind = 'investor'
+   ORDER BY rank, id`
+);
+
+const selectCaseRecommendationsStmt = db.prepare(
+  `SELECT
+    program_id,
+    name,
+    provider,
+    url,
+    funding_type,
+    min_amount_eur,
+    max_amount_eur,
+    score,
+    rank,
+    explanation_text,
+    raw_metadata_json
+  FROM recommendations
+  WHERE case_id = ? AND kind = ?
+  ORDER BY rank, id`
+);
+
 const insertHistoryStmt = db.prepare(
   `INSERT INTO history (company_id, case_id, action)
    VALUES (@company_id, @case_id, @action)`
 );
 
 const insertInvestorReportStmt = db.prepare(
-  `INSERT INTO investor_reports (company_id, company_name, recommendation)
-   VALUES (@company_id, @company_name, @recommendation)`
+  `INSERT INTO investor_reports (
+    company_id,
+    company_name,
+    recommendation,
+    prompt_id,
+    prompt_version,
+    llm_model,
+    llm_reasoning_effort,
+    citations_json
+  ) VALUES (
+    @company_id,
+    @company_name,
+    @recommendation,
+    @prompt_id,
+    @prompt_version,
+    @llm_model,
+    @llm_reasoning_effort,
+    @citations_json
+  )`
 );
 
 const selectCompanyProfileByIdStmt = db.prepare(
@@ -290,6 +681,8 @@ const selectCompanyProfileByIdStmt = db.prepare(
     c.id AS company_id,
     c.name AS company_name,
     c.business_id,
+    c.registered_name,
+    c.registration_date,
     c.website_url,
     c.country,
     c.city,
@@ -299,13 +692,19 @@ const selectCompanyProfileByIdStmt = db.prepare(
     c.employee_range,
     c.revenue_eur,
     c.revenue_range,
+    c.balance_sheet_total_eur,
+    c.municipality,
+    c.region_code,
+    c.ely_centre_code,
     c.stage,
     c.funding_need_type,
     c.funding_need_min_eur,
     c.funding_need_max_eur,
     c.funding_need_summary,
     c.description,
+    c.field_confidence_json,
     cc.company_summary_text,
+    cc.id AS latest_case_id,
     cc.created_at AS latest_case_created_at
   FROM companies c
   LEFT JOIN company_cases cc ON cc.company_id = c.id
@@ -361,7 +760,11 @@ const selectRecentInvestorReportsStmt = db.prepare(
     ir.company_id,
     ir.company_name,
     ir.recommendation,
-    ir.created_at
+    ir.created_at,
+    ir.prompt_version,
+    ir.llm_model,
+    ir.llm_reasoning_effort,
+    ir.citations_json
   FROM investor_reports ir
   ORDER BY ir.created_at DESC
   LIMIT ?`
@@ -374,8 +777,23 @@ const selectRecentCasesStmt = db.prepare(
     cc.case_title,
     cc.company_summary_text,
     cc.created_at,
+    cc.enrichment_status,
+    cc.enrichment_error_class,
+    cc.enrichment_error_message,
+    cc.enrichment_attempts,
+    cc.enrichment_updated_at,
+    cc.prompt_version,
+    cc.llm_model,
+    cc.llm_reasoning_effort,
+    cc.citations_json,
+    cc.verification_json,
+    cc.input_guard_json,
+    cc.data_flags_json,
+    cc.registry_json,
     c.name AS company_name,
     c.business_id,
+    c.registered_name,
+    c.registration_date,
     c.website_url,
     c.country,
     c.city,
@@ -385,12 +803,17 @@ const selectRecentCasesStmt = db.prepare(
     c.employee_range,
     c.revenue_eur,
     c.revenue_range,
+    c.balance_sheet_total_eur,
+    c.municipality,
+    c.region_code,
+    c.ely_centre_code,
     c.stage,
     c.funding_need_type,
     c.funding_need_min_eur,
     c.funding_need_max_eur,
     c.funding_need_summary,
     c.description,
+    c.field_confidence_json,
     c.manual_change_log
   FROM company_cases cc
   JOIN companies c ON cc.company_id = c.id
@@ -417,6 +840,7 @@ const MANUAL_EDITABLE_COLUMNS = new Set([
   "employee_range",
   "revenue_eur",
   "revenue_range",
+  "balance_sheet_total_eur",
   "stage",
   "funding_need_type",
   "funding_need_min_eur",
@@ -429,6 +853,7 @@ const MANUAL_EDITABLE_COLUMNS = new Set([
 const MANUAL_NUMERIC_COLUMNS = new Set([
   "employee_count",
   "revenue_eur",
+  "balance_sheet_total_eur",
   "funding_need_min_eur",
   "funding_need_max_eur"
 ]);
@@ -456,6 +881,35 @@ function coerceManualValue(column, rawValue) {
       return { shouldPersist: true, value: null };
     }
 
+    if (column === "business_id") {
+      const parsed = parseBusinessId(trimmed);
+      return parsed.valid
+        ? { shouldPersist: true, value: parsed.businessId }
+        : { shouldPersist: false, error: `Invalid business_id: ${parsed.error}` };
+    }
+
+    if (column === "industry_code") {
+      const parsed = parseIndustryCode(trimmed);
+      return parsed.valid
+        ? { shouldPersist: true, value: parsed.code }
+        : { shouldPersist: false, error: `Invalid industry_code: ${parsed.error}` };
+    }
+
+    if (column === "employee_range" || column === "revenue_range") {
+      const canonical =
+        column === "employee_range"
+          ? canonicalizeEmployeeRange(trimmed)
+          : canonicalizeRevenueRange(trimmed);
+      return canonical
+        ? { shouldPersist: true, value: canonical }
+        : {
+            shouldPersist: false,
+            error: `Invalid ${column}: "${trimmed}" is not a range such as ${
+              column === "employee_range" ? "10-19" : "2M-10M"
+            }`
+          };
+    }
+
     if (MANUAL_NUMERIC_COLUMNS.has(column)) {
       const numeric = Number(trimmed);
       if (!Number.isFinite(numeric)) {
@@ -474,7 +928,7 @@ function coerceManualValue(column, rawValue) {
     if (MANUAL_NUMERIC_COLUMNS.has(column)) {
       return { shouldPersist: true, value: rawValue };
     }
-    return { shouldPersist: true, value: rawValue.toString() };
+    return coerceManualValue(column, rawValue.toString());
   }
 
   return { shouldPersist: true, value: rawValue };
@@ -492,6 +946,26 @@ function parseManualLog(rawLog) {
   }
 }
 
+const METRIC_FIELD_BY_COLUMN = new Map(
+  Array.from(MANUAL_FIELD_NAME_MAP, ([field, column]) => [column, field])
+);
+
+function applyManualFieldConfidence(rawConfidence, changes) {
+  const confidence = { ...(parseFieldConfidence(rawConfidence) ?? {}) };
+
+  for (const change of changes) {
+    const field = METRIC_FIELD_BY_COLUMN.get(change.column) ?? change.column;
+    if (!CONFIDENCE_FIELDS.includes(field)) continue;
+
+    confidence[field] =
+      change.to === null
+        ? { level: CONFIDENCE_LEVELS.UNKNOWN, score: 0, source: "manual" }
+        : manualFieldConfidence();
+  }
+
+  return JSON.stringify(confidence);
+}
+
 export function applyManualCompanyUpdates({ companyId, updates }) {
   if (!Number.isInteger(Number(companyId))) {
     throw new Error("Valid companyId is required");
@@ -551,6 +1025,43 @@ export function applyManualCompanyUpdates({ companyId, updates }) {
     });
   }
 
+  // A city that names a municipality is stored under its Finnish name (see
+  // regions.js), so "Åbo" and "Turku" are the same edit.
+  if ("city" in updatePayload) {
+    const { city } = normalizeRegionFields({
+      city: updatePayload.city,
+      country: "country" in updatePayload ? updatePayload.country : existingRow.country
+    });
+    const changeIndex = changes.findIndex((change) => change.column === "city");
+    if (city === existingRow.city) {
+      delete updatePayload.city;
+      changes.splice(changeIndex, 1);
+    } else {
+      updatePayload.city = city;
+      changes[changeIndex].to = city;
+    }
+  }
+
+  // industry_text follows a valid industry_code (see industryClassification.js).
+  const industryCode =
+    "industry_code" in updatePayload ? updatePayload.industry_code : existingRow.industry_code;
+  if (parseIndustryCode(industryCode).valid) {
+    const derivedText = industryLabel(industryCode, "en");
+    if ("industry_text" in updatePayload) {
+      validationErrors.push(
+        `industry_text is derived from industry_code ${industryCode}; change the code instead`
+      );
+    } else if ("industry_code" in updatePayload && derivedText !== existingRow.industry_text) {
+      updatePayload.industry_text = derivedText;
+      changes.push({
+        column: "industry_text",
+        from: existingRow.industry_text ?? null,
+        to: derivedText,
+        changedAt: timestamp
+      });
+    }
+  }
+
   if (validationErrors.length > 0) {
     const validationError = new Error(validationErrors.join("; "));
     validationError.statusCode = 400;
@@ -568,6 +1079,10 @@ export function applyManualCompanyUpdates({ companyId, updates }) {
   const baseLog = parseManualLog(existingRow.manual_change_log);
   const updatedLog = [...baseLog, ...changes];
   updatePayload.manual_change_log = JSON.stringify(updatedLog);
+  updatePayload.field_confidence_json = applyManualFieldConfidence(
+    existingRow.field_confidence_json,
+    changes
+  );
 
   const setFragments = Object.keys(updatePayload).map(
     (column) => `${column} = @${column}`
@@ -580,6 +1095,7 @@ export function applyManualCompanyUpdates({ companyId, updates }) {
 
   const stmt = db.prepare(sql);
   stmt.run({ company_id_target: numericId, ...updatePayload });
+  syncCompanyRegion(selectCompanyByIdStmt.get(numericId));
 
   return {
     updated: true,
@@ -598,30 +1114,69 @@ function getOrCreateCompanyIdByName(name) {
   return result.lastInsertRowid;
 }
 
-function updateCompanyWithMetrics(companyId, metrics) {
+function parseFieldConfidence(rawConfidence) {
+  if (!rawConfidence) return null;
+  try {
+    const parsed = JSON.parse(rawConfidence);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed)
+      ? parsed
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Metrics only fill columns with non-null values (see the COALESCE above), so
+// only those fields take over the new rating.
+function mergeFieldConfidence(rawExisting, metrics, fieldConfidence) {
+  const merged = { ...(parseFieldConfidence(rawExisting) ?? {}) };
+
+  for (const [field, confidence] of Object.entries(fieldConfidence ?? {})) {
+    const value = metrics[field];
+    if (value !== null && value !== undefined) {
+      merged[field] = confidence;
+    }
+  }
+
+  return Object.keys(merged).length > 0 ? JSON.stringify(merged) : null;
+}
+
+function updateCompanyWithMetrics(companyId, metrics, fieldConfidence) {
   if (!metrics || typeof metrics !== "object") return;
 
+  const existingRow = selectCompanyByIdStmt.get(companyId);
+  const industry = normalizeIndustryFields(metrics);
+  const sizeRanges = normalizeSizeRanges(metrics);
   const payload = {
     id: companyId,
     business_id: metrics.business_id ?? null,
+    registered_name: metrics.registered_name ?? null,
+    registration_date: metrics.registration_date ?? null,
     website_url: metrics.website_url ?? null,
     country: metrics.country ?? null,
     city: metrics.city ?? null,
-    industry_code: metrics.industry_code ?? null,
-    industry_text: metrics.industry_text ?? null,
+    industry_code: industry.industry_code,
+    industry_text: industry.industry_text,
     employee_count: metrics.employee_count ?? null,
-    employee_range: metrics.employee_range ?? null,
+    employee_range: sizeRanges.employee_range,
     revenue_eur: metrics.revenue_eur ?? null,
-    revenue_range: metrics.revenue_range ?? null,
+    revenue_range: sizeRanges.revenue_range,
+    balance_sheet_total_eur: metrics.balance_sheet_total_eur ?? null,
     stage: metrics.stage ?? null,
     funding_need_type: metrics.funding_need_type_guess ?? null,
     funding_need_min_eur: metrics.funding_need_min_eur_guess ?? null,
     funding_need_max_eur: metrics.funding_need_max_eur_guess ?? null,
     funding_need_summary: metrics.funding_need_summary_guess ?? null,
-    description: metrics.description ?? null
+    description: metrics.description ?? null,
+    field_confidence_json: mergeFieldConfidence(
+      existingRow?.field_confidence_json,
+      metrics,
+      fieldConfidence
+    )
   };
 
   updateCompanyFromMetricsStmt.run(payload);
+  syncCompanyRegion(selectCompanyByIdStmt.get(companyId));
 }
 
 function recordHistory({ companyId, caseId, action }) {
@@ -632,92 +1187,346 @@ function recordHistory({ companyId, caseId, action }) {
   });
 }
 
-export function recordInvestorReport({ companyId, companyName, recommendation }) {
-  insertInvestorReportStmt.run({
+function agentRunColumns(agentRun) {
+  return {
+    prompt_id: agentRun?.promptId ?? null,
+    prompt_version: agentRun?.promptVersion ?? null,
+    llm_model: agentRun?.model ?? null,
+    llm_reasoning_effort: agentRun?.reasoningEffort ?? null
+  };
+}
+
+function citationsColumn(citations) {
+  return {
+    citations_json: Array.isArray(citations) ? JSON.stringify(citations) : null
+  };
+}
+
+function fieldConfidenceColumn(fieldConfidence) {
+  return {
+    field_confidence_json: fieldConfidence ? JSON.stringify(fieldConfidence) : null
+  };
+}
+
+function verificationColumn(verification) {
+  return {
+    verification_json: verification ? JSON.stringify(verification) : null
+  };
+}
+
+// Every model call of the latest run on the case: the request as sent
+// (messages, output format, tools) and the raw response or error, numbered
+// so both columns line up. Parse diagnostics come from modelResponseParsing.js.
+function debugPayloadColumns(trace, parseDiagnostics) {
+  const calls = Array.isArray(trace) ? trace : [];
+
+  return {
+    debug_request_payload: JSON.stringify({
+      calls: calls.map((entry, index) => ({
+        call: index + 1,
+        agent: entry.agent,
+        request: entry.request
+      }))
+    }),
+    debug_response_payload: JSON.stringify({
+      calls: calls.map((entry, index) => ({
+        call: index + 1,
+        agent: entry.agent,
+        attempts: entry.attempts,
+        latencyMs: entry.latencyMs,
+        response: entry.response,
+        error: entry.error
+      })),
+      parseDiagnostics: Array.isArray(parseDiagnostics) ? parseDiagnostics : []
+    })
+  };
+}
+
+function parseDebugPayload(rawPayload) {
+  if (!rawPayload) return null;
+  try {
+    return JSON.parse(rawPayload);
+  } catch (error) {
+    return null;
+  }
+}
+
+function inputGuardColumn(inputGuard) {
+  return {
+    input_guard_json: inputGuard ? JSON.stringify(inputGuard) : null
+  };
+}
+
+function dataFlagsColumn(dataFlags) {
+  return {
+    data_flags_json:
+      Array.isArray(dataFlags) && dataFlags.length > 0 ? JSON.stringify(dataFlags) : null
+  };
+}
+
+function registryColumn(registry) {
+  return {
+    registry_json: registry ? JSON.stringify(registry) : null
+  };
+}
+
+function parseRegistry(rawRegistry) {
+  if (!rawRegistry) return null;
+  try {
+    return JSON.parse(rawRegistry);
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseDataFlags(rawDataFlags) {
+  if (!rawDataFlags) return [];
+  try {
+    const parsed = JSON.parse(rawDataFlags);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function parseInputGuard(rawInputGuard) {
+  if (!rawInputGuard) return null;
+  try {
+    return JSON.parse(rawInputGuard);
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseVerification(rawVerification) {
+  if (!rawVerification) return null;
+  try {
+    return JSON.parse(rawVerification);
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseCitations(rawCitations) {
+  if (!rawCitations) return [];
+  try {
+    const parsed = JSON.parse(rawCitations);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function shapeAgentRunFromRow(row) {
+  if (!row?.llm_model && !row?.prompt_version) return null;
+
+  return {
+    promptVersion: row.prompt_version,
+    model: row.llm_model,
+    reasoningEffort: row.llm_reasoning_effort
+  };
+}
+
+export function recordInvestorReport({
+  companyId,
+  companyName,
+  recommendation,
+  citations,
+  agentRun
+}) {
+  const result = insertInvestorReportStmt.run({
     company_id: companyId,
     company_name: companyName,
-    recommendation: JSON.stringify(recommendation)
+    recommendation: JSON.stringify(recommendation),
+    ...agentRunColumns(agentRun),
+    ...citationsColumn(citations)
   });
+
+  return { reportId: result.lastInsertRowid };
 }
 
-function insertDemoRecommendations(caseId, type) {
-  const isDetailed = type === "detailed";
+/**
+ * Replaces the `kind` recommendations of a case ("funding_program" or
+ * "investor") with `recommendations`, given as `recommendations` rows.
+ */
+export function replaceCaseRecommendations(caseId, kind, recommendations) {
+  db.transaction(() => {
+    deleteCaseRecommendationsStmt.run(caseId, kind);
+    for (const item of recommendations) {
+      insertRecommendationStmt.run({
+        instrument_category: null,
+        raw_metadata_json: null,
+        program_id: null,
+        report_id: null,
+        investor_id: null,
+        ...item,
+        case_id: caseId,
+        kind
+      });
+    }
+  })();
+}
 
-  const recommendations = [];
+/**
+ * Replaces the investor recommendations of an investor report with
+ * `recommendations`, given as `recommendations` rows. They are filed under
+ * `caseId`, the company's case the report was scored against.
+ */
+export function replaceReportRecommendations(reportId, caseId, recommendations) {
+  db.transaction(() => {
+    deleteReportRecommendationsStmt.run(reportId);
+    for (const item of recommendations) {
+      insertRecommendationStmt.run({
+        instrument_category: null,
+        raw_metadata_json: null,
+        program_id: null,
+        investor_id: null,
+        ...item,
+        case_id: caseId,
+        report_id: reportId,
+        kind: "investor"
+      });
+    }
+  })();
+}
 
-  recommendations.push({
-    case_id: caseId,
-    kind: "funding_program",
-    name: "Example public R&D funding programme (demo)",
-    provider: "Business Finland (demo)",
-    url: "https://www.businessfinland.fi/",
-    stage_match: null,
-    funding_type: "grant",
-    instrument_category: "national",
-    min_amount_eur: 50000,
-    max_amount_eur: 500000,
-    geography_focus: "FI",
-    sector_focus: "general innovation",
-    score: 0.8,
-    rank: 1,
-    explanation_text:
-      "Demo recommendation: in the real system this would represent a specific public funding instrument that matches the company profile.",
-    raw_metadata_json: null
+function parseRecommendationMetadata(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn("[db] Failed to parse recommendation metadata JSON:", error);
+    return null;
+  }
+}
+
+/**
+ * Funding programmes linked to a case, best match first (see
+ * fundingPrograms.js).
+ */
+export function listCaseFundingPrograms(caseId) {
+  return selectCaseRecommendationsStmt.all(caseId, "funding_program").map((row) => {
+    const metadata = parseRecommendationMetadata(row.raw_metadata_json);
+    return {
+      programId: row.program_id,
+      name: row.name,
+      provider: row.provider,
+      url: row.url,
+      instrumentType: row.funding_type,
+      minAmountEur: row.min_amount_eur,
+      maxAmountEur: row.max_amount_eur,
+      score: row.score,
+      rank: row.rank,
+      explanation: row.explanation_text,
+      eligibilityStatus: metadata?.status ?? null,
+      rules: metadata?.rules ?? [],
+      nextDeadline: metadata?.nextDeadline ?? null
+    };
   });
+}
 
-  if (isDetailed) {
-    recommendations.push({
-      case_id: caseId,
-      kind: "investor",
-      name: "Example Nordic VC fund (demo)",
-      provider: "Demo Capital Partners",
-      url: "https://example-vc.demo/",
-      stage_match: "seed",
-      funding_type: "equity",
-      instrument_category: "private",
-      min_amount_eur: 250000,
-      max_amount_eur: 2000000,
-      geography_focus: "Nordic",
-      sector_focus: "technology, digital",
-      score: 0.75,
-      rank: 2,
-      explanation_text:
-        "Demo investor recommendation: in the real system, investors would be filtered and ranked based on stage, ticket size and sector focus.",
-      raw_metadata_json: null
-    });
-  }
+/**
+ * Fit scores of the investors of a report, best first: `{ position,
+ * investorId, score, rank, components }` where `position` indexes
+ * `recommended_investors` (see investorFit.js).
+ */
+export function listReportInvestorFits(reportId) {
+  return selectReportRecommendationsStmt.all(reportId).map((row) => {
+    const metadata = parseRecommendationMetadata(row.raw_metadata_json);
+    return {
+      position: metadata?.position ?? null,
+      investorId: row.investor_id,
+      score: row.score,
+      rank: row.rank,
+      components: metadata?.components ?? []
+    };
+  });
+}
 
-  const insertMany = db.transaction((items) => {
-    for (const item of items) {
-      insertRecommendationStmt.run(item);
+/**
+ * Investor reports without investor recommendations, i.e. saved before fit
+ * scoring existed: `{ reportId, companyId, recommendation }`.
+ */
+export function listUnscoredInvestorReports() {
+  return selectUnscoredInvestorReportsStmt.all().flatMap((row) => {
+    try {
+      return [
+        {
+          reportId: row.id,
+          companyId: row.company_id,
+          recommendation: JSON.parse(row.recommendation)
+        }
+      ];
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn("[db] Failed to parse investor recommendation JSON:", error);
+      return [];
     }
   });
+}
 
-  insertMany(recommendations);
+function enrichmentColumns(enrichment) {
+  return {
+    enrichment_status: enrichment?.status ?? null,
+    enrichment_error_class: enrichment?.errorClass ?? null,
+    enrichment_error_message: enrichment?.errorMessage ?? null
+  };
 }
 
-export function recordBasicCase({ companyName, summary, metrics, rawInput }) {
+// Failed lookups carry no real data, so they must never overwrite the company row.
+function shouldApplyMetrics(enrichment) {
+  return enrichment?.status !== "failed";
+}
+
+export function recordBasicCase({
+  companyName,
+  businessId,
+  summary,
+  metrics,
+  rawInput,
+  enrichment,
+  agentRun,
+  citations,
+  fieldConfidence,
+  verification,
+  parseDiagnostics,
+  trace,
+  inputGuard,
+  dataFlags,
+  registry
+}) {
   const companyId = getOrCreateCompanyIdByName(companyName);
 
-  updateCompanyWithMetrics(companyId, metrics);
+  if (shouldApplyMetrics(enrichment)) {
+    updateCompanyWithMetrics(companyId, metrics, fieldConfidence);
+  }
 
   const caseInfo = {
     company_id: companyId,
-    case_title: "Quick lookup",
+    case_title: BASIC_CASE_TITLE,
     stage: null,
     funding_need_type: null,
     funding_need_min_eur: null,
     funding_need_max_eur: null,
     funding_need_details: null,
     extra_input_json: rawInput ? JSON.stringify(rawInput) : null,
-    company_summary_text: summary
+    company_summary_text: summary,
+    ...enrichmentColumns(enrichment),
+    ...agentRunColumns(agentRun),
+    ...citationsColumn(citations),
+    ...fieldConfidenceColumn(fieldConfidence),
+    ...verificationColumn(verification),
+    ...inputGuardColumn(inputGuard),
+    ...dataFlagsColumn(dataFlags),
+    ...registryColumn(registry),
+    input_business_id: businessId ?? null,
+    ...debugPayloadColumns(trace, parseDiagnostics)
   };
 
   const result = insertCaseStmt.run(caseInfo);
   const caseId = result.lastInsertRowid;
 
-  insertDemoRecommendations(caseId, "basic");
-
   recordHistory({ companyId, caseId, action: "summary-basic" });
 
   return { companyId, caseId };
@@ -725,52 +1534,250 @@ export function recordBasicCase({ companyName, summary, metrics, rawInput }) {
 
 export function recordDetailedCase({
   companyName,
+  businessId,
   summary,
   metrics,
   extraInfo,
-  rawInput
+  rawInput,
+  enrichment,
+  agentRun,
+  citations,
+  fieldConfidence,
+  verification,
+  parseDiagnostics,
+  trace,
+  inputGuard,
+  dataFlags,
+  registry
 }) {
   const companyId = getOrCreateCompanyIdByName(companyName);
 
-  updateCompanyWithMetrics(companyId, metrics);
+  if (shouldApplyMetrics(enrichment)) {
+    updateCompanyWithMetrics(companyId, metrics, fieldConfidence);
+  }
 
   const caseInfo = {
     company_id: companyId,
-    case_title: "Detailed profile",
+    case_title: DETAILED_CASE_TITLE,
     stage: null,
     funding_need_type: null,
     funding_need_min_eur: null,
     funding_need_max_eur: null,
     funding_need_details: extraInfo || null,
     extra_input_json: rawInput ? JSON.stringify(rawInput) : null,
-    company_summary_text: summary
+    company_summary_text: summary,
+    ...enrichmentColumns(enrichment),
+    ...agentRunColumns(agentRun),
+    ...citationsColumn(citations),
+    ...fieldConfidenceColumn(fieldConfidence),
+    ...verificationColumn(verification),
+    ...inputGuardColumn(inputGuard),
+    ...dataFlagsColumn(dataFlags),
+    ...registryColumn(registry),
+    input_business_id: businessId ?? null,
+    ...debugPayloadColumns(trace, parseDiagnostics)
   };
 
   const result = insertCaseStmt.run(caseInfo);
   const caseId = result.lastInsertRowid;
 
-  insertDemoRecommendations(caseId, "detailed");
-
   recordHistory({ companyId, caseId, action: "summary-detailed" });
 
   return { companyId, caseId };
 }
 
+export function getCaseForRetry(caseId) {
+  const row = selectCaseForRetryStmt.get(caseId);
+  if (!row) return null;
+
+  return {
+    caseId: row.case_id,
+    companyId: row.company_id,
+    companyName: row.company_name,
+    kind: row.case_title === DETAILED_CASE_TITLE ? "detailed" : "basic",
+    extraInfo: row.funding_need_details,
+    businessId: row.input_business_id,
+    enrichmentStatus: row.enrichment_status
+  };
+}
+
+/**
+ * The stored agent trace of a case for prompt debugging: the user input,
+ * every model request and the matching raw responses and parse diagnostics
+ * of the latest run. Cases stored before tracing have `request` and
+ * `response` set to null.
+ */
+export function getCaseDebug(caseId) {
+  const row = selectCaseDebugStmt.get(caseId);
+  if (!row) return null;
+
+  return {
+    caseId: row.case_id,
+    companyId: row.company_id,
+    companyName: row.company_name,
+    kind: row.case_title === DETAILED_CASE_TITLE ? "detailed" : "basic",
+    input: parseDebugPayload(row.extra_input_json),
+    inputGuard: parseInputGuard(row.input_guard_json),
+    registry: parseRegistry(row.registry_json),
+    enrichment: shapeEnrichmentFromRow(row),
+    agentRun: shapeAgentRunFromRow(row),
+    request: parseDebugPayload(row.debug_request_payload),
+    response: parseDebugPayload(row.debug_response_payload)
+  };
+}
+
+export function recordEnrichmentRetry({
+  caseId,
+  companyId,
+  summary,
+  metrics,
+  rawInput,
+  enrichment,
+  agentRun,
+  citations,
+  fieldConfidence,
+  verification,
+  parseDiagnostics,
+  trace,
+  inputGuard,
+  dataFlags,
+  registry
+}) {
+  const applyRetry = db.transaction(() => {
+    if (shouldApplyMetrics(enrichment)) {
+      updateCompanyWithMetrics(companyId, metrics, fieldConfidence);
+    }
+
+    updateCaseEnrichmentStmt.run({
+      id: caseId,
+      extra_input_json: rawInput ? JSON.stringify(rawInput) : null,
+      company_summary_text: summary,
+      ...enrichmentColumns(enrichment),
+      ...agentRunColumns(agentRun),
+      ...citationsColumn(citations),
+      ...fieldConfidenceColumn(fieldConfidence),
+      ...verificationColumn(verification),
+      ...inputGuardColumn(inputGuard),
+      ...dataFlagsColumn(dataFlags),
+      ...registryColumn(registry),
+      ...debugPayloadColumns(trace, parseDiagnostics)
+    });
+
+    recordHistory({ companyId, caseId, action: "retry-enrichment" });
+  });
+
+  applyRetry();
+
+  return { companyId, caseId };
+}
+
+const VERIFICATION_RESOLUTIONS = ["first_pass", "verification", "keep_current"];
+
+/**
+ * Records the advisor's decision on a field the verification agent disagreed
+ * with: "first_pass" or "verification" writes that value to the company as a
+ * manual edit, "keep_current" leaves the company row untouched.
+ */
+export function resolveVerificationDisagreement({ caseId, field, resolution }) {
+  const row = selectCaseVerificationStmt.get(caseId);
+  if (!row) {
+    const error = new Error("Case not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const verification = parseVerification(row.verification_json);
+  if (!verification?.disagreements?.includes(field)) {
+    const error = new Error(`The verification agent did not dispute ${field} on this case`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  if (!VERIFICATION_RESOLUTIONS.includes(resolution)) {
+    const error = new Error(
+      `resolution must be one of: ${VERIFICATION_RESOLUTIONS.join(", ")}`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const check = verification.checks[field];
+  const value =
+    resolution === "first_pass"
+      ? check.firstPassValue
+      : resolution === "verification"
+        ? check.foundValue
+        : undefined;
+
+  const applyResolution = db.transaction(() => {
+    const update =
+      value === undefined
+        ? null
+        : applyManualCompanyUpdates({
+            companyId: row.company_id,
+            updates: { [field]: value }
+          });
+
+    const resolved = {
+      ...verification,
+      resolutions: {
+        ...(verification.resolutions ?? {}),
+        [field]: { resolution, value: value ?? null, resolvedAt: new Date().toISOString() }
+      }
+    };
+    updateCaseVerificationStmt.run({
+      id: row.id,
+      verification_json: JSON.stringify(resolved)
+    });
+
+    return { verification: resolved, update };
+  });
+
+  return applyResolution();
+}
+
+function shapeEnrichmentFromRow(row) {
+  if (!row?.enrichment_status) return null;
+
+  return {
+    status: row.enrichment_status,
+    errorClass: row.enrichment_error_class,
+    errorMessage: row.enrichment_error_message,
+    attempts: row.enrichment_attempts ?? 1,
+    updatedAt: row.enrichment_updated_at
+  };
+}
+
 function shapeMetricsFromRow(row) {
   if (!row) return null;
 
+  const companySize = classifyCompanySize(row);
+  const region = getRegion(row.region_code);
   return {
     name: row.company_name,
     business_id: row.business_id,
+    vat_number: businessIdToVatNumber(row.business_id),
+    registered_name: row.registered_name,
+    registration_date: row.registration_date,
     website_url: row.website_url,
     country: row.country,
     city: row.city,
+    municipality: row.municipality,
+    region_code: row.region_code,
+    region: region?.fi ?? null,
+    region_sv: region?.sv ?? null,
+    ely_centre: getElyCentre(row.ely_centre_code)?.fi ?? null,
     industry_code: row.industry_code,
     industry_text: row.industry_text,
+    industry_text_fi: industryLabel(row.industry_code, "fi"),
+    industry_section: parseIndustryCode(row.industry_code).section?.code ?? null,
     employee_count: row.employee_count,
     employee_range: row.employee_range,
     revenue_eur: row.revenue_eur,
     revenue_range: row.revenue_range,
+    balance_sheet_total_eur: row.balance_sheet_total_eur,
+    size_class: companySize.sizeClass,
+    size_warnings: companySize.warnings,
     stage: row.stage,
     funding_need_type_guess: row.funding_need_type,
     funding_need_min_eur_guess: row.funding_need_min_eur,
@@ -781,6 +1788,52 @@ function shapeMetricsFromRow(row) {
   };
 }
 
+const selectCompaniesStmt = db.prepare(
+  `SELECT
+    id,
+    name,
+    business_id,
+    city,
+    municipality,
+    region_code,
+    ely_centre_code,
+    industry_code,
+    industry_text,
+    stage,
+    updated_at
+  FROM companies
+  ORDER BY name COLLATE NOCASE`
+);
+
+/**
+ * Stored companies, optionally narrowed to a TOL 2008 `industry` (a section
+ * letter or a code prefix, see industryMatches), a `regionCode` and an
+ * `elyCentreCode` (see regions.js).
+ */
+export function listCompanies({ industry, regionCode, elyCentreCode } = {}) {
+  return selectCompaniesStmt
+    .all()
+    .filter((row) => !industry || industryMatches(row.industry_code, industry))
+    .filter((row) => !regionCode || row.region_code === regionCode)
+    .filter((row) => !elyCentreCode || row.ely_centre_code === elyCentreCode)
+    .map((row) => ({
+      companyId: row.id,
+      companyName: row.name,
+      businessId: row.business_id,
+      city: row.city,
+      municipality: row.municipality,
+      regionCode: row.region_code,
+      region: getRegion(row.region_code)?.fi ?? null,
+      elyCentre: getElyCentre(row.ely_centre_code)?.fi ?? null,
+      industryCode: row.industry_code,
+      industryText: row.industry_text,
+      industryTextFi: industryLabel(row.industry_code, "fi"),
+      industrySection: parseIndustryCode(row.industry_code).section?.code ?? null,
+      stage: row.stage,
+      updatedAt: row.updated_at
+    }));
+}
+
 export function getRecentCompanyHistory(limit = 20) {
   const safeLimit = Number.isFinite(limit)
     ? Math.min(Math.max(Math.floor(limit), 1), 100)
@@ -796,7 +1849,16 @@ export function getRecentCompanyHistory(limit = 20) {
     companyName: row.company_name,
     createdAt: row.created_at,
     summary: row.company_summary_text,
+    enrichment: shapeEnrichmentFromRow(row),
+    agentRun: shapeAgentRunFromRow(row),
     metrics: shapeMetricsFromRow(row),
+    fieldConfidence: parseFieldConfidence(row.field_confidence_json),
+    verification: parseVerification(row.verification_json),
+    inputGuard: parseInputGuard(row.input_guard_json),
+    dataFlags: parseDataFlags(row.data_flags_json),
+    registry: parseRegistry(row.registry_json),
+    citations: parseCitations(row.citations_json),
+    fundingPrograms: listCaseFundingPrograms(row.case_id),
     manualChangeLog: parseManualLog(row.manual_change_log)
   }));
 
@@ -815,8 +1877,11 @@ export function getRecentCompanyHistory(limit = 20) {
       companyId: row.company_id,
       companyName: row.company_name,
       createdAt: row.created_at,
-    investmentReport: recommendation,
-    manualChangeLog: selectInvestorReportChanges(row.report_id)
+      agentRun: shapeAgentRunFromRow(row),
+      investmentReport: recommendation,
+      citations: parseCitations(row.citations_json),
+      investorFit: listReportInvestorFits(row.report_id),
+      manualChangeLog: selectInvestorReportChanges(row.report_id)
     };
   });
 
@@ -834,8 +1899,10 @@ export function getCompanyProfileById(companyId) {
 
   return {
     companyId: row.company_id,
+    caseId: row.latest_case_id,
     createdAt: row.latest_case_created_at,
-    metrics: shapeMetricsFromRow(row)
+    metrics: shapeMetricsFromRow(row),
+    fieldConfidence: parseFieldConfidence(row.field_confidence_json)
   };
 }
 
@@ -939,6 +2006,7 @@ export function applyManualInvestorReportUpdates({ reportId, recommendation }) {
   const changes = diffRecommendationPayloads(parsedExisting, recommendation);
   if (changes.length === 0) {
     return {
+      companyId: existing.company_id,
       updated: false,
       message: "No changes detected",
       manualChangeLog: selectInvestorReportChanges(numericId),
@@ -965,6 +2033,7 @@ export function applyManualInvestorReportUpdates({ reportId, recommendation }) {
   insertMany(changes);
 
   return {
+    companyId: existing.company_id,
     updated: true,
     changes,
     manualChangeLog: selectInvestorReportChanges(numericId),
@@ -0,0 +1,303 @@
+import { SIZE_CLASSES, classifyCompanySize } from "./companySize.js";
+import { classifyFundingStage } from "./fundingStage.js";
+import { industryLabel, industryMatches } from "./industryClassification.js";
+import { getRegion } from "./regions.js";
+
+// Deterministic eligibility rules for the funding programme catalogue. Every
+// rule reports its outcome with a message an advisor can show the client, so
+// the result can be explained without the LLM.
+
+export const ELIGIBILITY_STATUSES = {
+  ELIGIBLE: "eligible",
+  INELIGIBLE: "ineligible",
+  NEEDS_INFO: "needs_info"
+};
+
+export const RULE_OUTCOMES = {
+  PASS: "pass",
+  FAIL: "fail",
+  UNKNOWN: "unknown"
+};
+
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function formatEur(value) {
+  return `€${value.toLocaleString("en-US")}`;
+}
+
+function formatRange(min, max) {
+  if (min !== null && max !== null) return `${formatEur(min)}–${formatEur(max)}`;
+  return max !== null ? `up to ${formatEur(max)}` : `from ${formatEur(min)}`;
+}
+
+function formatList(values) {
+  return values.join(", ");
+}
+
+function regionName(code) {
+  return getRegion(code)?.fi ?? code;
+}
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+const rule = (name, restricted, outcome, message) => ({
+  rule: name,
+  restricted,
+  outcome,
+  message
+});
+
+const RULES = [
+  function callDeadline(program, metrics, { today }) {
+    if (program.callDeadlines.length === 0) {
+      return rule("call_deadline", false, RULE_OUTCOMES.PASS, "Continuous application");
+    }
+    const next = program.callDeadlines.find((deadline) => deadline >= today);
+    return next
+      ? rule("call_deadline", true, RULE_OUTCOMES.PASS, `Next call deadline ${next}`)
+      : rule(
+          "call_deadline",
+          true,
+          RULE_OUTCOMES.FAIL,
+          `All call deadlines have passed (last ${program.callDeadlines.at(-1)})`
+        );
+  },
+
+  function stage(program, metrics) {
+    const eligible = program.eligibleStages;
+    if (eligible.length === 0) {
+      return rule("stage", false, RULE_OUTCOMES.PASS, "Open to all stages");
+    }
+    const companyStage = classifyFundingStage(metrics?.stage);
+    const allowed = `eligible: ${formatList(eligible)}`;
+    if (!companyStage) {
+      return rule(
+        "stage",
+        true,
+        RULE_OUTCOMES.UNKNOWN,
+        metrics?.stage
+          ? `Stage "${metrics.stage}" does not name a funding stage; ${allowed}`
+          : `Company stage is unknown; ${allowed}`
+      );
+    }
+    return eligible.includes(companyStage)
+      ? rule("stage", true, RULE_OUTCOMES.PASS, `Stage ${companyStage} is eligible`)
+      : rule(
+          "stage",
+          true,
+          RULE_OUTCOMES.FAIL,
+          `Stage ${companyStage} is not eligible; ${allowed}`
+        );
+  },
+
+  // The company fits when every class its figures allow is eligible.
+  function sizeClass(program, metrics, { sizing }) {
+    const eligible = SIZE_CLASSES.filter((entry) => program.sizeClasses.includes(entry));
+    if (eligible.length === 0) {
+      return rule("size_class", false, RULE_OUTCOMES.PASS, "Open to all company sizes");
+    }
+    const possible = sizing.possibleClasses;
+    const eligiblePossible = possible.filter((entry) => eligible.includes(entry));
+    const allowed = `eligible: ${formatList(eligible)}`;
+    if (eligiblePossible.length === possible.length) {
+      return rule(
+        "size_class",
+        true,
+        RULE_OUTCOMES.PASS,
+        sizing.sizeClass
+          ? `Size class ${sizing.sizeClass} is eligible`
+          : `Every possible size class (${formatList(possible)}) is eligible`
+      );
+    }
+    return eligiblePossible.length === 0
+      ? rule(
+          "size_class",
+          true,
+          RULE_OUTCOMES.FAIL,
+          `Size class ${formatList(possible)} is not eligible; ${allowed}`
+        )
+      : rule(
+          "size_class",
+          true,
+          RULE_OUTCOMES.UNKNOWN,
+          `Size class could be ${formatList(possible)}; ${allowed}. ` +
+            "Add the headcount and financial figures."
+        );
+  },
+
+  function fundingNeed(program, metrics) {
+    const { minAmountEur: min, maxAmountEur: max } = program;
+    if (min === null && max === null) {
+      return rule("funding_need", false, RULE_OUTCOMES.PASS, "No amount limits");
+    }
+    const amounts = [
+      metrics?.funding_need_min_eur_guess,
+      metrics?.funding_need_max_eur_guess
+    ].filter(isNumber);
+    if (amounts.length === 0) {
+      return rule(
+        "funding_need",
+        true,
+        RULE_OUTCOMES.UNKNOWN,
+        `Funding need is unknown; the programme funds ${formatRange(min, max)}`
+      );
+    }
+    const needMin = Math.min(...amounts);
+    const needMax = Math.max(...amounts);
+    const need = needMin === needMax ? formatEur(needMin) : formatRange(needMin, needMax);
+    if (max !== null && needMin > max) {
+      return rule(
+        "funding_need",
+        true,
+        RULE_OUTCOMES.FAIL,
+        `Funding need ${need} is above the programme maximum ${formatEur(max)}`
+      );
+    }
+    if (min !== null && needMax < min) {
+      return rule(
+        "funding_need",
+        true,
+        RULE_OUTCOMES.FAIL,
+        `Funding need ${need} is below the programme minimum ${formatEur(min)}`
+      );
+    }
+    return rule(
+      "funding_need",
+      true,
+      RULE_OUTCOMES.PASS,
+      `Funding need ${need} overlaps the programme range ${formatRange(min, max)}`
+    );
+  },
+
+  function region(program, metrics) {
+    const eligible = program.regions;
+    if (eligible.length === 0) {
+      return rule("region", false, RULE_OUTCOMES.PASS, "Open to all of Finland");
+    }
+    const code = metrics?.region_code;
+    if (!code) {
+      return rule(
+        "region",
+        true,
+        RULE_OUTCOMES.UNKNOWN,
+        metrics?.city
+          ? `"${metrics.city}" is not a Finnish municipality, so the region is unknown`
+          : "Company region is unknown"
+      );
+    }
+    return eligible.includes(code)
+      ? rule("region", true, RULE_OUTCOMES.PASS, `Region ${regionName(code)} is eligible`)
+      : rule(
+          "region",
+          true,
+          RULE_OUTCOMES.FAIL,
+          `Region ${regionName(code)} is not eligible; ` +
+            `eligible: ${formatList(eligible.map(regionName))}`
+        );
+  },
+
+  function industry(program, metrics) {
+    const sectors = program.sectors;
+    if (sectors.length === 0) {
+      return rule("industry", false, RULE_OUTCOMES.PASS, "Open to all industries");
+    }
+    const code = metrics?.industry_code;
+    if (!code) {
+      return rule(
+        "industry",
+        true,
+        RULE_OUTCOMES.UNKNOWN,
+        `Industry code is unknown; eligible sectors: ${formatList(sectors)}`
+      );
+    }
+    const match = sectors.find((sector) => industryMatches(code, sector));
+    const label = industryLabel(code) ?? code;
+    return match
+      ? rule(
+          "industry",
+          true,
+          RULE_OUTCOMES.PASS,
+          `Industry ${code} (${label}) falls under sector ${match}`
+        )
+      : rule(
+          "industry",
+          true,
+          RULE_OUTCOMES.FAIL,
+          `Industry ${code} (${label}) is outside the eligible sectors: ` +
+            formatList(sectors)
+        );
+  },
+
+  // Age from the trade register registration date, in years.
+  function companyAge(program, metrics, { today }) {
+    const { minCompanyAgeYears: min, maxCompanyAgeYears: max } = program;
+    if (min === null && max === null) {
+      return rule("company_age", false, RULE_OUTCOMES.PASS, "No company age limits");
+    }
+    const limit = [
+      min !== null ? `at least ${min} years` : null,
+      max !== null ? `under ${max} years` : null
+    ]
+      .filter(Boolean)
+      .join(" and ");
+    const registered = DATE_PATTERN.exec(metrics?.registration_date ?? "")?.[1];
+    const registeredAt = registered ? Date.parse(`${registered}T00:00:00Z`) : NaN;
+    if (Number.isNaN(registeredAt)) {
+      return rule(
+        "company_age",
+        true,
+        RULE_OUTCOMES.UNKNOWN,
+        `Registration date is unknown; the programme requires ${limit}`
+      );
+    }
+    const age = (Date.parse(`${today}T00:00:00Z`) - registeredAt) / (365.25 * DAY_MS);
+    const described = `Company is ${age.toFixed(1)} years old (registered ${registered})`;
+    return (min === null || age >= min) && (max === null || age < max)
+      ? rule("company_age", true, RULE_OUTCOMES.PASS, `${described}; required: ${limit}`)
+      : rule("company_age", true, RULE_OUTCOMES.FAIL, `${described}; required: ${limit}`);
+  }
+];
+
+/**
+ * Checks company `metrics` (as returned by getCompanyProfileById) against a
+ * catalogue programme. Returns `{ status, score, nextDeadline, rules }`:
+ * `status` is "ineligible" when a rule fails, "needs_info" when a rule lacks
+ * company data, otherwise "eligible". `rules` lists every rule as
+ * `{ rule, restricted, outcome, message }`, where unrestricted rules pass.
+ * `score` is the share of restricted rules that pass, counting unknown ones
+ * as half (0.5 when the programme has no restrictions).
+ */
+export function evaluateProgramEligibility(
+  program,
+  metrics,
+  { today = new Date() } = {}
+) {
+  const context = {
+    today: today.toISOString().slice(0, 10),
+    sizing: classifyCompanySize(metrics)
+  };
+  const rules = RULES.map((check) => check(program, metrics, context));
+  const restricted = rules.filter((entry) => entry.restricted);
+  const count = (outcome) =>
+    restricted.filter((entry) => entry.outcome === outcome).length;
+
+  const status =
+    count(RULE_OUTCOMES.FAIL) > 0
+      ? ELIGIBILITY_STATUSES.INELIGIBLE
+      : count(RULE_OUTCOMES.UNKNOWN) > 0
+        ? ELIGIBILITY_STATUSES.NEEDS_INFO
+        : ELIGIBILITY_STATUSES.ELIGIBLE;
+  const passed = count(RULE_OUTCOMES.PASS) + count(RULE_OUTCOMES.UNKNOWN) / 2;
+  const score = restricted.length === 0 ? 0.5 : passed / restricted.length;
+
+  return {
+    status,
+    score: Number(score.toFixed(3)),
+    nextDeadline:
+      program.callDeadlines.find((deadline) => deadline >= context.today) ?? null,
+    rules
+  };
+}
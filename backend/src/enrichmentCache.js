@@ -0,0 +1,161 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { db, addColumnIfMissing } from "./db.js";
+
+dotenv.config();
+
+const parsedTtlHours = Number.parseFloat(
+  process.env.ENRICHMENT_CACHE_TTL_HOURS ?? ""
+);
+
+// 0 disables the cache; lookups then always run the agent.
+export const ENRICHMENT_CACHE_TTL_HOURS =
+  Number.isFinite(parsedTtlHours) && parsedTtlHours >= 0 ? parsedTtlHours : 24;
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS enrichment_cache (
+  cache_key       TEXT PRIMARY KEY,
+  company_query   TEXT NOT NULL,
+  prompt_version  TEXT,
+  llm_model       TEXT,
+  metrics_json    TEXT NOT NULL,
+  raw_response    TEXT,
+  created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expires_at      DATETIME NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_enrichment_cache_expires_at
+  ON enrichment_cache(expires_at);
+`);
+
+addColumnIfMissing("enrichment_cache", "citations_json TEXT");
+addColumnIfMissing("enrichment_cache", "field_confidence_json TEXT");
+
+const selectCacheEntryStmt = db.prepare(
+  `SELECT metrics_json, raw_response, citations_json, field_confidence_json,
+     created_at, expires_at
+   FROM enrichment_cache
+   WHERE cache_key = ? AND expires_at > CURRENT_TIMESTAMP`
+);
+
+const upsertCacheEntryStmt = db.prepare(
+  `INSERT INTO enrichment_cache (
+    cache_key,
+    company_query,
+    prompt_version,
+    llm_model,
+    metrics_json,
+    raw_response,
+    citations_json,
+    field_confidence_json,
+    created_at,
+    expires_at
+  ) VALUES (
+    @cache_key,
+    @company_query,
+    @prompt_version,
+    @llm_model,
+    @metrics_json,
+    @raw_response,
+    @citations_json,
+    @field_confidence_json,
+    CURRENT_TIMESTAMP,
+    datetime('now', @ttl_modifier)
+  )
+  ON CONFLICT(cache_key) DO UPDATE SET
+    metrics_json = excluded.metrics_json,
+    raw_response = excluded.raw_response,
+    citations_json = excluded.citations_json,
+    field_confidence_json = excluded.field_confidence_json,
+    created_at = excluded.created_at,
+    expires_at = excluded.expires_at`
+);
+
+const deleteExpiredEntriesStmt = db.prepare(
+  "DELETE FROM enrichment_cache WHERE expires_at <= CURRENT_TIMESTAMP"
+);
+
+export function isEnrichmentCacheEnabled() {
+  return ENRICHMENT_CACHE_TTL_HOURS > 0;
+}
+
+// "  Lyyti  OY " and "lyyti oy" share a cache entry.
+export function normalizeCompanyQuery(query) {
+  return String(query ?? "")
+    .normalize("NFKC")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+function hashPromptText(text) {
+  return crypto
+    .createHash("sha256")
+    .update(String(text ?? ""))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// The prompt text hash keeps unversioned prompts (and edits made outside the
+// registry) from serving answers produced under a different prompt.
+export function buildEnrichmentCacheKey({ query, promptVersion, promptText, model }) {
+  return [
+    normalizeCompanyQuery(query),
+    promptVersion ?? "-",
+    hashPromptText(promptText),
+    model ?? "-"
+  ].join("|");
+}
+
+/**
+ * Returns `{ metrics, raw, citations, fieldConfidence, cachedAt, expiresAt }`
+ * for a live entry (`fieldConfidence` is null for entries written before it
+ * was tracked), or null when the key is unknown, expired or the cache is disabled.
+ */
+export function getCachedEnrichment(cacheKey) {
+  if (!isEnrichmentCacheEnabled()) return null;
+
+  const row = selectCacheEntryStmt.get(cacheKey);
+  if (!row) return null;
+
+  try {
+    return {
+      metrics: JSON.parse(row.metrics_json),
+      raw: row.raw_response,
+      citations: row.citations_json ? JSON.parse(row.citations_json) : [],
+      fieldConfidence: row.field_confidence_json
+        ? JSON.parse(row.field_confidence_json)
+        : null,
+      cachedAt: row.created_at,
+      expiresAt: row.expires_at
+    };
+  } catch {
+    return null;
+  }
+}
+
+export function storeCachedEnrichment({
+  cacheKey,
+  query,
+  promptVersion,
+  model,
+  metrics,
+  raw,
+  citations,
+  fieldConfidence
+}) {
+  if (!isEnrichmentCacheEnabled()) return;
+
+  deleteExpiredEntriesStmt.run();
+  upsertCacheEntryStmt.run({
+    cache_key: cacheKey,
+    company_query: query,
+    prompt_version: promptVersion ?? null,
+    llm_model: model ?? null,
+    metrics_json: JSON.stringify(metrics),
+    raw_response: raw ?? null,
+    citations_json: JSON.stringify(citations ?? []),
+    field_confidence_json: fieldConfidence ? JSON.stringify(fieldConfidence) : null,
+    ttl_modifier: `+${Math.round(ENRICHMENT_CACHE_TTL_HOURS * 3600)} seconds`
+  });
+}
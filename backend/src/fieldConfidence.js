@@ -0,0 +1,174 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const CONFIDENCE_LEVELS = {
+  VERIFIED: "verified",
+  ESTIMATED: "estimated",
+  UNKNOWN: "unknown"
+};
+
+// Metric fields the lookup agent rates; `name` and `summary` are always set.
+export const CONFIDENCE_FIELDS = [
+  "business_id",
+  "website_url",
+  "country",
+  "city",
+  "industry_text",
+  "industry_code",
+  "employee_count",
+  "employee_range",
+  "revenue_eur",
+  "revenue_range",
+  "balance_sheet_total_eur",
+  "stage",
+  "funding_need_type_guess",
+  "funding_need_min_eur_guess",
+  "funding_need_max_eur_guess",
+  "funding_need_summary_guess",
+  "description"
+];
+
+// The funding need fields are the agent's own estimate, never a reported fact.
+export const ESTIMATE_ONLY_FIELDS = new Set(
+  CONFIDENCE_FIELDS.filter((field) => field.endsWith("_guess"))
+);
+
+// Used when the model left a field unrated (older cache entries, salvaged
+// answers): a cited value counts as verified, anything else as an estimate.
+const DERIVED_SCORES = {
+  [CONFIDENCE_LEVELS.VERIFIED]: 0.7,
+  [CONFIDENCE_LEVELS.ESTIMATED]: 0.4
+};
+
+const parsedMinScore = Number.parseFloat(
+  process.env.INVESTOR_MATCH_MIN_CONFIDENCE ?? ""
+);
+
+// Fields scored below this are withheld from the funding advisor agent.
+export const INVESTOR_MATCH_MIN_CONFIDENCE =
+  Number.isFinite(parsedMinScore) && parsedMinScore >= 0 && parsedMinScore <= 1
+    ? parsedMinScore
+    : 0.5;
+
+const fieldConfidenceSchema = {
+  type: "object",
+  additionalProperties: false,
+  required: ["level", "score"],
+  properties: {
+    level: { type: "string", enum: Object.values(CONFIDENCE_LEVELS) },
+    score: { type: "number" }
+  }
+};
+
+// Embedded in the CompanyMetrics schema as `field_confidence`.
+export const FIELD_CONFIDENCE_JSON_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: CONFIDENCE_FIELDS,
+  properties: Object.fromEntries(
+    CONFIDENCE_FIELDS.map((field) => [field, fieldConfidenceSchema])
+  )
+};
+
+export const FIELD_CONFIDENCE_INSTRUCTIONS =
+  "Rate every field in `field_confidence` with a level and a score between 0 and 1: " +
+  '"verified" when the value comes from an official or company source you found, ' +
+  '"estimated" when it is inferred or taken from an indirect source, ' +
+  '"unknown" (score 0) when the value is null.';
+
+function isMissing(value) {
+  return value === null || value === undefined || value === "";
+}
+
+function clampScore(score) {
+  return Math.round(Math.min(Math.max(score, 0), 1) * 100) / 100;
+}
+
+/**
+ * Combines the agent's self-reported `field_confidence` with what the answer
+ * actually contains. Null values are always "unknown", estimate-only fields
+ * are capped at "estimated", and unrated fields are derived from citations.
+ * Returns `{ [field]: { level, score, source } }` with source "agent" or
+ * "derived".
+ */
+export function resolveFieldConfidence(metrics, reported, citations = []) {
+  const citedFields = new Set((citations || []).map((citation) => citation.field));
+  const resolved = {};
+
+  for (const field of CONFIDENCE_FIELDS) {
+    if (isMissing(metrics?.[field])) {
+      resolved[field] = { level: CONFIDENCE_LEVELS.UNKNOWN, score: 0, source: "derived" };
+      continue;
+    }
+
+    const entry = reported?.[field];
+    let confidence;
+    if (
+      entry &&
+      Object.values(CONFIDENCE_LEVELS).includes(entry.level) &&
+      entry.level !== CONFIDENCE_LEVELS.UNKNOWN &&
+      typeof entry.score === "number" &&
+      Number.isFinite(entry.score)
+    ) {
+      confidence = { level: entry.level, score: clampScore(entry.score), source: "agent" };
+    } else {
+      const level = citedFields.has(field)
+        ? CONFIDENCE_LEVELS.VERIFIED
+        : CONFIDENCE_LEVELS.ESTIMATED;
+      confidence = { level, score: DERIVED_SCORES[level], source: "derived" };
+    }
+
+    if (
+      ESTIMATE_ONLY_FIELDS.has(field) &&
+      confidence.level === CONFIDENCE_LEVELS.VERIFIED
+    ) {
+      confidence.level = CONFIDENCE_LEVELS.ESTIMATED;
+    }
+
+    resolved[field] = confidence;
+  }
+
+  return resolved;
+}
+
+// Values typed in by an advisor are treated as checked facts.
+export function manualFieldConfidence() {
+  return { level: CONFIDENCE_LEVELS.VERIFIED, score: 1, source: "manual" };
+}
+
+// Values copied from the trade register (see tradeRegister.js).
+export function registryFieldConfidence() {
+  return { level: CONFIDENCE_LEVELS.VERIFIED, score: 1, source: "registry" };
+}
+
+/**
+ * Nulls every field whose stored confidence is below `minScore` so the
+ * funding advisor does not build on guesses. Fields without a stored rating
+ * (companies enriched before confidence was tracked) pass through unchanged,
+ * and so do the estimate-only funding need fields: they are capped at
+ * "estimated" and would otherwise never reach the advisor, which labels them
+ * as estimates instead.
+ */
+export function filterConfidentMetrics(
+  metrics,
+  confidence,
+  minScore = INVESTOR_MATCH_MIN_CONFIDENCE
+) {
+  const filtered = { ...metrics };
+  const withheldFields = [];
+
+  for (const field of CONFIDENCE_FIELDS) {
+    const entry = confidence?.[field];
+    if (!entry || isMissing(filtered[field]) || ESTIMATE_ONLY_FIELDS.has(field)) {
+      continue;
+    }
+
+    if (entry.score < minScore) {
+      filtered[field] = null;
+      withheldFields.push(field);
+    }
+  }
+
+  return { metrics: filtered, withheldFields };
+}
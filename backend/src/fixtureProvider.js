@@ -0,0 +1,188 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_FIXTURES_DIRECTORY = path.join(__dirname, "..", "fixtures");
+
+const DEFAULT_FIXTURE_KEY = "_default";
+
+export function fixtureKeyForCompany(companyName) {
+  const slug = String(companyName ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  return slug || DEFAULT_FIXTURE_KEY;
+}
+
+export function fixturePathFor(fixturesDirectory, agent, companyName) {
+  return path.join(
+    fixturesDirectory,
+    agent,
+    `${fixtureKeyForCompany(companyName)}.json`
+  );
+}
+
+function substituteTemplate(value, replacements) {
+  if (typeof value === "string") {
+    return value.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+      Object.prototype.hasOwnProperty.call(replacements, key)
+        ? String(replacements[key])
+        : match
+    );
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => substituteTemplate(item, replacements));
+  }
+
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        substituteTemplate(item, replacements)
+      ])
+    );
+  }
+
+  return value;
+}
+
+// Hand-written fixtures may carry the agent's JSON answer under `output`
+// instead of a full recorded Responses API payload.
+function buildResponseFromOutput(output, fixtureFile) {
+  return {
+    id: `fixture_${path.basename(fixtureFile, ".json")}`,
+    object: "response",
+    status: "completed",
+    model: "fixture",
+    output: [
+      {
+        type: "message",
+        role: "assistant",
+        content: [
+          {
+            type: "output_text",
+            text: JSON.stringify(output),
+            annotations: []
+          }
+        ]
+      }
+    ],
+    usage: {
+      input_tokens: 0,
+      output_tokens: 0,
+      total_tokens: 0
+    }
+  };
+}
+
+function readFixture(fixtureFile) {
+  try {
+    return JSON.parse(fs.readFileSync(fixtureFile, "utf8"));
+  } catch (error) {
+    if (error?.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+// Mirrors the search events the OpenAI adapter reports while streaming.
+function replaySearchEvents(response, onEvent) {
+  for (const item of response?.output || []) {
+    if (item?.type !== "web_search_call") continue;
+    onEvent({ type: "search_started" });
+    onEvent({ type: "search_completed", query: item.action?.query ?? null });
+  }
+}
+
+/**
+ * Deterministic provider that replays recorded Responses API payloads from
+ * `<fixturesDirectory>/<agent>/<company-slug>.json`, falling back to the
+ * agent's `_default.json` template when no company-specific recording exists.
+ */
+export function createFixtureProvider({
+  fixturesDirectory = DEFAULT_FIXTURES_DIRECTORY
+} = {}) {
+  return {
+    name: "fixture",
+    sourceLabel: "fixture",
+    requiresAgentPrompts: false,
+    async createResponse(request, { agent, companyName } = {}, { onEvent } = {}) {
+      if (!agent) {
+        throw new Error("Fixture provider requires an agent name");
+      }
+
+      const specificFile = fixturePathFor(fixturesDirectory, agent, companyName);
+      const defaultFile = path.join(
+        fixturesDirectory,
+        agent,
+        `${DEFAULT_FIXTURE_KEY}.json`
+      );
+
+      let fixtureFile = specificFile;
+      let fixture = readFixture(specificFile);
+      if (!fixture) {
+        fixtureFile = defaultFile;
+        fixture = readFixture(defaultFile);
+      }
+
+      if (!fixture) {
+        const error = new Error(
+          `No fixture recorded for agent "${agent}" and company "${companyName}" (looked for ${specificFile})`
+        );
+        error.code = "FIXTURE_NOT_FOUND";
+        throw error;
+      }
+
+      const replacements = { companyName: companyName ?? "" };
+
+      let response;
+      if (fixture.response) {
+        response = fixture.response;
+      } else if (fixture.output !== undefined) {
+        response = buildResponseFromOutput(
+          substituteTemplate(fixture.output, replacements),
+          fixtureFile
+        );
+      } else {
+        throw new Error(
+          `Fixture ${fixtureFile} must contain either "response" or "output"`
+        );
+      }
+
+      if (onEvent) replaySearchEvents(response, onEvent);
+      return response;
+    }
+  };
+}
+
+export function writeFixture({
+  fixturesDirectory = DEFAULT_FIXTURES_DIRECTORY,
+  agent,
+  companyName,
+  request,
+  response
+}) {
+  const fixtureFile = fixturePathFor(fixturesDirectory, agent, companyName);
+  fs.mkdirSync(path.dirname(fixtureFile), { recursive: true });
+  fs.writeFileSync(
+    fixtureFile,
+    `${JSON.stringify(
+      {
+        agent,
+        companyName,
+        recordedAt: new Date().toISOString(),
+        model: request?.model ?? null,
+        response
+      },
+      null,
+      2
+    )}\n`
+  );
+  return fixtureFile;
+}
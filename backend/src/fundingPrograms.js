@@ -0,0 +1,600 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  db,
+  addColumnIfMissing,
+  getCompanyProfileById,
+  listCaseFundingPrograms,
+  replaceCaseRecommendations
+} from "./db.js";
+import { SIZE_CLASSES } from "./companySize.js";
+import { FUNDING_STAGES } from "./fundingStage.js";
+import { parseIndustryFilter } from "./industryClassification.js";
+import { getRegion, parseRegionFilter } from "./regions.js";
+import {
+  ELIGIBILITY_STATUSES,
+  RULE_OUTCOMES,
+  evaluateProgramEligibility
+} from "./eligibility.js";
+
+// Curated catalogue of public funding programmes. New cases are linked to the
+// active programmes the company is not ineligible for (see eligibility.js and
+// linkFundingProgramsToCase).
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const FUNDING_PROGRAMS_SEED_PATH = path.join(
+  __dirname,
+  "..",
+  "reference",
+  "funding_programs.json"
+);
+
+export const INSTRUMENT_TYPES = ["grant", "loan", "guarantee", "equity", "blended"];
+
+// At most this many programmes are linked to one case.
+const MAX_LINKED_PROGRAMS = 10;
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,79}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS funding_programs (
+  id                    INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug                  TEXT NOT NULL UNIQUE,
+  name                  TEXT NOT NULL,
+  provider              TEXT NOT NULL,
+  instrument_type       TEXT NOT NULL,
+  min_amount_eur        REAL,
+  max_amount_eur        REAL,
+
+  -- JSON arrays; an empty array means the programme is not restricted.
+  eligible_stages_json  TEXT NOT NULL DEFAULT '[]',
+  size_classes_json     TEXT NOT NULL DEFAULT '[]',
+  sectors_json          TEXT NOT NULL DEFAULT '[]',
+  regions_json          TEXT NOT NULL DEFAULT '[]',
+
+  co_financing_rate     REAL,
+  call_deadlines_json   TEXT NOT NULL DEFAULT '[]',
+  url                   TEXT,
+  description           TEXT,
+  is_active             INTEGER NOT NULL DEFAULT 1,
+  created_at            DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at            DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_funding_programs_active
+  ON funding_programs(is_active);
+`);
+
+// Company age limits in years since trade register registration, for
+// programmes reserved for young (or established) companies.
+addColumnIfMissing("funding_programs", "min_company_age_years REAL");
+addColumnIfMissing("funding_programs", "max_company_age_years REAL");
+
+const PROGRAM_COLUMNS = `id, slug, name, provider, instrument_type, min_amount_eur,
+  max_amount_eur, eligible_stages_json, size_classes_json, sectors_json,
+  regions_json, min_company_age_years, max_company_age_years, co_financing_rate,
+  call_deadlines_json, url, description, is_active, created_at, updated_at`;
+
+const selectProgramsStmt = db.prepare(
+  `SELECT ${PROGRAM_COLUMNS}
+   FROM funding_programs
+   WHERE (@active IS NULL OR is_active = @active)
+   ORDER BY provider COLLATE NOCASE, name COLLATE NOCASE`
+);
+
+const selectProgramByIdStmt = db.prepare(
+  `SELECT ${PROGRAM_COLUMNS} FROM funding_programs WHERE id = ?`
+);
+
+const selectProgramIdBySlugStmt = db.prepare(
+  "SELECT id FROM funding_programs WHERE slug = ?"
+);
+
+const countProgramsStmt = db.prepare("SELECT COUNT(*) AS count FROM funding_programs");
+
+const insertProgramStmt = db.prepare(
+  `INSERT INTO funding_programs (
+    slug, name, provider, instrument_type, min_amount_eur, max_amount_eur,
+    eligible_stages_json, size_classes_json, sectors_json, regions_json,
+    min_company_age_years, max_company_age_years, co_financing_rate,
+    call_deadlines_json, url, description, is_active
+  ) VALUES (
+    @slug, @name, @provider, @instrument_type, @min_amount_eur, @max_amount_eur,
+    @eligible_stages_json, @size_classes_json, @sectors_json, @regions_json,
+    @min_company_age_years, @max_company_age_years, @co_financing_rate,
+    @call_deadlines_json, @url, @description, @is_active
+  )`
+);
+
+const updateProgramStmt = db.prepare(
+  `UPDATE funding_programs SET
+    slug                 = @slug,
+    name                 = @name,
+    provider             = @provider,
+    instrument_type      = @instrument_type,
+    min_amount_eur       = @min_amount_eur,
+    max_amount_eur       = @max_amount_eur,
+    eligible_stages_json = @eligible_stages_json,
+    size_classes_json    = @size_classes_json,
+    sectors_json         = @sectors_json,
+    regions_json         = @regions_json,
+    min_company_age_years = @min_company_age_years,
+    max_company_age_years = @max_company_age_years,
+    co_financing_rate    = @co_financing_rate,
+    call_deadlines_json  = @call_deadlines_json,
+    url                  = @url,
+    description          = @description,
+    is_active            = @is_active,
+    updated_at           = CURRENT_TIMESTAMP
+  WHERE id = @id`
+);
+
+const deleteProgramStmt = db.prepare("DELETE FROM funding_programs WHERE id = ?");
+
+const unlinkProgramRecommendationsStmt = db.prepare(
+  "UPDATE recommendations SET program_id = NULL WHERE program_id = ?"
+);
+
+function parseJsonList(value) {
+  try {
+    const parsed = JSON.parse(value ?? "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function shapeProgramRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    slug: row.slug,
+    name: row.name,
+    provider: row.provider,
+    instrumentType: row.instrument_type,
+    minAmountEur: row.min_amount_eur,
+    maxAmountEur: row.max_amount_eur,
+    eligibleStages: parseJsonList(row.eligible_stages_json),
+    sizeClasses: parseJsonList(row.size_classes_json),
+    sectors: parseJsonList(row.sectors_json),
+    regions: parseJsonList(row.regions_json),
+    minCompanyAgeYears: row.min_company_age_years,
+    maxCompanyAgeYears: row.max_company_age_years,
+    coFinancingRate: row.co_financing_rate,
+    callDeadlines: parseJsonList(row.call_deadlines_json),
+    url: row.url,
+    description: row.description,
+    isActive: row.is_active === 1,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function notFoundError() {
+  const error = new Error("Funding programme not found");
+  error.statusCode = 404;
+  return error;
+}
+
+function slugify(value) {
+  return String(value ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+}
+
+function requireText(value, field) {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text) throw validationError(`${field} must be a non-empty string`);
+  return text;
+}
+
+function optionalText(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+function optionalAmount(value, field) {
+  if (value === null || value === undefined || value === "") return null;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw validationError(`${field} must be a non-negative number`);
+  }
+  return amount;
+}
+
+// Each entry is passed through `parse`, which returns the canonical value or
+// throws; duplicates are dropped.
+function optionalList(value, field, parse) {
+  if (value === null || value === undefined) return [];
+  if (!Array.isArray(value)) throw validationError(`${field} must be an array`);
+  return [...new Set(value.map((entry) => parse(String(entry ?? "").trim())))];
+}
+
+function oneOf(allowed, field) {
+  return (entry) => {
+    if (!allowed.includes(entry)) {
+      throw validationError(`${field} entries must be one of: ${allowed.join(", ")}`);
+    }
+    return entry;
+  };
+}
+
+function parseSector(entry) {
+  const parsed = parseIndustryFilter(entry);
+  if (!parsed.valid) throw validationError(`sectors: ${parsed.error}`);
+  return parsed.filter;
+}
+
+function parseRegion(entry) {
+  const parsed = parseRegionFilter(entry);
+  if (!parsed.valid) throw validationError(`regions: ${parsed.error}`);
+  return parsed.code;
+}
+
+function parseDeadline(entry) {
+  const time = DATE_PATTERN.test(entry) ? Date.parse(`${entry}T00:00:00Z`) : NaN;
+  // "2027-02-30" parses as a date in March.
+  if (Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== entry) {
+    throw validationError(
+      `callDeadlines entries must be dates as YYYY-MM-DD, got "${entry}"`
+    );
+  }
+  return entry;
+}
+
+function parseUrl(value) {
+  const text = optionalText(value);
+  if (!text) return null;
+
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    url = null;
+  }
+  if (!url || !["http:", "https:"].includes(url.protocol)) {
+    throw validationError("url must be an http(s) URL");
+  }
+  return url.toString();
+}
+
+/**
+ * Validates a programme as sent by the admin UI or a seed file and returns
+ * its `funding_programs` columns. Stages, size classes, sectors (TOL 2008
+ * section letters or code prefixes) and regions (codes or names) are stored
+ * in their canonical form.
+ */
+function programColumns(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw validationError("Programme must be an object");
+  }
+
+  const name = requireText(input.name, "name");
+  const provider = requireText(input.provider, "provider");
+  const slug = optionalText(input.slug) ?? slugify(`${provider} ${name}`);
+  if (!SLUG_PATTERN.test(slug)) {
+    throw validationError(
+      "slug must be 1-80 characters of lowercase letters, digits and '-'"
+    );
+  }
+
+  if (!INSTRUMENT_TYPES.includes(input.instrumentType)) {
+    throw validationError(
+      `instrumentType must be one of: ${INSTRUMENT_TYPES.join(", ")}`
+    );
+  }
+
+  const minAmount = optionalAmount(input.minAmountEur, "minAmountEur");
+  const maxAmount = optionalAmount(input.maxAmountEur, "maxAmountEur");
+  if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+    throw validationError("minAmountEur must not exceed maxAmountEur");
+  }
+
+  const minAge = optionalAmount(input.minCompanyAgeYears, "minCompanyAgeYears");
+  const maxAge = optionalAmount(input.maxCompanyAgeYears, "maxCompanyAgeYears");
+  if (minAge !== null && maxAge !== null && minAge >= maxAge) {
+    throw validationError("minCompanyAgeYears must be below maxCompanyAgeYears");
+  }
+
+  const coFinancingRate = optionalAmount(input.coFinancingRate, "coFinancingRate");
+  if (coFinancingRate !== null && (coFinancingRate === 0 || coFinancingRate > 1)) {
+    throw validationError(
+      "coFinancingRate is the share of costs the programme covers, between 0 and 1"
+    );
+  }
+
+  if (input.isActive !== undefined && typeof input.isActive !== "boolean") {
+    throw validationError("isActive must be a boolean");
+  }
+
+  return {
+    slug,
+    name,
+    provider,
+    instrument_type: input.instrumentType,
+    min_amount_eur: minAmount,
+    max_amount_eur: maxAmount,
+    eligible_stages_json: JSON.stringify(
+      optionalList(
+        input.eligibleStages,
+        "eligibleStages",
+        oneOf(FUNDING_STAGES, "eligibleStages")
+      )
+    ),
+    size_classes_json: JSON.stringify(
+      optionalList(input.sizeClasses, "sizeClasses", oneOf(SIZE_CLASSES, "sizeClasses"))
+    ),
+    sectors_json: JSON.stringify(optionalList(input.sectors, "sectors", parseSector)),
+    regions_json: JSON.stringify(optionalList(input.regions, "regions", parseRegion)),
+    min_company_age_years: minAge,
+    max_company_age_years: maxAge,
+    co_financing_rate: coFinancingRate,
+    call_deadlines_json: JSON.stringify(
+      optionalList(input.callDeadlines, "callDeadlines", parseDeadline).sort()
+    ),
+    url: parseUrl(input.url),
+    description: optionalText(input.description),
+    is_active: input.isActive === false ? 0 : 1
+  };
+}
+
+function runWithSlugConflict(slug, statement) {
+  try {
+    return statement();
+  } catch (error) {
+    if (error?.code === "SQLITE_CONSTRAINT_UNIQUE") {
+      const conflict = new Error(
+        `A funding programme with slug "${slug}" already exists`
+      );
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Catalogue entries ordered by provider and name; `active` narrows the list
+ * to active (true) or inactive (false) programmes.
+ */
+export function listFundingPrograms({ active = null } = {}) {
+  return selectProgramsStmt
+    .all({ active: active === null ? null : active ? 1 : 0 })
+    .map(shapeProgramRow);
+}
+
+export function getFundingProgram(programId) {
+  return shapeProgramRow(selectProgramByIdStmt.get(programId));
+}
+
+export function createFundingProgram(input) {
+  const columns = programColumns(input);
+  const programId = runWithSlugConflict(
+    columns.slug,
+    () => insertProgramStmt.run(columns).lastInsertRowid
+  );
+  return getFundingProgram(programId);
+}
+
+/**
+ * Updates a programme; fields missing from `input` keep their stored value.
+ */
+export function updateFundingProgram(programId, input) {
+  const existing = getFundingProgram(programId);
+  if (!existing) throw notFoundError();
+
+  const columns = programColumns({ ...existing, ...input });
+  runWithSlugConflict(columns.slug, () =>
+    updateProgramStmt.run({ ...columns, id: programId })
+  );
+  return getFundingProgram(programId);
+}
+
+/**
+ * Removes a programme from the catalogue. Cases it was linked to keep their
+ * recommendation rows (name, provider and explanation are copies), but the
+ * link is cleared so no `program_id` points at a deleted programme. To hide
+ * a programme from new matches without touching history, deactivate it.
+ */
+export function deleteFundingProgram(programId) {
+  db.transaction(() => {
+    if (deleteProgramStmt.run(programId).changes === 0) throw notFoundError();
+    unlinkProgramRecommendationsStmt.run(programId);
+  })();
+}
+
+/**
+ * Imports a seed file's `programs` array: entries are matched to stored
+ * programmes by slug (derived from provider and name when missing), so
+ * importing the same file again updates instead of duplicating. Every entry
+ * is validated before anything is written. Returns `{ created, updated }`.
+ */
+export function importFundingPrograms(programs) {
+  if (!Array.isArray(programs)) {
+    throw validationError("programs must be an array");
+  }
+
+  const entries = programs.map((input, index) => {
+    try {
+      return programColumns(input);
+    } catch (error) {
+      error.message = `programs[${index}]: ${error.message}`;
+      throw error;
+    }
+  });
+  const slugs = entries.map((columns) => columns.slug);
+  const duplicate = slugs.find((slug, index) => slugs.indexOf(slug) !== index);
+  if (duplicate) {
+    throw validationError(`programs: slug "${duplicate}" appears more than once`);
+  }
+
+  const counts = { created: 0, updated: 0 };
+  db.transaction(() => {
+    for (const columns of entries) {
+      const existing = selectProgramIdBySlugStmt.get(columns.slug);
+      if (existing) {
+        updateProgramStmt.run({ ...columns, id: existing.id });
+        counts.updated += 1;
+      } else {
+        insertProgramStmt.run(columns);
+        counts.created += 1;
+      }
+    }
+  })();
+  return counts;
+}
+
+export function readFundingProgramsSeed(filePath = FUNDING_PROGRAMS_SEED_PATH) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return Array.isArray(parsed) ? parsed : parsed.programs;
+}
+
+function formatEur(value) {
+  return `€${value.toLocaleString("en-US")}`;
+}
+
+// The passing restricted rules and the ones that lack data, then the terms.
+function describeEligibility(program, eligibility) {
+  const restricted = eligibility.rules.filter((entry) => entry.restricted);
+  const parts = restricted
+    .filter((entry) => entry.outcome !== RULE_OUTCOMES.FAIL)
+    .map((entry) => `${entry.message}.`);
+  if (restricted.length === 0) {
+    parts.push("Open to all companies.");
+  }
+  if (program.coFinancingRate !== null) {
+    parts.push(`Covers up to ${Math.round(program.coFinancingRate * 100)} % of costs.`);
+  }
+  if (program.maxAmountEur !== null) {
+    parts.push(`Up to ${formatEur(program.maxAmountEur)}.`);
+  }
+  return parts.join(" ");
+}
+
+const STATUS_ORDER = [
+  ELIGIBILITY_STATUSES.ELIGIBLE,
+  ELIGIBILITY_STATUSES.NEEDS_INFO,
+  ELIGIBILITY_STATUSES.INELIGIBLE
+];
+
+// Eligible programmes first, then higher score, then the nearest call deadline.
+function compareEvaluations(a, b) {
+  return (
+    STATUS_ORDER.indexOf(a.eligibility.status) -
+      STATUS_ORDER.indexOf(b.eligibility.status) ||
+    b.eligibility.score - a.eligibility.score ||
+    (a.eligibility.nextDeadline ?? "9999").localeCompare(
+      b.eligibility.nextDeadline ?? "9999"
+    ) ||
+    a.program.name.localeCompare(b.program.name)
+  );
+}
+
+function evaluateActivePrograms(metrics, today) {
+  return listFundingPrograms({ active: true })
+    .map((program) => ({
+      program,
+      eligibility: evaluateProgramEligibility(program, metrics, { today })
+    }))
+    .sort(compareEvaluations);
+}
+
+/**
+ * Runs the eligibility rules for a stored company against every active
+ * programme. Returns null when the company does not exist, otherwise
+ * `{ companyId, companyName, evaluatedAt, counts, programs }` where each
+ * programme carries its `status`, `score`, `nextDeadline` and `rules`,
+ * eligible programmes first.
+ */
+export function checkCompanyEligibility(companyId, { today = new Date() } = {}) {
+  const profile = getCompanyProfileById(companyId);
+  if (!profile) return null;
+
+  const programs = evaluateActivePrograms(profile.metrics, today).map(
+    ({ program, eligibility }) => ({
+      programId: program.id,
+      name: program.name,
+      provider: program.provider,
+      url: program.url,
+      instrumentType: program.instrumentType,
+      minAmountEur: program.minAmountEur,
+      maxAmountEur: program.maxAmountEur,
+      coFinancingRate: program.coFinancingRate,
+      ...eligibility
+    })
+  );
+  const counts = Object.fromEntries(
+    STATUS_ORDER.map((status) => [
+      status,
+      programs.filter((program) => program.status === status).length
+    ])
+  );
+
+  return {
+    companyId,
+    companyName: profile.metrics.name,
+    evaluatedAt: today.toISOString().slice(0, 10),
+    counts,
+    programs
+  };
+}
+
+/**
+ * Replaces the funding programme recommendations of a case with the active
+ * catalogue programmes the company is eligible for or may be eligible for
+ * (needs_info), in the order of checkCompanyEligibility. Returns the linked
+ * programmes as listed by listCaseFundingPrograms.
+ */
+export function linkFundingProgramsToCase(caseId, metrics, { today = new Date() } = {}) {
+  const ranked = evaluateActivePrograms(metrics, today)
+    .filter(({ eligibility }) => eligibility.status !== ELIGIBILITY_STATUSES.INELIGIBLE)
+    .slice(0, MAX_LINKED_PROGRAMS);
+
+  const recommendations = ranked.map(({ program, eligibility }, index) => ({
+    program_id: program.id,
+    name: program.name,
+    provider: program.provider,
+    url: program.url,
+    stage_match: program.eligibleStages.join(", ") || null,
+    funding_type: program.instrumentType,
+    min_amount_eur: program.minAmountEur,
+    max_amount_eur: program.maxAmountEur,
+    geography_focus:
+      program.regions.map((code) => getRegion(code)?.fi ?? code).join(", ") || "FI",
+    sector_focus: program.sectors.join(", ") || null,
+    score: eligibility.score,
+    rank: index + 1,
+    explanation_text: describeEligibility(program, eligibility),
+    raw_metadata_json: JSON.stringify({
+      status: eligibility.status,
+      rules: eligibility.rules,
+      nextDeadline: eligibility.nextDeadline
+    })
+  }));
+
+  replaceCaseRecommendations(caseId, "funding_program", recommendations);
+  return listCaseFundingPrograms(caseId);
+}
+
+// The bundled seed fills an empty catalogue on first start; later changes go
+// through the admin endpoints or `npm run import:funding-programs`.
+function seedFundingPrograms() {
+  if (countProgramsStmt.get().count > 0) return;
+  importFundingPrograms(readFundingProgramsSeed());
+}
+
+seedFundingPrograms();
@@ -0,0 +1,32 @@
+// Funding stages used by the funding programme catalogue. The lookup agent
+// describes a company's stage in free text ("growth-stage, PE-backed
+// scaleup", "Public (listed)"); classifyFundingStage maps that text onto
+// these stages.
+
+export const FUNDING_STAGES = ["pre_seed", "seed", "early_growth", "growth", "mature"];
+
+// Checked in order: "Listed growth" is mature and "early growth" is not growth.
+const STAGE_PATTERNS = [
+  ["pre_seed", /\bpre\s?seed\b|\bidea\b|\bpre\s?revenue\b/],
+  ["seed", /\bseed\b/],
+  [
+    "mature",
+    /\bmature\b|\bestablished\b|\blisted\b|\bpublic\b|\bnasdaq\b|\bsubsidiary\b|\bacquired\b|\blarge\s?cap\b/
+  ],
+  ["early_growth", /\bearly\s?(growth|stage)\b|\bseries\s?a\b|\bstart\s?up\b/],
+  ["growth", /\bgrowth\b|\bscale\s?up\b|\bseries\s?[b-e]\b|\bpe\s?backed\b|\bprivate\s?equity\b|\bexpansion\b/]
+];
+
+/**
+ * The funding stage of a free-text company stage ("seed", "Series A",
+ * "Publicly listed large-cap"), or null when the text does not say. A stage
+ * already in FUNDING_STAGES is returned as is.
+ */
+export function classifyFundingStage(value) {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (!text) return null;
+  if (FUNDING_STAGES.includes(text)) return text;
+
+  const words = text.replace(/[_-]+/g, " ");
+  return STAGE_PATTERNS.find(([, pattern]) => pattern.test(words))?.[0] ?? null;
+}
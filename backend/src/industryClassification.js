@@ -0,0 +1,217 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Statistics Finland TOL 2008 (the Finnish NACE Rev. 2) industry codes. The
+// bundled reference data covers sections (A–U, plus X for "unknown"),
+// divisions (2 digits), groups (3 digits) and the class codes (4 digits,
+// named after their group). Subclasses (5 digits, e.g. 62010) are the national
+// level and are not bundled, so a subclass code is checked against its class
+// and stored as the class: "62010", "62.01" and "6201" are all "6201".
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const TOL_2008_PATH = path.join(__dirname, "..", "reference", "tol2008.json");
+
+export const INDUSTRY_FLAGS = {
+  INVALID: "invalid_industry_code"
+};
+
+const reference = JSON.parse(fs.readFileSync(TOL_2008_PATH, "utf8"));
+
+const sectionsByCode = new Map(reference.sections.map((entry) => [entry.code, entry]));
+const divisionsByCode = new Map(reference.divisions.map((entry) => [entry.code, entry]));
+const groupsByCode = new Map(reference.groups.map((entry) => [entry.code, entry]));
+const classCodes = new Set(reference.classes);
+
+// Accepts "62010", "62.01", "6201", "62 010" and a leading section letter
+// ("J62010", "J 62.01").
+const INDUSTRY_CODE_INPUT_PATTERN = /^([A-Z])?(\d{2,5})$/;
+
+function describeLevel(entry) {
+  return entry ? { code: entry.code, fi: entry.fi, en: entry.en } : null;
+}
+
+/**
+ * Parses a TOL 2008 code in any of the accepted spellings. Returns
+ * `{ valid: true, code, section, division, group }` with `code` as plain
+ * digits cut to the class (2–4) and `group` null for division-level codes, or
+ * `{ valid: false, error }`.
+ */
+export function parseIndustryCode(value) {
+  const compact = String(value ?? "")
+    .toUpperCase()
+    .replace(/[\s.]/g, "");
+
+  if (!compact) {
+    return { valid: false, error: "Industry code is empty" };
+  }
+
+  const match = INDUSTRY_CODE_INPUT_PATTERN.exec(compact);
+  if (!match) {
+    return {
+      valid: false,
+      error: `"${value}" is not a TOL 2008 code; expected 2–5 digits such as 62010`
+    };
+  }
+
+  const [, sectionLetter, code] = match;
+  const division = divisionsByCode.get(code.slice(0, 2));
+  if (!division) {
+    return {
+      valid: false,
+      error: `"${value}" is not a TOL 2008 code; division ${code.slice(0, 2)} does not exist`
+    };
+  }
+
+  if (sectionLetter && sectionLetter !== division.section) {
+    return {
+      valid: false,
+      error: `"${value}" mixes section ${sectionLetter} with division ${division.code} (section ${division.section})`
+    };
+  }
+
+  const group = code.length >= 3 ? groupsByCode.get(code.slice(0, 3)) : null;
+  if (code.length >= 3 && !group) {
+    return {
+      valid: false,
+      error: `"${value}" is not a TOL 2008 code; group ${code.slice(0, 3)} does not exist in division ${division.code}`
+    };
+  }
+
+  const classCode = code.slice(0, 4);
+  if (code.length >= 4 && !classCodes.has(classCode)) {
+    return {
+      valid: false,
+      error: `"${value}" is not a TOL 2008 code; class ${classCode} does not exist in group ${group.code}`
+    };
+  }
+
+  return {
+    valid: true,
+    code: classCode,
+    section: describeLevel(sectionsByCode.get(division.section)),
+    division: describeLevel(division),
+    group: describeLevel(group)
+  };
+}
+
+export function isValidIndustryCode(value) {
+  return parseIndustryCode(value).valid;
+}
+
+/**
+ * The label of the most specific bundled level of a code in `language`
+ * ("fi" or "en"), or null for an invalid code.
+ */
+export function industryLabel(value, language = "en") {
+  const parsed = parseIndustryCode(value);
+  if (!parsed.valid) return null;
+  return (parsed.group ?? parsed.division)[language] ?? null;
+}
+
+/**
+ * Parses a company or programme industry filter: a section letter ("J") or
+ * a code prefix of at least a division ("62", "620", "62.01"). Returns
+ * `{ valid: true, filter }` with the prefix in canonical form, or
+ * `{ valid: false, error }`.
+ */
+export function parseIndustryFilter(value) {
+  const compact = String(value ?? "")
+    .toUpperCase()
+    .replace(/[\s.]/g, "");
+
+  if (/^[A-Z]$/.test(compact)) {
+    return sectionsByCode.has(compact)
+      ? { valid: true, filter: compact }
+      : { valid: false, error: `"${value}" is not a TOL 2008 section` };
+  }
+
+  const parsed = parseIndustryCode(compact);
+  return parsed.valid
+    ? { valid: true, filter: parsed.code }
+    : { valid: false, error: parsed.error };
+}
+
+/**
+ * True when `code` falls under `filter`: a section letter ("J"), a division
+ * ("62") or a longer code prefix ("620", "62.01"). Used for company filters
+ * and for matching funding programmes by sector.
+ */
+export function industryMatches(code, filter) {
+  const parsed = parseIndustryCode(code);
+  if (!parsed.valid) return false;
+
+  const wanted = parseIndustryFilter(filter);
+  if (!wanted.valid) return false;
+  if (/^[A-Z]$/.test(wanted.filter)) return parsed.section.code === wanted.filter;
+  return parsed.code.startsWith(wanted.filter);
+}
+
+/**
+ * The bundled hierarchy as nested `sections[].divisions[].groups[]`, each
+ * level with `code`, `fi` and `en`.
+ */
+export function getIndustryTree() {
+  return {
+    classification: reference.classification,
+    source: reference.source,
+    sections: reference.sections.map((section) => ({
+      ...describeLevel(section),
+      divisions: reference.divisions
+        .filter((division) => division.section === section.code)
+        .map((division) => ({
+          ...describeLevel(division),
+          groups: reference.groups
+            .filter((group) => group.code.startsWith(division.code))
+            .map(describeLevel)
+        }))
+    }))
+  };
+}
+
+/**
+ * Canonical `industry_code`, `industry_text` and `industry_text_fi` for
+ * storage: a valid code is normalized and both texts derived from it, so they
+ * never disagree. An invalid or missing code leaves `industry_code` and
+ * `industry_text_fi` null and keeps the text.
+ */
+export function normalizeIndustryFields({ industry_code: code, industry_text: text }) {
+  const parsed = parseIndustryCode(code);
+  return parsed.valid
+    ? {
+        industry_code: parsed.code,
+        industry_text: industryLabel(parsed.code, "en"),
+        industry_text_fi: industryLabel(parsed.code, "fi")
+      }
+    : { industry_code: null, industry_text: text ?? null, industry_text_fi: null };
+}
+
+/**
+ * Applies normalizeIndustryFields to the agent-provided lookup metrics. An
+ * invalid code is nulled and reported in `flags` as
+ * `{ field, flag, value, message }`.
+ */
+export function checkMetricsIndustryCode(metrics) {
+  const rawValue = metrics?.industry_code;
+  const normalized = { ...metrics, ...normalizeIndustryFields(metrics ?? {}) };
+  if (rawValue === null || rawValue === undefined || rawValue === "") {
+    return { metrics: normalized, flags: [] };
+  }
+
+  const parsed = parseIndustryCode(rawValue);
+  return {
+    metrics: normalized,
+    flags: parsed.valid
+      ? []
+      : [
+          {
+            field: "industry_code",
+            flag: INDUSTRY_FLAGS.INVALID,
+            value: rawValue,
+            message: parsed.error
+          }
+        ]
+  };
+}
@@ -1,13 +1,35 @@
 import {
-  openaiClient,
   COMPANY_REASONING_MODEL,
   COMPANY_REASONING_EFFORT,
-  COMPANY_WEB_SEARCH_ENABLED,
-  FUNDING_ADVISOR_AGENT
+  COMPANY_WEB_SEARCH_ENABLED
 } from "./openaiClient.js";
+import { llmProvider } from "./llmProvider.js";
+import {
+  createLlmError,
+  LLM_ERROR_CODES,
+  LLM_TIMEOUT_MS
+} from "./llmCall.js";
+import { AGENT_NAMES, getActiveAgentPrompt } from "./promptRegistry.js";
+import { callLlmWithUsage } from "./usageLedger.js";
+import { extractUrlCitations } from "./citations.js";
+import { createProgressReporter, reportSearchEvents } from "./progress.js";
+import { parseModelJson } from "./modelResponseParsing.js";
+import { ESTIMATE_ONLY_FIELDS } from "./fieldConfidence.js";
+
+export const FUNDING_ADVISOR_AGENT_NAME = AGENT_NAMES.FUNDING_ADVISOR;
 
 const FUNDING_AGENT_MISSING_MESSAGE =
-  "FUNDING_ADVISOR_AGENT prompt is missing. Add it to backend/.env to enable investor searches.";
+  "FUNDING_ADVISOR_AGENT prompt is missing. Add it to backend/.env or activate a funding_advisor prompt version to enable investor searches.";
+
+const parsedAdvisorTimeout = Number.parseInt(
+  process.env.FUNDING_ADVISOR_TIMEOUT_MS ?? "",
+  10
+);
+
+const FUNDING_ADVISOR_TIMEOUT_MS =
+  Number.isInteger(parsedAdvisorTimeout) && parsedAdvisorTimeout > 0
+    ? parsedAdvisorTimeout
+    : LLM_TIMEOUT_MS;
 
 const EMPTY_RECOMMENDATION = {
   company_name: null,
@@ -99,66 +121,44 @@ const INVESTOR_RECOMMENDATION_JSON_SCHEMA = {
   }
 };
 
-function buildInvestorPrompt(companyProfile) {
-  if (!FUNDING_ADVISOR_AGENT) {
+function buildInvestorPrompt(companyProfile, prompt, withheldFields = []) {
+  if (!prompt && llmProvider.requiresAgentPrompts) {
     const error = new Error(FUNDING_AGENT_MISSING_MESSAGE);
     error.code = "MISSING_FUNDING_ADVISOR_AGENT";
     throw error;
   }
+  const estimatedFields = [...ESTIMATE_ONLY_FIELDS].filter(
+    (field) => companyProfile[field] !== null && companyProfile[field] !== undefined
+  );
 
   return [
-    { role: "system", content: FUNDING_ADVISOR_AGENT },
+    {
+      role: "system",
+      content: prompt?.content || "FUNDING_ADVISOR_AGENT is not configured."
+    },
     {
       role: "user",
       content: `Company JSON:\n${JSON.stringify(companyProfile)}\n` +
+        (withheldFields.length > 0
+          ? `These fields were left null because the stored values are too uncertain: ${withheldFields.join(", ")}. ` +
+            "Treat them as unknown and mention this in uncertainty_flags.\n"
+          : "") +
+        (estimatedFields.length > 0
+          ? `${estimatedFields.join(", ")} are the lookup agent's own estimates, not reported figures. ` +
+            "Use them as a guide to ticket size and mention this in uncertainty_flags.\n"
+          : "") +
+        "region and ely_centre place the company for regional funding (ELY centre grants, " +
+        "regional programmes and investors); weigh them against each investor's geo_focus. " +
+        "size_class is the EU SME class computed from the headcount and financial figures; " +
+        "only instruments open to that class fit. " +
+        (companyProfile.size_warnings?.length > 0
+          ? "The class is uncertain (see size_warnings); mention this in uncertainty_flags.\n"
+          : "\n") +
         "Return an investor recommendation JSON matching the schema in the system prompt."
     }
   ];
 }
 
-function extractJsonPayload(response) {
-  const chunks = [];
-
-  if (Array.isArray(response.output_text)) {
-    chunks.push(...response.output_text);
-  }
-
-  if (Array.isArray(response.output)) {
-    for (const block of response.output) {
-      if (!block?.content) continue;
-      for (const item of block.content) {
-        if (
-          (item.type === "output_text" || item.type === "text") &&
-          typeof item.text === "string"
-        ) {
-          chunks.push(item.text);
-        }
-      }
-    }
-  }
-
-  const combined = chunks.join("\n").trim();
-  if (!combined) {
-    throw new Error("Empty response from OpenAI investor advisor");
-  }
-
-  const tryParse = (text) => {
-    if (!text) return null;
-    try {
-      return JSON.parse(text);
-    } catch (error) {
-      const firstBrace = text.indexOf("{");
-      const lastBrace = text.lastIndexOf("}");
-      if (firstBrace === -1 || lastBrace === -1) {
-        throw error;
-      }
-      return JSON.parse(text.slice(firstBrace, lastBrace + 1));
-    }
-  };
-
-  return tryParse(combined);
-}
-
 function coerceRecommendationShape(payload) {
   if (!payload || typeof payload !== "object") return EMPTY_RECOMMENDATION;
 
@@ -178,35 +178,80 @@ function coerceRecommendationShape(payload) {
   };
 }
 
-export async function recommendInvestorsForCompany(companyProfile) {
+export async function recommendInvestorsForCompany(
+  companyProfile,
+  { withheldFields = [], onProgress } = {}
+) {
   if (!companyProfile || typeof companyProfile !== "object") {
     throw new Error("Company profile is required");
   }
 
-  const messages = buildInvestorPrompt(companyProfile);
+  const prompt = getActiveAgentPrompt(FUNDING_ADVISOR_AGENT_NAME);
+  const messages = buildInvestorPrompt(companyProfile, prompt, withheldFields);
+  const agentRun = {
+    agent: FUNDING_ADVISOR_AGENT_NAME,
+    promptId: prompt?.id ?? null,
+    promptVersion: prompt?.version ?? null,
+    model: COMPANY_REASONING_MODEL,
+    reasoningEffort: COMPANY_REASONING_EFFORT
+  };
+  const usageIds = [];
+  const report = createProgressReporter(onProgress);
 
   try {
-    const response = await openaiClient.responses.create({
-      model: COMPANY_REASONING_MODEL,
-      reasoning: {
-        effort: COMPANY_REASONING_EFFORT
+    report(
+      "agent_started",
+      `Running funding advisor agent (prompt ${agentRun.promptVersion || "unversioned"}, ${agentRun.model})`
+    );
+    const { response } = await callLlmWithUsage(
+      {
+        model: COMPANY_REASONING_MODEL,
+        reasoning: {
+          effort: COMPANY_REASONING_EFFORT
+        },
+        text: {
+          format: {
+            type: "json_schema",
+            name: INVESTOR_RECOMMENDATION_JSON_SCHEMA.name,
+            schema: INVESTOR_RECOMMENDATION_JSON_SCHEMA.schema
+          }
+        },
+        input: messages,
+        tools: COMPANY_WEB_SEARCH_ENABLED ? [{ type: "web_search" }] : []
       },
-      text: {
-        format: {
-          type: "json_schema",
-          name: INVESTOR_RECOMMENDATION_JSON_SCHEMA.name,
-          schema: INVESTOR_RECOMMENDATION_JSON_SCHEMA.schema
-        }
+      {
+        agent: FUNDING_ADVISOR_AGENT_NAME,
+        companyName: companyProfile.name ?? null
       },
-      input: messages,
-      tools: COMPANY_WEB_SEARCH_ENABLED ? [{ type: "web_search" }] : []
-    });
+      {
+        timeoutMs: FUNDING_ADVISOR_TIMEOUT_MS,
+        onEvent: reportSearchEvents(report)
+      },
+      { agentRun, usageIds }
+    );
 
-    const parsed = extractJsonPayload(response);
-    return coerceRecommendationShape(parsed);
+    report("parsing", "Parsing the investor recommendations");
+    let parsed;
+    try {
+      parsed = parseModelJson(response).value;
+    } catch (parseError) {
+      const error = createLlmError(
+        LLM_ERROR_CODES.INVALID_OUTPUT,
+        `Investor advisor returned output that is not valid JSON: ${parseError.message}`,
+        { cause: parseError }
+      );
+      error.diagnostics = parseError.diagnostics;
+      throw error;
+    }
+    return {
+      recommendation: coerceRecommendationShape(parsed),
+      citations: extractUrlCitations(response),
+      agentRun,
+      usageIds
+    };
   } catch (error) {
     // eslint-disable-next-line no-console
-    console.error("[openai] Investor advisor failed:", error);
+    console.error("[llm] Investor advisor failed:", error);
     throw error;
   }
 }
@@ -0,0 +1,627 @@
+import { db } from "./db.js";
+
+// Canonical investor records built from the investor reports. Every
+// recommended investor of a report is stored as a mention and matched to an
+// investor by name (any name its mentions used) or website domain. The
+// investor's aliases, type, domain, focus lists and ticket range are derived
+// from its mentions, so merging and splitting only move mentions around.
+
+// Hosts that say nothing about which investor a URL belongs to.
+const SHARED_HOSTS = new Set([
+  "linkedin.com",
+  "crunchbase.com",
+  "facebook.com",
+  "twitter.com",
+  "x.com",
+  "wikipedia.org",
+  "en.wikipedia.org",
+  "fi.wikipedia.org",
+  "medium.com",
+  "google.com"
+]);
+
+// Legal-form words dropped from names before matching ("Inventure Oy").
+const LEGAL_FORM_WORDS = new Set([
+  "oy",
+  "oyj",
+  "ab",
+  "abp",
+  "as",
+  "asa",
+  "ag",
+  "gmbh",
+  "sa",
+  "bv",
+  "ky",
+  "ltd",
+  "limited",
+  "llc",
+  "llp",
+  "lp",
+  "inc",
+  "plc"
+]);
+
+// At most this many entries are kept in each derived focus list.
+const MAX_FOCUS_ENTRIES = 8;
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS investors (
+  id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+  name               TEXT NOT NULL,
+  aliases_json       TEXT NOT NULL DEFAULT '[]',
+  investor_type      TEXT,
+  website_domain     TEXT,
+
+  -- JSON arrays of free-text focus entries, most mentioned first.
+  geo_focus_json     TEXT NOT NULL DEFAULT '[]',
+  sector_focus_json  TEXT NOT NULL DEFAULT '[]',
+  stage_focus_json   TEXT NOT NULL DEFAULT '[]',
+
+  ticket_min_eur     REAL,
+  ticket_max_eur     REAL,
+  created_at         DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at         DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_investors_domain
+  ON investors(website_domain);
+
+CREATE TABLE IF NOT EXISTS investor_mentions (
+  id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+  investor_id        INTEGER NOT NULL,
+  report_id          INTEGER NOT NULL,
+  position           INTEGER NOT NULL,
+
+  name               TEXT NOT NULL,
+  name_key           TEXT NOT NULL,
+  investor_type      TEXT,
+  website_url        TEXT,
+  website_domain     TEXT,
+  geo_focus          TEXT,
+  sector_focus       TEXT,
+  stage_focus        TEXT,
+  ticket_min_eur     REAL,
+  ticket_max_eur     REAL,
+  fit_reason         TEXT,
+  created_at         DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (investor_id) REFERENCES investors(id),
+  FOREIGN KEY (report_id) REFERENCES investor_reports(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_investor_mentions_investor
+  ON investor_mentions(investor_id);
+
+CREATE INDEX IF NOT EXISTS idx_investor_mentions_report
+  ON investor_mentions(report_id);
+
+CREATE INDEX IF NOT EXISTS idx_investor_mentions_name_key
+  ON investor_mentions(name_key);
+`);
+
+const INVESTOR_COLUMNS = `i.id, i.name, i.aliases_json, i.investor_type,
+  i.website_domain, i.geo_focus_json, i.sector_focus_json, i.stage_focus_json,
+  i.ticket_min_eur, i.ticket_max_eur, i.created_at, i.updated_at,
+  (SELECT COUNT(*) FROM investor_mentions m WHERE m.investor_id = i.id)
+    AS mention_count,
+  (SELECT COUNT(DISTINCT ir.company_id)
+     FROM investor_mentions m
+     JOIN investor_reports ir ON ir.id = m.report_id
+    WHERE m.investor_id = i.id) AS company_count,
+  (SELECT MAX(ir.created_at)
+     FROM investor_mentions m
+     JOIN investor_reports ir ON ir.id = m.report_id
+    WHERE m.investor_id = i.id) AS last_recommended_at`;
+
+const selectInvestorsStmt = db.prepare(
+  `SELECT ${INVESTOR_COLUMNS}
+   FROM investors i
+   WHERE (@type IS NULL OR i.investor_type = @type COLLATE NOCASE)
+   ORDER BY mention_count DESC, i.name COLLATE NOCASE`
+);
+
+const selectInvestorByIdStmt = db.prepare(
+  `SELECT ${INVESTOR_COLUMNS} FROM investors i WHERE i.id = ?`
+);
+
+const selectInvestorIdByNameKeyStmt = db.prepare(
+  `SELECT investor_id FROM investor_mentions
+   WHERE name_key = ?
+   ORDER BY id
+   LIMIT 1`
+);
+
+const selectInvestorIdByDomainStmt = db.prepare(
+  "SELECT id FROM investors WHERE website_domain = ? ORDER BY id LIMIT 1"
+);
+
+const insertInvestorStmt = db.prepare(
+  "INSERT INTO investors (name) VALUES (?)"
+);
+
+const updateInvestorStmt = db.prepare(
+  `UPDATE investors SET
+    name              = @name,
+    aliases_json      = @aliases_json,
+    investor_type     = @investor_type,
+    website_domain    = @website_domain,
+    geo_focus_json    = @geo_focus_json,
+    sector_focus_json = @sector_focus_json,
+    stage_focus_json  = @stage_focus_json,
+    ticket_min_eur    = @ticket_min_eur,
+    ticket_max_eur    = @ticket_max_eur,
+    updated_at        = CURRENT_TIMESTAMP
+  WHERE id = @id`
+);
+
+const deleteInvestorStmt = db.prepare("DELETE FROM investors WHERE id = ?");
+
+const insertMentionStmt = db.prepare(
+  `INSERT INTO investor_mentions (
+    investor_id, report_id, position, name, name_key, investor_type,
+    website_url, website_domain, geo_focus, sector_focus, stage_focus,
+    ticket_min_eur, ticket_max_eur, fit_reason
+  ) VALUES (
+    @investor_id, @report_id, @position, @name, @name_key, @investor_type,
+    @website_url, @website_domain, @geo_focus, @sector_focus, @stage_focus,
+    @ticket_min_eur, @ticket_max_eur, @fit_reason
+  )`
+);
+
+const selectMentionsByInvestorStmt = db.prepare(
+  `SELECT
+    m.id,
+    m.investor_id,
+    m.report_id,
+    m.position,
+    m.name,
+    m.investor_type,
+    m.website_url,
+    m.website_domain,
+    m.geo_focus,
+    m.sector_focus,
+    m.stage_focus,
+    m.ticket_min_eur,
+    m.ticket_max_eur,
+    m.fit_reason,
+    ir.company_id,
+    ir.company_name,
+    ir.created_at AS recommended_at
+  FROM investor_mentions m
+  JOIN investor_reports ir ON ir.id = m.report_id
+  WHERE m.investor_id = ?
+  ORDER BY ir.created_at DESC, m.id DESC`
+);
+
+const selectReportInvestorIdsStmt = db.prepare(
+  "SELECT DISTINCT investor_id FROM investor_mentions WHERE report_id = ?"
+);
+
+const deleteReportMentionsStmt = db.prepare(
+  "DELETE FROM investor_mentions WHERE report_id = ?"
+);
+
+const moveInvestorMentionsStmt = db.prepare(
+  "UPDATE investor_mentions SET investor_id = @to WHERE investor_id = @from"
+);
+
+const moveMentionStmt = db.prepare(
+  "UPDATE investor_mentions SET investor_id = @to WHERE id = @id"
+);
+
+const selectMentionNamesStmt = db.prepare(
+  "SELECT id, name, name_key FROM investor_mentions ORDER BY id"
+);
+
+const updateMentionNameKeyStmt = db.prepare(
+  "UPDATE investor_mentions SET name_key = ? WHERE id = ?"
+);
+
+const selectInvestorIdsStmt = db.prepare("SELECT id FROM investors ORDER BY id");
+
+const selectReportsWithoutMentionsStmt = db.prepare(
+  `SELECT ir.id, ir.recommendation
+   FROM investor_reports ir
+   WHERE NOT EXISTS (
+     SELECT 1 FROM investor_mentions m WHERE m.report_id = ir.id
+   )
+   ORDER BY ir.id`
+);
+
+function parseJsonList(value) {
+  try {
+    const parsed = JSON.parse(value ?? "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function shapeInvestorRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    name: row.name,
+    aliases: parseJsonList(row.aliases_json),
+    type: row.investor_type,
+    websiteDomain: row.website_domain,
+    geoFocus: parseJsonList(row.geo_focus_json),
+    sectorFocus: parseJsonList(row.sector_focus_json),
+    stageFocus: parseJsonList(row.stage_focus_json),
+    ticketMinEur: row.ticket_min_eur,
+    ticketMaxEur: row.ticket_max_eur,
+    mentionCount: row.mention_count,
+    companyCount: row.company_count,
+    lastRecommendedAt: row.last_recommended_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function shapeMentionRow(row) {
+  return {
+    id: row.id,
+    reportId: row.report_id,
+    companyId: row.company_id,
+    companyName: row.company_name,
+    recommendedAt: row.recommended_at,
+    name: row.name,
+    type: row.investor_type,
+    websiteUrl: row.website_url,
+    geoFocus: row.geo_focus,
+    sectorFocus: row.sector_focus,
+    stageFocus: row.stage_focus,
+    ticketMinEur: row.ticket_min_eur,
+    ticketMaxEur: row.ticket_max_eur,
+    fitReason: row.fit_reason
+  };
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function notFoundError() {
+  const error = new Error("Investor not found");
+  error.statusCode = 404;
+  return error;
+}
+
+function optionalText(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+function optionalAmount(value) {
+  const amount = typeof value === "string" ? Number(value) : value;
+  return typeof amount === "number" && Number.isFinite(amount) && amount >= 0
+    ? amount
+    : null;
+}
+
+/**
+ * Matching key of an investor name: lowercase words without accents,
+ * punctuation, parenthesised remarks or legal-form words, so "Inventure Oy",
+ * "INVENTURE" and "Inventure (Helsinki)" share a key. Letters of any script
+ * are kept, so non-Latin names get a key too.
+ */
+export function investorNameKey(name) {
+  return String(name ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+    .split(" ")
+    .filter((word) => word && !LEGAL_FORM_WORDS.has(word))
+    .join(" ");
+}
+
+/**
+ * Host name of a website URL without "www.", or null when the URL does not
+ * parse or points at a site shared by many investors (LinkedIn, Crunchbase).
+ */
+export function websiteDomain(url) {
+  const text = optionalText(url);
+  if (!text) return null;
+
+  let host;
+  try {
+    host = new URL(/^[a-z]+:\/\//i.test(text) ? text : `https://${text}`).hostname;
+  } catch {
+    return null;
+  }
+  const domain = host.toLowerCase().replace(/^www\./, "");
+  return !domain.includes(".") || SHARED_HOSTS.has(domain) ? null : domain;
+}
+
+// "Finland, Nordics; Baltics" -> ["Finland", "Nordics", "Baltics"]. "and" is
+// not a separator, so "Research and Development" stays one entry.
+function splitFocus(value) {
+  return (optionalText(value) ?? "")
+    .split(/[,;/\n]/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+// Distinct values (case-insensitive) ordered by how often they occur, ties in
+// first-seen order; each value keeps the spelling it was first seen with.
+function rankByFrequency(values) {
+  const counts = new Map();
+  for (const value of values) {
+    const key = value.toLowerCase();
+    const entry = counts.get(key) ?? { value, count: 0, order: counts.size };
+    entry.count += 1;
+    counts.set(key, entry);
+  }
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.order - b.order)
+    .map((entry) => entry.value);
+}
+
+function mentionColumns(reportId, position, investor) {
+  const name = optionalText(investor?.name);
+  if (!name || !investorNameKey(name)) return null;
+
+  const websiteUrl = optionalText(investor.website_url);
+  return {
+    report_id: reportId,
+    position,
+    name,
+    name_key: investorNameKey(name),
+    investor_type: optionalText(investor.type),
+    website_url: websiteUrl,
+    website_domain: websiteDomain(websiteUrl),
+    geo_focus: optionalText(investor.geo_focus),
+    sector_focus: optionalText(investor.sector_focus),
+    stage_focus: optionalText(investor.stage_focus),
+    ticket_min_eur: optionalAmount(investor.ticket_size_min_eur),
+    ticket_max_eur: optionalAmount(investor.ticket_size_max_eur),
+    fit_reason: optionalText(investor.fit_reason)
+  };
+}
+
+// A name any mention of the investor used wins over a shared website domain,
+// so investors that were split apart stay apart.
+function findInvestorId(mention) {
+  const byName = selectInvestorIdByNameKeyStmt.get(mention.name_key);
+  if (byName) return byName.investor_id;
+  if (!mention.website_domain) return null;
+  return selectInvestorIdByDomainStmt.get(mention.website_domain)?.id ?? null;
+}
+
+/**
+ * Re-derives an investor's columns from its mentions: the name is kept
+ * unless `name` is given, aliases are the other names its mentions used,
+ * type and domain are the most common ones, focus lists are ranked by
+ * frequency and the ticket range spans every mention. An investor without
+ * mentions is deleted.
+ */
+function refreshInvestor(investorId, { name } = {}) {
+  const existing = selectInvestorByIdStmt.get(investorId);
+  if (!existing) return;
+  const mentions = selectMentionsByInvestorStmt.all(investorId);
+  if (mentions.length === 0) {
+    deleteInvestorStmt.run(investorId);
+    return;
+  }
+
+  const canonicalName = name ?? existing.name;
+  const canonicalKey = canonicalName.toLowerCase();
+  const mostCommon = (field) =>
+    rankByFrequency(mentions.map((mention) => mention[field]).filter(Boolean))[0] ??
+    null;
+  const focus = (field) =>
+    JSON.stringify(
+      rankByFrequency(mentions.flatMap((mention) => splitFocus(mention[field]))).slice(
+        0,
+        MAX_FOCUS_ENTRIES
+      )
+    );
+  const amounts = (field) =>
+    mentions.map((mention) => mention[field]).filter((value) => value !== null);
+  const minimums = amounts("ticket_min_eur");
+  const maximums = amounts("ticket_max_eur");
+
+  const columns = {
+    name: canonicalName,
+    aliases_json: JSON.stringify(
+      rankByFrequency(mentions.map((mention) => mention.name)).filter(
+        (alias) => alias.toLowerCase() !== canonicalKey
+      )
+    ),
+    investor_type: mostCommon("investor_type"),
+    website_domain: mostCommon("website_domain"),
+    geo_focus_json: focus("geo_focus"),
+    sector_focus_json: focus("sector_focus"),
+    stage_focus_json: focus("stage_focus"),
+    ticket_min_eur: minimums.length > 0 ? Math.min(...minimums) : null,
+    ticket_max_eur: maximums.length > 0 ? Math.max(...maximums) : null
+  };
+  if (Object.entries(columns).every(([column, value]) => existing[column] === value)) {
+    return;
+  }
+  updateInvestorStmt.run({ id: investorId, ...columns });
+}
+
+/**
+ * Replaces the mentions of an investor report with its
+ * `recommended_investors`, matching each to an existing investor or creating
+ * one, and refreshes every investor that gained or lost a mention. Returns
+ * `[{ position, investorId }]` in report order; entries without a name are
+ * skipped.
+ */
+export function recordReportInvestors(reportId, recommendation) {
+  const investors = Array.isArray(recommendation?.recommended_investors)
+    ? recommendation.recommended_investors
+    : [];
+
+  return db.transaction(() => {
+    const touched = new Set(
+      selectReportInvestorIdsStmt.all(reportId).map((row) => row.investor_id)
+    );
+    deleteReportMentionsStmt.run(reportId);
+
+    const linked = [];
+    investors.forEach((investor, position) => {
+      const columns = mentionColumns(reportId, position, investor);
+      if (!columns) return;
+      let investorId = findInvestorId(columns);
+      if (investorId === null) {
+        investorId = Number(insertInvestorStmt.run(columns.name).lastInsertRowid);
+        insertMentionStmt.run({ ...columns, investor_id: investorId });
+        // Sets the domain so later entries of the same report can match it.
+        refreshInvestor(investorId);
+      } else {
+        insertMentionStmt.run({ ...columns, investor_id: investorId });
+        touched.add(investorId);
+      }
+      linked.push({ position, investorId });
+    });
+
+    for (const investorId of touched) refreshInvestor(investorId);
+    return linked;
+  })();
+}
+
+/**
+ * Investors ordered by how often they were recommended. `query` matches the
+ * name, aliases and domain; `type` the investor type.
+ */
+export function listInvestors({ query = null, type = null } = {}) {
+  const investors = selectInvestorsStmt.all({ type }).map(shapeInvestorRow);
+  const needle = optionalText(query)?.toLowerCase();
+  if (!needle) return investors;
+
+  return investors.filter((investor) =>
+    [investor.name, ...investor.aliases, investor.websiteDomain ?? ""].some((text) =>
+      text.toLowerCase().includes(needle)
+    )
+  );
+}
+
+/**
+ * An investor with its mentions (the report, company and values each
+ * recommendation used), newest first, or null.
+ */
+export function getInvestor(investorId) {
+  const investor = shapeInvestorRow(selectInvestorByIdStmt.get(investorId));
+  if (!investor) return null;
+
+  return {
+    ...investor,
+    mentions: selectMentionsByInvestorStmt.all(investorId).map(shapeMentionRow)
+  };
+}
+
+function parseIdList(value, field) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw validationError(`${field} must be a non-empty array of ids`);
+  }
+  const ids = value.map(Number);
+  if (!ids.every(Number.isInteger)) {
+    throw validationError(`${field} must be a non-empty array of ids`);
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * Merges the investors `sourceIds` into `investorId`: their mentions move
+ * over, so their names become aliases, and the sources are deleted.
+ */
+export function mergeInvestors(investorId, sourceIds) {
+  const ids = parseIdList(sourceIds, "investorIds");
+  if (ids.includes(investorId)) {
+    throw validationError("An investor cannot be merged into itself");
+  }
+  if (!selectInvestorByIdStmt.get(investorId)) throw notFoundError();
+  const missing = ids.find((id) => !selectInvestorByIdStmt.get(id));
+  if (missing !== undefined) {
+    const error = notFoundError();
+    error.message = `Investor ${missing} not found`;
+    throw error;
+  }
+
+  db.transaction(() => {
+    for (const id of ids) {
+      moveInvestorMentionsStmt.run({ from: id, to: investorId });
+      refreshInvestor(id);
+    }
+    refreshInvestor(investorId);
+  })();
+  return getInvestor(investorId);
+}
+
+/**
+ * Moves the mentions `mentionIds` of an investor to a new investor named
+ * `name` (by default the name most of the moved mentions used). Returns
+ * `{ investor, splitOff }` with both investors as returned by getInvestor.
+ */
+export function splitInvestor(investorId, { mentionIds, name } = {}) {
+  const ids = parseIdList(mentionIds, "mentionIds");
+  const existing = getInvestor(investorId);
+  if (!existing) throw notFoundError();
+
+  const ownIds = new Set(existing.mentions.map((mention) => mention.id));
+  const foreign = ids.find((id) => !ownIds.has(id));
+  if (foreign !== undefined) {
+    throw validationError(`Mention ${foreign} does not belong to investor ${investorId}`);
+  }
+  if (ids.length === ownIds.size) {
+    throw validationError("At least one mention must stay with the investor");
+  }
+  if (name !== undefined && name !== null && !optionalText(name)) {
+    throw validationError("name must be a non-empty string");
+  }
+
+  const moved = existing.mentions.filter((mention) => ids.includes(mention.id));
+  const splitOffName =
+    optionalText(name) ?? rankByFrequency(moved.map((mention) => mention.name))[0];
+
+  const splitOffId = db.transaction(() => {
+    const newId = Number(insertInvestorStmt.run(splitOffName).lastInsertRowid);
+    for (const id of ids) moveMentionStmt.run({ id, to: newId });
+    refreshInvestor(newId, { name: splitOffName });
+    refreshInvestor(investorId);
+    return newId;
+  })();
+
+  return { investor: getInvestor(investorId), splitOff: getInvestor(splitOffId) };
+}
+
+// Reports saved before the directory existed (or while it failed) are
+// matched on server start, so the directory covers the whole recommendation
+// history.
+export function backfillInvestorDirectory() {
+  for (const row of selectReportsWithoutMentionsStmt.all()) {
+    let recommendation = null;
+    try {
+      recommendation = JSON.parse(row.recommendation);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn(`[investors] Skipping report ${row.id} with invalid JSON:`, error);
+      continue;
+    }
+    recordReportInvestors(row.id, recommendation);
+  }
+}
+
+// Mentions stored under an older name key or focus splitting rule are
+// re-keyed and their investors re-derived on server start; rows that already
+// match the current rules are left untouched.
+export const rederiveInvestorDirectory = db.transaction(() => {
+  for (const mention of selectMentionNamesStmt.all()) {
+    const nameKey = investorNameKey(mention.name);
+    if (nameKey && nameKey !== mention.name_key) {
+      updateMentionNameKeyStmt.run(nameKey, mention.id);
+    }
+  }
+  for (const { id } of selectInvestorIdsStmt.all()) {
+    refreshInvestor(id);
+  }
+});
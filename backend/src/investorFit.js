@@ -0,0 +1,343 @@
+import dotenv from "dotenv";
+import { FUNDING_STAGES, classifyFundingStage } from "./fundingStage.js";
+import { industryLabel } from "./industryClassification.js";
+import { foldPlaceName, isFinlandCountry } from "./regions.js";
+
+dotenv.config();
+
+// Deterministic fit score of a recommended investor for a company, built
+// from four components the advisor can check by hand: ticket size against
+// the funding need, stage, geography and sector. Each component scores 0–1
+// with a message, or null when either side lacks the data.
+
+export const FIT_COMPONENTS = ["ticket", "stage", "geography", "sector"];
+
+const DEFAULT_WEIGHTS = {
+  ticket: 0.4,
+  stage: 0.25,
+  geography: 0.2,
+  sector: 0.15
+};
+
+function readWeight(value, fallback) {
+  const parsed = Number.parseFloat(value ?? "");
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function readWeights() {
+  const weights = Object.fromEntries(
+    FIT_COMPONENTS.map((component) => [
+      component,
+      readWeight(
+        process.env[`INVESTOR_FIT_WEIGHT_${component.toUpperCase()}`],
+        DEFAULT_WEIGHTS[component]
+      )
+    ])
+  );
+  return Object.values(weights).some((weight) => weight > 0)
+    ? weights
+    : DEFAULT_WEIGHTS;
+}
+
+// Relative weight of each component; set with INVESTOR_FIT_WEIGHT_<COMPONENT>.
+export const INVESTOR_FIT_WEIGHTS = readWeights();
+
+// Geography score of a focus that covers the company's country without
+// naming it, by reach; the Nordic tier only applies to Finnish companies.
+const GEOGRAPHY_TIERS = [
+  ["Nordic", 0.8, /\b(nordic|nordics|scandinavia|scandinavian)\b/],
+  ["European", 0.6, /\b(europe|european|eu|emea)\b/],
+  ["global", 0.5, /\b(global|globally|worldwide|international)\b/]
+];
+
+const GENERALIST_PATTERN =
+  /\b(generalist|sector agnostic|industry agnostic|all sectors|any sector)\b/;
+
+// Words too generic to show that two sector descriptions overlap, including
+// geography and stage words that sector texts often repeat.
+const SECTOR_STOP_WORDS = new Set([
+  "across",
+  "activities",
+  "activity",
+  "based",
+  "business",
+  "businesses",
+  "capital",
+  "companies",
+  "company",
+  "corporate",
+  "corporates",
+  "development",
+  "domestic",
+  "early",
+  "especially",
+  "europe",
+  "european",
+  "finance",
+  "financing",
+  "finland",
+  "finnish",
+  "focus",
+  "funding",
+  "general",
+  "global",
+  "growth",
+  "including",
+  "industries",
+  "industry",
+  "international",
+  "internationalisation",
+  "internationalization",
+  "investment",
+  "investments",
+  "large",
+  "listed",
+  "mainly",
+  "mature",
+  "medium",
+  "nordic",
+  "nordics",
+  "other",
+  "private",
+  "product",
+  "products",
+  "project",
+  "projects",
+  "public",
+  "related",
+  "scale",
+  "sector",
+  "sectors",
+  "service",
+  "services",
+  "sized",
+  "small",
+  "solutions",
+  "stage",
+  "their",
+  "typically",
+  "with"
+]);
+
+function isPositiveNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
+
+function formatEur(value) {
+  return `€${value.toLocaleString("en-US")}`;
+}
+
+function formatRange(min, max) {
+  if (min !== null && max !== null) {
+    return min === max ? formatEur(min) : `${formatEur(min)}–${formatEur(max)}`;
+  }
+  return max !== null ? `up to ${formatEur(max)}` : `from ${formatEur(min)}`;
+}
+
+function roundScore(value) {
+  return Number(value.toFixed(2));
+}
+
+const component = (name, score, message) => ({ component: name, score, message });
+
+function ticketFit(investor, metrics) {
+  const need = [
+    metrics?.funding_need_min_eur_guess,
+    metrics?.funding_need_max_eur_guess
+  ].filter(isPositiveNumber);
+  if (need.length === 0) {
+    return component("ticket", null, "Funding need is unknown");
+  }
+  const ticketMin = isPositiveNumber(investor.ticket_size_min_eur)
+    ? investor.ticket_size_min_eur
+    : null;
+  const ticketMax = isPositiveNumber(investor.ticket_size_max_eur)
+    ? investor.ticket_size_max_eur
+    : null;
+  if (ticketMin === null && ticketMax === null) {
+    return component("ticket", null, "Ticket size is not given");
+  }
+
+  const needMin = Math.min(...need);
+  const needMax = Math.max(...need);
+  const ticket = `Ticket ${formatRange(ticketMin, ticketMax)}`;
+  const needText = `funding need ${formatRange(needMin, needMax)}`;
+  if (ticketMin !== null && needMax < ticketMin) {
+    return component(
+      "ticket",
+      roundScore(needMax / ticketMin),
+      `${ticket} starts above the ${needText}`
+    );
+  }
+  if (ticketMax !== null && needMin > ticketMax) {
+    return component(
+      "ticket",
+      roundScore(ticketMax / needMin),
+      `${ticket} ends below the ${needText}`
+    );
+  }
+  return component("ticket", 1, `${ticket} overlaps the ${needText}`);
+}
+
+// "Seed to Series A, growth" -> ["seed", "early_growth", "growth"]. A bare
+// round letter after a Series round is that round: "Series A and B" ->
+// ["early_growth", "growth"].
+function focusStages(text) {
+  const entries = String(text ?? "")
+    .split(/[,;/()–]|\bto\b|\band\b/i)
+    .map((entry) => entry.trim())
+    .reduce((read, entry) => {
+      const previous = read[read.length - 1] ?? "";
+      const isRoundLetter =
+        /^[a-e]$/i.test(entry) && /\bseries\s?[a-e]$/i.test(previous);
+      return [...read, isRoundLetter ? `Series ${entry}` : entry];
+    }, []);
+  const stages = entries.map((entry) => classifyFundingStage(entry)).filter(Boolean);
+  return FUNDING_STAGES.filter((stage) => stages.includes(stage));
+}
+
+function stageFit(investor, metrics) {
+  const companyStage = classifyFundingStage(metrics?.stage);
+  if (!companyStage) {
+    return component("stage", null, "Company stage is unknown");
+  }
+  const stages = focusStages(investor.stage_focus);
+  if (stages.length === 0) {
+    return component("stage", null, "Stage focus does not name a funding stage");
+  }
+
+  const companyIndex = FUNDING_STAGES.indexOf(companyStage);
+  const distance = Math.min(
+    ...stages.map((stage) => Math.abs(FUNDING_STAGES.indexOf(stage) - companyIndex))
+  );
+  const invests = `Invests at ${stages.join(", ")}`;
+  if (distance === 0) {
+    return component("stage", 1, `${invests}; company is ${companyStage}`);
+  }
+  return component(
+    "stage",
+    distance === 1 ? 0.5 : 0,
+    `${invests}; company is ${companyStage}` +
+      (distance === 1 ? " (adjacent stage)" : "")
+  );
+}
+
+function geographyFit(investor, metrics) {
+  const focus = foldPlaceName(investor.geo_focus);
+  if (!focus) {
+    return component("geography", null, "Geography focus is not given");
+  }
+  if (!metrics) {
+    return component("geography", null, "Company location is unknown");
+  }
+  const matches = (term) => new RegExp(`\\b${term}\\b`).test(focus);
+
+  const local = [
+    metrics?.municipality,
+    metrics?.city,
+    metrics?.region,
+    metrics?.region_sv
+  ]
+    .map(foldPlaceName)
+    .find((place) => place && matches(place));
+  if (local) {
+    return component("geography", 1, `Focus names ${local}`);
+  }
+
+  const inFinland = isFinlandCountry(metrics?.country);
+  const country = inFinland ? "Finland" : metrics?.country;
+  const homeTerms = inFinland
+    ? ["finland", "finnish", "suomi"]
+    : [foldPlaceName(country)];
+  if (homeTerms.some(matches)) {
+    return component("geography", 1, `Focus covers ${country}`);
+  }
+
+  const tier = GEOGRAPHY_TIERS.find(
+    ([reach, , pattern]) => (inFinland || reach !== "Nordic") && pattern.test(focus)
+  );
+  if (tier) {
+    const [reach, score] = tier;
+    return component("geography", score, `Focus is ${reach}, not specific to ${country}`);
+  }
+  return component(
+    "geography",
+    0,
+    `Focus (${investor.geo_focus}) does not cover ${country}`
+  );
+}
+
+// Six-letter stems of the meaningful words, so "biotech" matches
+// "biotechnology" and "manufacturer" matches "manufacturing".
+function sectorStems(text) {
+  return new Map(
+    foldPlaceName(text)
+      .split(" ")
+      .filter((word) => word.length >= 4 && !SECTOR_STOP_WORDS.has(word))
+      .map((word) => [word.slice(0, 6), word])
+  );
+}
+
+function sectorFit(investor, metrics) {
+  const focus = String(investor.sector_focus ?? "").trim();
+  if (!focus) {
+    return component("sector", null, "Sector focus is not given");
+  }
+  const companyText = [
+    metrics?.industry_text,
+    industryLabel(metrics?.industry_code),
+    metrics?.description
+  ]
+    .filter(Boolean)
+    .join(" ");
+  if (!companyText) {
+    return component("sector", null, "Company industry is unknown");
+  }
+
+  const companyStems = sectorStems(companyText);
+  const shared = [...sectorStems(focus)]
+    .filter(([stem]) => companyStems.has(stem))
+    .map(([, word]) => word);
+  if (shared.length > 0) {
+    return component(
+      "sector",
+      1,
+      `Sector focus mentions ${shared.slice(0, 3).join(", ")}`
+    );
+  }
+  if (GENERALIST_PATTERN.test(foldPlaceName(focus))) {
+    return component("sector", 0.5, "Generalist investor");
+  }
+  return component("sector", 0, "Sector focus does not mention the company's industry");
+}
+
+const FIT_CHECKS = {
+  ticket: ticketFit,
+  stage: stageFit,
+  geography: geographyFit,
+  sector: sectorFit
+};
+
+/**
+ * Scores a recommended investor (an entry of `recommended_investors`)
+ * against company `metrics`. Returns `{ score, components }` where each
+ * component is `{ component, weight, score, message }` and `score` is the
+ * weighted mean of the component scores, counting unknown (null) ones as
+ * half.
+ */
+export function scoreInvestorFit(investor, metrics, weights = INVESTOR_FIT_WEIGHTS) {
+  const components = FIT_COMPONENTS.map((name) => ({
+    ...FIT_CHECKS[name](investor ?? {}, metrics),
+    weight: weights[name] ?? 0
+  }));
+  const totalWeight = components.reduce((sum, entry) => sum + entry.weight, 0);
+  const weighted = components.reduce(
+    (sum, entry) => sum + entry.weight * (entry.score ?? 0.5),
+    0
+  );
+
+  return {
+    score: totalWeight > 0 ? Number((weighted / totalWeight).toFixed(3)) : 0,
+    components
+  };
+}
@@ -0,0 +1,286 @@
+import dotenv from "dotenv";
+import { db } from "./db.js";
+
+dotenv.config();
+
+function readPositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value ?? "", 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+export const JOB_CONCURRENCY = readPositiveInt(process.env.JOB_CONCURRENCY, 2);
+export const JOB_MAX_ATTEMPTS = readPositiveInt(process.env.JOB_MAX_ATTEMPTS, 3);
+const JOB_RETRY_DELAY_MS = readPositiveInt(process.env.JOB_RETRY_DELAY_MS, 30000);
+const JOB_POLL_INTERVAL_MS = readPositiveInt(process.env.JOB_POLL_INTERVAL_MS, 1000);
+
+// Long agent runs report many searches; older entries are dropped past this.
+const MAX_PROGRESS_ENTRIES = 200;
+
+export const JOB_STATUSES = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed"
+};
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS jobs (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  type            TEXT NOT NULL,
+  status          TEXT NOT NULL DEFAULT 'queued',
+  payload_json    TEXT NOT NULL,
+  result_status   INTEGER,
+  result_json     TEXT,
+  progress_json   TEXT,
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  max_attempts    INTEGER NOT NULL,
+  last_error      TEXT,
+  run_after       DATETIME DEFAULT CURRENT_TIMESTAMP,
+  created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+  started_at      DATETIME,
+  finished_at     DATETIME,
+  updated_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_status_run_after
+  ON jobs(status, run_after);
+`);
+
+const insertJobStmt = db.prepare(
+  `INSERT INTO jobs (type, payload_json, max_attempts)
+   VALUES (@type, @payload_json, @max_attempts)`
+);
+
+const selectJobByIdStmt = db.prepare("SELECT * FROM jobs WHERE id = ?");
+
+const selectRunnableJobsStmt = db.prepare(
+  `SELECT id FROM jobs
+   WHERE status = 'queued' AND run_after <= CURRENT_TIMESTAMP
+   ORDER BY run_after, id
+   LIMIT ?`
+);
+
+const claimJobStmt = db.prepare(
+  `UPDATE jobs SET
+    status = 'running',
+    attempts = attempts + 1,
+    started_at = CURRENT_TIMESTAMP,
+    updated_at = CURRENT_TIMESTAMP
+  WHERE id = ? AND status = 'queued'`
+);
+
+const updateJobProgressStmt = db.prepare(
+  `UPDATE jobs SET progress_json = @progress_json, updated_at = CURRENT_TIMESTAMP
+   WHERE id = @id`
+);
+
+const finishJobStmt = db.prepare(
+  `UPDATE jobs SET
+    status = @status,
+    result_status = @result_status,
+    result_json = @result_json,
+    last_error = @last_error,
+    finished_at = CURRENT_TIMESTAMP,
+    updated_at = CURRENT_TIMESTAMP
+  WHERE id = @id`
+);
+
+const requeueJobStmt = db.prepare(
+  `UPDATE jobs SET
+    status = 'queued',
+    last_error = @last_error,
+    run_after = datetime('now', @delay_modifier),
+    updated_at = CURRENT_TIMESTAMP
+  WHERE id = @id`
+);
+
+const requeueInterruptedJobsStmt = db.prepare(
+  `UPDATE jobs SET
+    status = 'queued',
+    last_error = 'Interrupted by a server restart',
+    run_after = CURRENT_TIMESTAMP,
+    updated_at = CURRENT_TIMESTAMP
+  WHERE status = 'running' AND attempts < max_attempts`
+);
+
+const failInterruptedJobsStmt = db.prepare(
+  `UPDATE jobs SET
+    status = 'failed',
+    result_status = 500,
+    result_json = '{"error":"Job interrupted","details":"The server restarted while the job was running and no attempts are left."}',
+    last_error = 'Interrupted by a server restart',
+    finished_at = CURRENT_TIMESTAMP,
+    updated_at = CURRENT_TIMESTAMP
+  WHERE status = 'running' AND attempts >= max_attempts`
+);
+
+const handlers = new Map();
+const runningJobIds = new Set();
+let pollTimer = null;
+
+function parseJson(raw, fallback) {
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+function shapeJobRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    progress: parseJson(row.progress_json, []),
+    resultStatus: row.result_status,
+    result: parseJson(row.result_json, null),
+    lastError: row.last_error,
+    runAfter: row.run_after,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Registers the worker for a job type. `handler(payload, context)` resolves
+ * to an HTTP-style outcome `{ status, body }`: status < 400 marks the job
+ * succeeded, anything else failed. Throwing schedules another attempt while
+ * attempts remain. `context` holds `onProgress`, `attempt` and
+ * `isLastAttempt`.
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+export function enqueueJob(type, payload) {
+  if (!handlers.has(type)) {
+    throw new Error(`No job handler registered for "${type}"`);
+  }
+
+  const jobId = insertJobStmt.run({
+    type,
+    payload_json: JSON.stringify(payload ?? {}),
+    max_attempts: JOB_MAX_ATTEMPTS
+  }).lastInsertRowid;
+
+  setImmediate(pumpQueue);
+  return getJob(jobId);
+}
+
+export function getJob(jobId) {
+  return shapeJobRow(selectJobByIdStmt.get(jobId));
+}
+
+function finishJob(jobId, outcome) {
+  const status =
+    outcome.status < 400 ? JOB_STATUSES.SUCCEEDED : JOB_STATUSES.FAILED;
+
+  finishJobStmt.run({
+    id: jobId,
+    status,
+    result_status: outcome.status,
+    result_json: JSON.stringify(outcome.body ?? null),
+    last_error: status === JOB_STATUSES.FAILED ? outcome.body?.error ?? null : null
+  });
+}
+
+async function runJob(jobId) {
+  const job = selectJobByIdStmt.get(jobId);
+  const handler = handlers.get(job.type);
+  const progress = parseJson(job.progress_json, []);
+
+  const onProgress = (entry) => {
+    progress.push({ ...entry, attempt: job.attempts });
+    if (progress.length > MAX_PROGRESS_ENTRIES) progress.shift();
+    updateJobProgressStmt.run({ id: jobId, progress_json: JSON.stringify(progress) });
+  };
+
+  if (!handler) {
+    finishJob(jobId, {
+      status: 500,
+      body: { error: `No job handler registered for "${job.type}"` }
+    });
+    return;
+  }
+
+  try {
+    const outcome = await handler(parseJson(job.payload_json, {}), {
+      onProgress,
+      attempt: job.attempts,
+      isLastAttempt: job.attempts >= job.max_attempts
+    });
+    finishJob(jobId, outcome);
+  } catch (error) {
+    const message = error?.message ?? "Unknown error";
+
+    if (job.attempts < job.max_attempts) {
+      const delayMs = JOB_RETRY_DELAY_MS * job.attempts;
+      // eslint-disable-next-line no-console
+      console.warn(
+        `[jobs] Job ${jobId} (${job.type}) failed on attempt ${job.attempts}/${job.max_attempts}, retrying in ${delayMs} ms:`,
+        message
+      );
+      requeueJobStmt.run({
+        id: jobId,
+        last_error: message,
+        delay_modifier: `+${Math.ceil(delayMs / 1000)} seconds`
+      });
+      return;
+    }
+
+    // eslint-disable-next-line no-console
+    console.error(`[jobs] Job ${jobId} (${job.type}) failed:`, error);
+    finishJob(jobId, {
+      status: 500,
+      body: { error: "Job failed", details: message }
+    });
+  }
+}
+
+function pumpQueue() {
+  const freeSlots = JOB_CONCURRENCY - runningJobIds.size;
+  if (freeSlots <= 0) return;
+
+  for (const { id } of selectRunnableJobsStmt.all(freeSlots)) {
+    if (claimJobStmt.run(id).changes === 0) continue;
+
+    runningJobIds.add(id);
+    runJob(id)
+      .catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error(`[jobs] Worker crashed on job ${id}:`, error);
+      })
+      .finally(() => {
+        runningJobIds.delete(id);
+        setImmediate(pumpQueue);
+      });
+  }
+}
+
+/**
+ * Recovers jobs left `running` by a crash (requeued while attempts remain,
+ * failed otherwise) and starts polling for queued work.
+ */
+export function startJobWorker() {
+  if (pollTimer) return;
+
+  const requeued = requeueInterruptedJobsStmt.run().changes;
+  const failed = failInterruptedJobsStmt.run().changes;
+  if (requeued || failed) {
+    // eslint-disable-next-line no-console
+    console.warn(
+      `[jobs] Recovered interrupted jobs: ${requeued} requeued, ${failed} failed`
+    );
+  }
+
+  pollTimer = setInterval(pumpQueue, JOB_POLL_INTERVAL_MS);
+  pollTimer.unref();
+  pumpQueue();
+}
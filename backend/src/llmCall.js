@@ -0,0 +1,224 @@
+import dotenv from "dotenv";
+import { llmProvider } from "./llmProvider.js";
+
+dotenv.config();
+
+export const LLM_ERROR_CODES = {
+  RATE_LIMITED: "rate_limited",
+  AUTH: "auth",
+  TIMEOUT: "timeout",
+  INVALID_OUTPUT: "invalid_output",
+  UPSTREAM_ERROR: "upstream_error",
+  BUDGET_EXCEEDED: "budget_exceeded"
+};
+
+const KNOWN_CODES = new Set(Object.values(LLM_ERROR_CODES));
+
+function readInt(value, fallback, min) {
+  const parsed = Number.parseInt(value ?? "", 10);
+  return Number.isInteger(parsed) && parsed >= min ? parsed : fallback;
+}
+
+function readPositiveInt(value, fallback) {
+  return readInt(value, fallback, 1);
+}
+
+// Reasoning calls with web search regularly take more than a minute.
+export const LLM_TIMEOUT_MS = readPositiveInt(process.env.LLM_TIMEOUT_MS, 180000);
+// The only setting where 0 is meaningful: it turns retries off.
+export const LLM_MAX_RETRIES = readInt(process.env.LLM_MAX_RETRIES, 2, 0);
+const LLM_RETRY_BASE_DELAY_MS = readPositiveInt(
+  process.env.LLM_RETRY_BASE_DELAY_MS,
+  1000
+);
+const LLM_RETRY_MAX_DELAY_MS = readPositiveInt(
+  process.env.LLM_RETRY_MAX_DELAY_MS,
+  20000
+);
+
+export function createLlmError(
+  code,
+  message,
+  { cause, retryable = false, status = null, retryAfterMs = null } = {}
+) {
+  const error = new Error(message);
+  error.code = code;
+  error.retryable = retryable;
+  error.upstreamStatus = status;
+  error.retryAfterMs = retryAfterMs;
+  if (cause) error.cause = cause;
+  return error;
+}
+
+export function isLlmError(error) {
+  return KNOWN_CODES.has(error?.code);
+}
+
+function readRetryAfterMs(error) {
+  const headers = error?.headers;
+  const raw =
+    typeof headers?.get === "function"
+      ? headers.get("retry-after")
+      : headers?.["retry-after"];
+  const seconds = Number(raw);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Maps provider/SDK errors onto the typed codes in LLM_ERROR_CODES. Errors
+ * that already carry one of those codes (or an agent configuration code such
+ * as MISSING_LOOKUP_AGENT) are returned unchanged.
+ */
+export function classifyLlmError(error) {
+  if (error?.code === "OPENAI_API_KEY_MISSING") {
+    return createLlmError(LLM_ERROR_CODES.AUTH, error.message, { cause: error });
+  }
+
+  if (isLlmError(error) || /^MISSING_/.test(error?.code ?? "")) {
+    return error;
+  }
+
+  const status = Number.isInteger(error?.status) ? error.status : null;
+  const message = error?.message || "Unknown LLM error";
+  // The OpenAI SDK error classes keep the default name "Error".
+  const name = error?.name === "Error" ? error.constructor?.name : error?.name;
+
+  if (
+    name === "AbortError" ||
+    name === "APIConnectionTimeoutError" ||
+    error?.code === "ETIMEDOUT"
+  ) {
+    return createLlmError(LLM_ERROR_CODES.TIMEOUT, message, {
+      cause: error,
+      retryable: true
+    });
+  }
+
+  if (status === 429) {
+    // Exhausted quota will not recover by waiting, plain rate limits will.
+    const quotaExhausted = error?.code === "insufficient_quota";
+    return createLlmError(LLM_ERROR_CODES.RATE_LIMITED, message, {
+      cause: error,
+      status,
+      retryable: !quotaExhausted,
+      retryAfterMs: readRetryAfterMs(error)
+    });
+  }
+
+  if (status === 401 || status === 403) {
+    return createLlmError(LLM_ERROR_CODES.AUTH, message, {
+      cause: error,
+      status
+    });
+  }
+
+  const isConnectionError = name === "APIConnectionError";
+  const isTransientStatus =
+    status !== null && (status >= 500 || status === 408 || status === 409);
+
+  if (isConnectionError || isTransientStatus) {
+    return createLlmError(LLM_ERROR_CODES.UPSTREAM_ERROR, message, {
+      cause: error,
+      status,
+      retryable: true
+    });
+  }
+
+  return createLlmError(LLM_ERROR_CODES.UPSTREAM_ERROR, message, {
+    cause: error,
+    status
+  });
+}
+
+function computeBackoffMs(attempt, error) {
+  if (error?.retryAfterMs) {
+    return Math.min(error.retryAfterMs, LLM_RETRY_MAX_DELAY_MS);
+  }
+
+  // Full jitter: random delay between 0 and the exponential cap.
+  const cap = Math.min(
+    LLM_RETRY_BASE_DELAY_MS * 2 ** attempt,
+    LLM_RETRY_MAX_DELAY_MS
+  );
+  return Math.round(Math.random() * cap);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function createResponseWithDeadline(request, context, timeoutMs, onEvent) {
+  const controller = new AbortController();
+  let timer = null;
+
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(
+        createLlmError(
+          LLM_ERROR_CODES.TIMEOUT,
+          `LLM call for agent "${context.agent}" exceeded ${timeoutMs} ms`,
+          { retryable: true }
+        )
+      );
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([
+      llmProvider.createResponse(request, context, {
+        signal: controller.signal,
+        timeoutMs,
+        onEvent
+      }),
+      deadline
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Shared entry point for every model call. Applies a per-call deadline,
+ * retries retryable failures with exponential backoff and jitter, and throws
+ * errors classified with LLM_ERROR_CODES.
+ *
+ * Resolves to `{ response, attempts, latencyMs }`. `onEvent` receives the
+ * provider's progress events (see llmProvider.js).
+ */
+export async function callLlm(
+  request,
+  context,
+  { timeoutMs = LLM_TIMEOUT_MS, maxRetries = LLM_MAX_RETRIES, onEvent } = {}
+) {
+  const startedAt = Date.now();
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const response = await createResponseWithDeadline(
+        request,
+        context,
+        timeoutMs,
+        onEvent
+      );
+      return {
+        response,
+        attempts: attempt + 1,
+        latencyMs: Date.now() - startedAt
+      };
+    } catch (rawError) {
+      const error = classifyLlmError(rawError);
+      error.attempts = attempt + 1;
+      error.latencyMs = Date.now() - startedAt;
+
+      if (!error.retryable || attempt >= maxRetries) {
+        throw error;
+      }
+
+      const delayMs = computeBackoffMs(attempt, error);
+      // eslint-disable-next-line no-console
+      console.warn(
+        `[llm] ${context.agent} call failed with ${error.code} (attempt ${attempt + 1}/${maxRetries + 1}), retrying in ${delayMs} ms`
+      );
+      await sleep(delayMs);
+    }
+  }
+}
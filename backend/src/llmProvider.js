@@ -0,0 +1,82 @@
+import dotenv from "dotenv";
+import { createOpenAIProvider } from "./openaiClient.js";
+import {
+  createFixtureProvider,
+  writeFixture,
+  DEFAULT_FIXTURES_DIRECTORY
+} from "./fixtureProvider.js";
+
+dotenv.config();
+
+export const LLM_PROVIDER = (process.env.LLM_PROVIDER || "openai")
+  .trim()
+  .toLowerCase();
+
+const fixturesDirectory =
+  process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIRECTORY;
+
+const recordFixtures = process.env.LLM_RECORD_FIXTURES === "true";
+
+const PROVIDER_FACTORIES = {
+  openai: () => createOpenAIProvider(),
+  fixture: () => createFixtureProvider({ fixturesDirectory })
+};
+
+// Wraps a live provider so every successful response is also written to the
+// fixture directory, ready to be replayed with LLM_PROVIDER=fixture.
+function withFixtureRecording(provider) {
+  return {
+    ...provider,
+    async createResponse(request, context = {}, options = {}) {
+      const response = await provider.createResponse(request, context, options);
+
+      try {
+        const fixtureFile = writeFixture({
+          fixturesDirectory,
+          agent: context.agent,
+          companyName: context.companyName,
+          request,
+          response
+        });
+        // eslint-disable-next-line no-console
+        console.log(`[llm] Recorded fixture ${fixtureFile}`);
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.warn("[llm] Failed to record fixture:", error);
+      }
+
+      return response;
+    }
+  };
+}
+
+function createProvider() {
+  const factory = PROVIDER_FACTORIES[LLM_PROVIDER];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${LLM_PROVIDER}". Use one of: ${Object.keys(
+        PROVIDER_FACTORIES
+      ).join(", ")}`
+    );
+  }
+
+  const provider = factory();
+  if (recordFixtures && provider.name !== "fixture") {
+    return withFixtureRecording(provider);
+  }
+  return provider;
+}
+
+/**
+ * Active LLM provider. Every provider exposes `name`, `sourceLabel`,
+ * `requiresAgentPrompts` and
+ * `createResponse(request, { agent, companyName }, { signal, timeoutMs, onEvent })`,
+ * which resolves to a Responses API shaped payload. When `onEvent` is given,
+ * providers report `{ type: "search_started" }` and
+ * `{ type: "search_completed", query }` while the call runs. Call it through
+ * `callLlm` (llmCall.js) rather than directly.
+ */
+export const llmProvider = createProvider();
+
+// eslint-disable-next-line no-console
+console.log(`[llm] Using "${llmProvider.name}" provider`);
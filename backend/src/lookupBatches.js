@@ -0,0 +1,325 @@
+import dotenv from "dotenv";
+import { db } from "./db.js";
+import { enqueueJob, getJob, JOB_STATUSES } from "./jobQueue.js";
+import { parseCsv, toCsv } from "./csv.js";
+import { guardLookupInput } from "./inputGuard.js";
+import { parseBusinessId } from "./businessId.js";
+
+dotenv.config();
+
+const parsedMaxRows = Number.parseInt(process.env.BATCH_MAX_ROWS ?? "", 10);
+export const BATCH_MAX_ROWS =
+  Number.isInteger(parsedMaxRows) && parsedMaxRows > 0 ? parsedMaxRows : 500;
+
+// Accepted header spellings (compared lowercased, without spaces, dashes or
+// underscores). Files without a recognised header are read as
+// name, business ID, extra context.
+const HEADER_ALIASES = {
+  companyName: ["name", "company", "companyname", "nimi", "yritys", "yrityksennimi"],
+  businessId: ["businessid", "ytunnus", "yid", "vatid"],
+  extraInfo: ["extra", "extrainfo", "context", "notes", "lisatiedot", "lisätiedot"]
+};
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS lookup_batches (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  file_name     TEXT,
+  total_rows    INTEGER NOT NULL,
+  created_at    DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS lookup_batch_rows (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  batch_id      INTEGER NOT NULL,
+  row_number    INTEGER NOT NULL,
+  company_name  TEXT NOT NULL,
+  business_id   TEXT,
+  extra_info    TEXT,
+  job_id        INTEGER,
+
+  FOREIGN KEY (batch_id) REFERENCES lookup_batches(id),
+  FOREIGN KEY (job_id) REFERENCES jobs(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lookup_batch_rows_batch
+  ON lookup_batch_rows(batch_id, row_number);
+`);
+
+const insertBatchStmt = db.prepare(
+  "INSERT INTO lookup_batches (file_name, total_rows) VALUES (@file_name, @total_rows)"
+);
+
+const insertBatchRowStmt = db.prepare(
+  `INSERT INTO lookup_batch_rows (
+    batch_id,
+    row_number,
+    company_name,
+    business_id,
+    extra_info
+  ) VALUES (
+    @batch_id,
+    @row_number,
+    @company_name,
+    @business_id,
+    @extra_info
+  )`
+);
+
+const setBatchRowJobStmt = db.prepare(
+  "UPDATE lookup_batch_rows SET job_id = ? WHERE id = ?"
+);
+
+const selectBatchStmt = db.prepare(
+  "SELECT id, file_name, total_rows, created_at FROM lookup_batches WHERE id = ?"
+);
+
+const selectBatchRowsStmt = db.prepare(
+  `SELECT id, row_number, company_name, business_id, extra_info, job_id
+   FROM lookup_batch_rows
+   WHERE batch_id = ?
+   ORDER BY row_number`
+);
+
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function normalizeHeader(value) {
+  return value.trim().toLowerCase().replace(/[\s_-]+/g, "");
+}
+
+function resolveColumns(firstRow) {
+  const normalized = firstRow.map(normalizeHeader);
+  const columns = {};
+
+  for (const [key, aliases] of Object.entries(HEADER_ALIASES)) {
+    const index = normalized.findIndex((header) => aliases.includes(header));
+    if (index !== -1) columns[key] = index;
+  }
+
+  if (columns.companyName === undefined) {
+    return { hasHeader: false, columns: { companyName: 0, businessId: 1, extraInfo: 2 } };
+  }
+  return { hasHeader: true, columns };
+}
+
+/**
+ * Parses the uploaded CSV into `{ rowNumber, companyName, businessId,
+ * extraInfo }` entries. Row numbers refer to lines in the file (header = 1).
+ */
+export function parseBatchCsv(csvText) {
+  const rows = parseCsv(csvText);
+  if (rows.length === 0) {
+    throw validationError("The CSV file is empty");
+  }
+
+  const { hasHeader, columns } = resolveColumns(rows[0]);
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const firstRowNumber = hasHeader ? 2 : 1;
+  const cell = (row, key) =>
+    columns[key] === undefined ? "" : (row[columns[key]] ?? "").trim();
+
+  const entries = dataRows
+    .map((row, index) => ({
+      rowNumber: firstRowNumber + index,
+      companyName: cell(row, "companyName"),
+      businessId: cell(row, "businessId") || null,
+      extraInfo: cell(row, "extraInfo") || null
+    }))
+    .filter((entry) => entry.companyName || entry.businessId || entry.extraInfo);
+
+  const missingName = entries.find((entry) => !entry.companyName);
+  if (missingName) {
+    throw validationError(`Row ${missingName.rowNumber} has no company name`);
+  }
+
+  if (entries.length === 0) {
+    throw validationError("The CSV file has no company rows");
+  }
+
+  if (entries.length > BATCH_MAX_ROWS) {
+    throw validationError(
+      `The CSV file has ${entries.length} rows; the limit is ${BATCH_MAX_ROWS} (BATCH_MAX_ROWS)`
+    );
+  }
+
+  // Length limits and invalid Business IDs fail the upload up front;
+  // instruction-like content is flagged or rejected per row when the lookup
+  // runs.
+  for (const entry of entries) {
+    if (entry.businessId) {
+      const parsed = parseBusinessId(entry.businessId);
+      if (!parsed.valid) {
+        throw validationError(`Row ${entry.rowNumber}: ${parsed.error}`);
+      }
+      entry.businessId = parsed.businessId;
+    }
+
+    try {
+      guardLookupInput({
+        companyName: entry.companyName,
+        extraInfo: buildLookupContext(entry)
+      });
+    } catch (error) {
+      throw validationError(`Row ${entry.rowNumber}: ${error.message}`);
+    }
+  }
+
+  return entries;
+}
+
+function buildLookupContext(entry) {
+  return [entry.businessId ? `Business ID: ${entry.businessId}` : null, entry.extraInfo]
+    .filter(Boolean)
+    .join(". ");
+}
+
+function buildLookupJobPayload(entry, batchId) {
+  const context = buildLookupContext(entry);
+
+  return {
+    companyName: entry.companyName,
+    extraInfo: context,
+    businessId: entry.businessId,
+    kind: context ? "detailed" : "basic",
+    force: false,
+    requestBody: {
+      companyName: entry.companyName,
+      businessId: entry.businessId,
+      extraInfo: entry.extraInfo,
+      batchId,
+      rowNumber: entry.rowNumber
+    }
+  };
+}
+
+const insertBatchTx = db.transaction((fileName, entries) => {
+  const batchId = insertBatchStmt.run({
+    file_name: fileName,
+    total_rows: entries.length
+  }).lastInsertRowid;
+
+  const rowIds = entries.map(
+    (entry) =>
+      insertBatchRowStmt.run({
+        batch_id: batchId,
+        row_number: entry.rowNumber,
+        company_name: entry.companyName,
+        business_id: entry.businessId,
+        extra_info: entry.extraInfo
+      }).lastInsertRowid
+  );
+
+  return { batchId, rowIds };
+});
+
+/**
+ * Stores the batch and enqueues one `company_lookup` job per row. Rows with a
+ * business ID or extra context run as detailed lookups.
+ */
+export function createLookupBatch({ fileName, csvText }) {
+  const entries = parseBatchCsv(csvText);
+  const { batchId, rowIds } = insertBatchTx(
+    typeof fileName === "string" && fileName.trim() ? fileName.trim() : null,
+    entries
+  );
+
+  entries.forEach((entry, index) => {
+    const job = enqueueJob("company_lookup", buildLookupJobPayload(entry, batchId));
+    setBatchRowJobStmt.run(job.id, rowIds[index]);
+  });
+
+  return getLookupBatch(batchId);
+}
+
+function shapeBatchRow(row) {
+  const job = row.job_id ? getJob(row.job_id) : null;
+  const result = job?.result ?? null;
+  const lastProgress = job?.progress?.[job.progress.length - 1] ?? null;
+
+  return {
+    rowNumber: row.row_number,
+    companyName: row.company_name,
+    businessId: row.business_id,
+    extraInfo: row.extra_info,
+    jobId: row.job_id,
+    status: job?.status ?? JOB_STATUSES.QUEUED,
+    progressMessage: lastProgress?.message ?? null,
+    companyId: result?.companyId ?? null,
+    caseId: result?.caseId ?? null,
+    enrichmentStatus: result?.enrichment?.status ?? null,
+    error:
+      job?.status === JOB_STATUSES.FAILED
+        ? [result?.error, result?.details].filter(Boolean).join(": ") ||
+          job.lastError
+        : null,
+    metrics: result?.metrics ?? null
+  };
+}
+
+export function getLookupBatch(batchId) {
+  const batch = selectBatchStmt.get(batchId);
+  if (!batch) return null;
+
+  const rows = selectBatchRowsStmt.all(batchId).map(shapeBatchRow);
+  const counts = Object.fromEntries(
+    Object.values(JOB_STATUSES).map((status) => [
+      status,
+      rows.filter((row) => row.status === status).length
+    ])
+  );
+  const isDone = counts.succeeded + counts.failed === rows.length;
+
+  return {
+    batchId: batch.id,
+    fileName: batch.file_name,
+    createdAt: batch.created_at,
+    totalRows: batch.total_rows,
+    status: isDone ? "completed" : "running",
+    counts,
+    rows
+  };
+}
+
+const RESULT_COLUMNS = [
+  ["row_number", (row) => row.rowNumber],
+  ["input_name", (row) => row.companyName],
+  ["input_business_id", (row) => row.businessId],
+  ["input_extra_info", (row) => row.extraInfo],
+  ["job_status", (row) => row.status],
+  ["enrichment_status", (row) => row.enrichmentStatus],
+  ["error", (row) => row.error],
+  ["company_id", (row) => row.companyId],
+  ["case_id", (row) => row.caseId],
+  ...[
+    "name",
+    "business_id",
+    "vat_number",
+    "website_url",
+    "country",
+    "city",
+    "industry_code",
+    "industry_text",
+    "industry_text_fi",
+    "employee_count",
+    "employee_range",
+    "revenue_eur",
+    "revenue_range",
+    "balance_sheet_total_eur",
+    "stage",
+    "funding_need_type_guess",
+    "funding_need_min_eur_guess",
+    "funding_need_max_eur_guess",
+    "summary"
+  ].map((field) => [field, (row) => row.metrics?.[field]])
+];
+
+// One line per uploaded row with the job outcome and the enriched metrics.
+export function buildLookupBatchResultsCsv(batch) {
+  return toCsv(
+    RESULT_COLUMNS.map(([name]) => name),
+    batch.rows.map((row) => RESULT_COLUMNS.map(([, read]) => read(row)))
+  );
+}
@@ -0,0 +1,257 @@
+import { createLlmError, LLM_ERROR_CODES } from "./llmCall.js";
+
+// Shared JSON extraction for agent answers. Structured output usually makes
+// the text plain JSON, but recorded and older responses wrap it in code
+// fences or prose, so the strategies below are tried in order and the
+// outcome is reported as diagnostics for the case debug payload.
+
+const PREVIEW_LENGTH = 120;
+
+const FENCED_BLOCK_PATTERN = /```[a-zA-Z]*[ \t]*\r?\n?([\s\S]*?)```/g;
+
+// Only checked when no JSON was found, so a refusal-like phrase inside a
+// valid answer does not trip it.
+const REFUSAL_PATTERN =
+  /^\s*(i'?m sorry|i am sorry|sorry,|i cannot|i can'?t|i am unable|i'?m unable|unfortunately,? i)/i;
+
+function preview(text) {
+  const compact = text.replace(/\s+/g, " ").trim();
+  return compact.length > PREVIEW_LENGTH
+    ? `${compact.slice(0, PREVIEW_LENGTH)}…`
+    : compact;
+}
+
+function discarded(reason, text) {
+  return { reason, length: text.length, preview: preview(text) };
+}
+
+function tryParseJson(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (error) {
+    return { ok: false, error };
+  }
+}
+
+/**
+ * Joins the assistant text of a Responses API payload. Refusal items are
+ * returned separately because they never contain the answer.
+ */
+export function collectOutputParts(response) {
+  if (typeof response?.output_text === "string") {
+    return { text: response.output_text, refusals: [] };
+  }
+
+  const chunks = Array.isArray(response?.output_text) ? [...response.output_text] : [];
+  const refusals = [];
+
+  for (const block of response?.output || []) {
+    if (!block?.content) continue;
+    for (const item of block.content) {
+      if (
+        (item.type === "output_text" || item.type === "text") &&
+        typeof item.text === "string"
+      ) {
+        chunks.push(item.text);
+      } else if (item.type === "refusal" && typeof item.refusal === "string") {
+        refusals.push(item.refusal);
+      }
+    }
+  }
+
+  return { text: chunks.join(""), refusals };
+}
+
+export function collectOutputText(response) {
+  return collectOutputParts(response).text;
+}
+
+/**
+ * Finds every top-level `{...}` span in `text`, skipping braces inside JSON
+ * strings. `unclosedStart` is the offset of an object that never closed,
+ * which usually means the output was cut off.
+ */
+export function scanBalancedObjects(text) {
+  const spans = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"' && depth > 0) {
+      inString = true;
+    } else if (char === "{") {
+      if (depth === 0) start = index;
+      depth += 1;
+    } else if (char === "}" && depth > 0) {
+      depth -= 1;
+      if (depth === 0) {
+        spans.push({ start, end: index + 1 });
+        start = -1;
+      }
+    }
+  }
+
+  return { spans, unclosedStart: depth > 0 ? start : null };
+}
+
+function parseFencedBlocks(text, diagnostics) {
+  const blocks = [...text.matchAll(FENCED_BLOCK_PATTERN)];
+  let found = null;
+
+  for (const match of blocks) {
+    const body = match[1].trim();
+    const parsed = body ? tryParseJson(body) : { ok: false };
+    if (!found && parsed.ok && parsed.value && typeof parsed.value === "object") {
+      found = parsed;
+    } else {
+      diagnostics.discarded.push(
+        discarded(found ? "extra_fenced_block" : "invalid_fenced_block", match[0])
+      );
+    }
+  }
+
+  const outside = text.replace(FENCED_BLOCK_PATTERN, " ").trim();
+  if (found && outside) {
+    diagnostics.discarded.push(discarded("surrounding_text", outside));
+  }
+
+  return found;
+}
+
+// Picks the largest parseable object: answers that quote a small example
+// object in their prose still resolve to the real payload.
+function parseBalancedObjects(text, diagnostics) {
+  const { spans, unclosedStart } = scanBalancedObjects(text);
+  if (unclosedStart !== null) {
+    diagnostics.truncated = true;
+    diagnostics.discarded.push(
+      discarded("unclosed_object", text.slice(unclosedStart))
+    );
+  }
+
+  const candidates = spans.map((span) => ({
+    span,
+    parsed: tryParseJson(text.slice(span.start, span.end))
+  }));
+  const valid = candidates.filter((candidate) => candidate.parsed.ok);
+  const best = valid.reduce(
+    (largest, candidate) =>
+      !largest ||
+      candidate.span.end - candidate.span.start > largest.span.end - largest.span.start
+        ? candidate
+        : largest,
+    null
+  );
+
+  for (const candidate of candidates) {
+    if (candidate === best) continue;
+    diagnostics.discarded.push(
+      discarded(
+        candidate.parsed.ok ? "smaller_object" : "invalid_object",
+        text.slice(candidate.span.start, candidate.span.end)
+      )
+    );
+  }
+
+  if (!best) return null;
+
+  const leading = text.slice(0, spans[0].start).trim();
+  const trailing =
+    unclosedStart === null ? text.slice(spans[spans.length - 1].end).trim() : "";
+  if (leading) diagnostics.discarded.push(discarded("leading_text", leading));
+  if (trailing) diagnostics.discarded.push(discarded("trailing_text", trailing));
+
+  return best.parsed;
+}
+
+function parseFailure(message, diagnostics) {
+  diagnostics.error = message;
+  const error = createLlmError(LLM_ERROR_CODES.INVALID_OUTPUT, message);
+  error.diagnostics = diagnostics;
+  return error;
+}
+
+/**
+ * Extracts the JSON answer from a Responses API payload.
+ *
+ * Strategies, in order: the whole text (`direct`), the first fenced code
+ * block that parses (`fenced_block`), and the largest balanced `{...}` span
+ * (`balanced_scan`). Returns `{ value, diagnostics }`; diagnostics report the
+ * `strategy`, `textLength`, the provider `responseStatus`, `truncated` and
+ * `incompleteReason`, a `refusal` text if any, and the `discarded` pieces as
+ * `{ reason, length, preview }`.
+ *
+ * Throws an `invalid_output` LLM error carrying the same `diagnostics` when
+ * the model refused, the output was cut off before the JSON closed, or no
+ * JSON could be found.
+ */
+export function parseModelJson(response) {
+  const { text, refusals } = collectOutputParts(response);
+  const trimmed = text.trim();
+  const diagnostics = {
+    strategy: null,
+    textLength: text.length,
+    responseStatus: response?.status ?? null,
+    truncated: response?.status === "incomplete",
+    incompleteReason: response?.incomplete_details?.reason ?? null,
+    refusal: refusals.length > 0 ? refusals.join("\n") : null,
+    discarded: [],
+    error: null
+  };
+
+  if (!trimmed && diagnostics.refusal) {
+    throw parseFailure(`Model refused to answer: ${preview(diagnostics.refusal)}`, diagnostics);
+  }
+
+  if (!trimmed) {
+    throw parseFailure(
+      diagnostics.truncated
+        ? `Model output was cut off before any text (${diagnostics.incompleteReason ?? "incomplete"})`
+        : "Model returned an empty response",
+      diagnostics
+    );
+  }
+
+  const strategies = [
+    ["direct", () => tryParseJson(trimmed)],
+    ["fenced_block", () => parseFencedBlocks(trimmed, diagnostics)],
+    ["balanced_scan", () => parseBalancedObjects(trimmed, diagnostics)]
+  ];
+
+  for (const [strategy, attempt] of strategies) {
+    const parsed = attempt();
+    if (parsed?.ok) {
+      diagnostics.strategy = strategy;
+      return { value: parsed.value, diagnostics };
+    }
+  }
+
+  if (REFUSAL_PATTERN.test(trimmed)) {
+    diagnostics.refusal = diagnostics.refusal ?? trimmed;
+    throw parseFailure(`Model refused to answer: ${preview(trimmed)}`, diagnostics);
+  }
+
+  if (diagnostics.truncated) {
+    throw parseFailure(
+      `Model output was cut off before the JSON was complete (${diagnostics.incompleteReason ?? "unclosed object"})`,
+      diagnostics
+    );
+  }
+
+  throw parseFailure(`No JSON object found in model output: ${preview(trimmed)}`, diagnostics);
+}
@@ -6,32 +6,22 @@ dotenv.config();
 const apiKey = process.env.OPENAI_API_KEY;
 const lookupAgentPrompt = process.env.LOOKUP_AGENT;
 const fundingAdvisorPrompt = process.env.FUNDING_ADVISOR_AGENT;
-
-if (!apiKey) {
-  // eslint-disable-next-line no-console
-  console.warn(
-    "[openai] OPENAI_API_KEY is not set. LLM calls will fail until this is configured."
-  );
-}
+const verificationAgentPrompt = process.env.VERIFICATION_AGENT;
 
 if (!lookupAgentPrompt) {
   // eslint-disable-next-line no-console
   console.warn(
-    "[openai] LOOKUP_AGENT is not set. Company enrichment prompts will fail."
+    "[openai] LOOKUP_AGENT is not set. Company lookups need an active lookup prompt version in the registry."
   );
 }
 
 if (!fundingAdvisorPrompt) {
   // eslint-disable-next-line no-console
   console.warn(
-    "[openai] FUNDING_ADVISOR_AGENT is not set. Funding recommendation prompts will fail."
+    "[openai] FUNDING_ADVISOR_AGENT is not set. Investor matches need an active funding_advisor prompt version in the registry."
   );
 }
 
-export const openaiClient = new OpenAI({
-  apiKey
-});
-
 export const COMPANY_REASONING_MODEL =
   process.env.OPENAI_REASONING_MODEL || "gpt-5.1";
 
@@ -43,5 +33,84 @@ export const COMPANY_WEB_SEARCH_ENABLED =
 
 export const LOOKUP_AGENT = lookupAgentPrompt;
 export const FUNDING_ADVISOR_AGENT = fundingAdvisorPrompt;
+export const VERIFICATION_AGENT = verificationAgentPrompt;
+
+// Streams the response so web search progress can be reported while the
+// model works, and resolves to the same payload as a non-streamed call. An
+// incomplete response (e.g. cut off at max_output_tokens) resolves too, so
+// the parser can report it as truncated.
+async function streamResponse(client, request, { signal, onEvent }) {
+  const stream = await client.responses.create(
+    { ...request, stream: true },
+    { signal, maxRetries: 0 }
+  );
 
+  let completed = null;
+  for await (const event of stream) {
+    if (event.type === "response.web_search_call.in_progress") {
+      onEvent({ type: "search_started" });
+    } else if (
+      event.type === "response.output_item.done" &&
+      event.item?.type === "web_search_call"
+    ) {
+      onEvent({ type: "search_completed", query: event.item.action?.query ?? null });
+    } else if (
+      event.type === "response.completed" ||
+      event.type === "response.incomplete"
+    ) {
+      completed = event.response;
+    } else if (event.type === "response.failed" || event.type === "error") {
+      const details = event.response?.error ?? event;
+      const error = new Error(details.message || "OpenAI response stream failed");
+      error.code = details.code;
+      throw error;
+    }
+  }
 
+  if (!completed) {
+    throw new Error("OpenAI response stream ended before the response completed");
+  }
+  return completed;
+}
+
+// OpenAI Responses API adapter for the LLM provider layer (see llmProvider.js).
+// The client is created lazily so that the fixture provider can run without a key.
+export function createOpenAIProvider() {
+  if (!apiKey) {
+    // eslint-disable-next-line no-console
+    console.warn(
+      "[openai] OPENAI_API_KEY is not set. LLM calls will fail until this is configured."
+    );
+  }
+
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({ apiKey });
+    }
+    return client;
+  };
+
+  return {
+    name: "openai",
+    sourceLabel: `openai-${COMPANY_REASONING_MODEL}`,
+    requiresAgentPrompts: true,
+    async createResponse(request, context, { signal, onEvent } = {}) {
+      if (!apiKey) {
+        const error = new Error(
+          "OPENAI_API_KEY is not set. Add it to backend/.env to enable LLM calls."
+        );
+        error.code = "OPENAI_API_KEY_MISSING";
+        throw error;
+      }
+
+      // Retries and deadlines are handled by callLlm, not by the SDK.
+      if (!onEvent) {
+        return getClient().responses.create(request, { signal, maxRetries: 0 });
+      }
+
+      return streamResponse(getClient(), request, { signal, onEvent });
+    }
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * Wraps an optional `onProgress` listener in `report(stage, message, details)`.
+ * Listeners receive `{ stage, message, ...details, at }`; a missing or failing
+ * listener never interrupts the agent run. `report.hasListener` tells whether
+ * anyone is listening.
+ */
+export function createProgressReporter(onProgress) {
+  const hasListener = typeof onProgress === "function";
+  const report = (stage, message, details = {}) => {
+    if (!hasListener) return;
+
+    try {
+      onProgress({ stage, message, ...details, at: new Date().toISOString() });
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn("[progress] Listener failed:", error);
+    }
+  };
+  report.hasListener = hasListener;
+  return report;
+}
+
+// Turns provider search events (see llmProvider.js) into progress entries.
+// Returns undefined without a listener, so the provider skips streaming.
+export function reportSearchEvents(report) {
+  if (!report.hasListener) return undefined;
+  return (event) => {
+    if (event?.type === "search_started") {
+      report("search_started", "Web search started");
+    } else if (event?.type === "search_completed") {
+      report(
+        "search_query",
+        event.query ? `Searched: ${event.query}` : "Web search finished",
+        { query: event.query ?? null }
+      );
+    }
+  };
+}
@@ -0,0 +1,204 @@
+import crypto from "crypto";
+import { db } from "./db.js";
+import {
+  LOOKUP_AGENT,
+  FUNDING_ADVISOR_AGENT,
+  VERIFICATION_AGENT
+} from "./openaiClient.js";
+
+export const AGENT_NAMES = {
+  LOOKUP: "lookup",
+  FUNDING_ADVISOR: "funding_advisor",
+  VERIFICATION: "verification"
+};
+
+// Prompts configured in backend/.env bootstrap the registry on first start.
+const ENV_PROMPTS = {
+  [AGENT_NAMES.LOOKUP]: LOOKUP_AGENT,
+  [AGENT_NAMES.FUNDING_ADVISOR]: FUNDING_ADVISOR_AGENT,
+  [AGENT_NAMES.VERIFICATION]: VERIFICATION_AGENT
+};
+
+const VERSION_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS agent_prompts (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  agent         TEXT NOT NULL,
+  version       TEXT NOT NULL,
+  content       TEXT NOT NULL,
+  notes         TEXT,
+  is_active     INTEGER NOT NULL DEFAULT 0,
+  created_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+  activated_at  DATETIME,
+  UNIQUE (agent, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_prompts_agent_active
+  ON agent_prompts(agent, is_active);
+`);
+
+const selectActivePromptStmt = db.prepare(
+  `SELECT id, agent, version, content
+   FROM agent_prompts
+   WHERE agent = ? AND is_active = 1
+   LIMIT 1`
+);
+
+const selectPromptByIdStmt = db.prepare(
+  `SELECT id, agent, version, content, notes, is_active, created_at, activated_at
+   FROM agent_prompts
+   WHERE id = ?`
+);
+
+const selectPromptByContentStmt = db.prepare(
+  "SELECT id FROM agent_prompts WHERE agent = ? AND content = ? LIMIT 1"
+);
+
+const selectPromptsStmt = db.prepare(
+  `SELECT id, agent, version, content, notes, is_active, created_at, activated_at
+   FROM agent_prompts
+   WHERE (@agent IS NULL OR agent = @agent)
+   ORDER BY agent, created_at DESC, id DESC`
+);
+
+const insertPromptStmt = db.prepare(
+  `INSERT INTO agent_prompts (agent, version, content, notes)
+   VALUES (@agent, @version, @content, @notes)`
+);
+
+const deactivatePromptsStmt = db.prepare(
+  "UPDATE agent_prompts SET is_active = 0 WHERE agent = ?"
+);
+
+const activatePromptStmt = db.prepare(
+  `UPDATE agent_prompts
+   SET is_active = 1, activated_at = CURRENT_TIMESTAMP
+   WHERE id = ?`
+);
+
+function shapePromptRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    agent: row.agent,
+    version: row.version,
+    content: row.content,
+    notes: row.notes,
+    isActive: row.is_active === 1,
+    createdAt: row.created_at,
+    activatedAt: row.activated_at
+  };
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+const activatePromptTx = db.transaction((agent, promptId) => {
+  deactivatePromptsStmt.run(agent);
+  activatePromptStmt.run(promptId);
+});
+
+export function isKnownAgent(agent) {
+  return Object.values(AGENT_NAMES).includes(agent);
+}
+
+export function listAgentPrompts(agent = null) {
+  return selectPromptsStmt.all({ agent: agent || null }).map(shapePromptRow);
+}
+
+export function createAgentPrompt({ agent, version, content, notes, activate }) {
+  if (!isKnownAgent(agent)) {
+    throw validationError(
+      `agent must be one of: ${Object.values(AGENT_NAMES).join(", ")}`
+    );
+  }
+
+  const trimmedVersion = typeof version === "string" ? version.trim() : "";
+  if (!VERSION_NAME_PATTERN.test(trimmedVersion)) {
+    throw validationError(
+      "version must be 1-64 characters of letters, digits, '.', '_' or '-'"
+    );
+  }
+
+  if (typeof content !== "string" || !content.trim()) {
+    throw validationError("content must be a non-empty string");
+  }
+
+  let promptId;
+  try {
+    promptId = insertPromptStmt.run({
+      agent,
+      version: trimmedVersion,
+      content,
+      notes: typeof notes === "string" && notes.trim() ? notes.trim() : null
+    }).lastInsertRowid;
+  } catch (error) {
+    if (error?.code === "SQLITE_CONSTRAINT_UNIQUE") {
+      const conflict = new Error(
+        `Version "${trimmedVersion}" already exists for agent ${agent}`
+      );
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+    throw error;
+  }
+
+  if (activate) {
+    activatePromptTx(agent, promptId);
+  }
+
+  return shapePromptRow(selectPromptByIdStmt.get(promptId));
+}
+
+export function activateAgentPrompt(promptId) {
+  const existing = selectPromptByIdStmt.get(promptId);
+  if (!existing) {
+    const error = new Error("Prompt version not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  activatePromptTx(existing.agent, existing.id);
+  return shapePromptRow(selectPromptByIdStmt.get(existing.id));
+}
+
+/**
+ * Returns the active prompt version for `agent` as
+ * `{ id, version, content }`, or null when none is configured.
+ */
+export function getActiveAgentPrompt(agent) {
+  const row = selectActivePromptStmt.get(agent);
+  if (!row) return null;
+
+  return { id: row.id, version: row.version, content: row.content };
+}
+
+// Registers the .env prompts as versions named `env-<hash>` whenever their
+// content is not stored yet. They only become active if the agent has no
+// active version, so editing .env never silently replaces an activated prompt.
+function seedPromptsFromEnvironment() {
+  for (const [agent, content] of Object.entries(ENV_PROMPTS)) {
+    if (!content || selectPromptByContentStmt.get(agent, content)) continue;
+
+    const hash = crypto
+      .createHash("sha256")
+      .update(content)
+      .digest("hex")
+      .slice(0, 8);
+
+    createAgentPrompt({
+      agent,
+      version: `env-${hash}`,
+      content,
+      notes: "Imported from backend/.env",
+      activate: !selectActivePromptStmt.get(agent)
+    });
+  }
+}
+
+seedPromptsFromEnvironment();
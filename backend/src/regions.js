@@ -0,0 +1,216 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Finnish municipalities with their region (maakunta) and ELY centre. The
+// bundled reference data lists each municipality under its Finnish and
+// Swedish name, plus aliases for merged former municipalities, city
+// districts and common inflected forms ("Turussa").
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MUNICIPALITIES_PATH = path.join(
+  __dirname,
+  "..",
+  "reference",
+  "municipalities.json"
+);
+
+const reference = JSON.parse(fs.readFileSync(MUNICIPALITIES_PATH, "utf8"));
+
+const elyCentresByCode = new Map(reference.elyCentres.map((entry) => [entry.code, entry]));
+const regionsByCode = new Map(reference.regions.map((entry) => [entry.code, entry]));
+const municipalitiesByName = new Map(reference.municipalities.map((entry) => [entry.fi, entry]));
+
+const FINLAND_NAMES = new Set(["finland", "suomi", "fi", "fin"]);
+
+// "Hämeenlinna", "HAMEENLINNA" and "hameenlinna" fold to the same key.
+export function foldPlaceName(value) {
+  return String(value ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}]+/gu, " ")
+    .trim();
+}
+
+// Folded spelling → { name, match }, where `name` is the Finnish municipality
+// name and `match` says whether the spelling is one of its names or an alias.
+const namesByKey = new Map();
+for (const [alias, name] of Object.entries(reference.aliases)) {
+  namesByKey.set(foldPlaceName(alias), { name, match: "alias" });
+}
+for (const municipality of reference.municipalities) {
+  for (const spelling of [municipality.fi, municipality.sv].filter(Boolean)) {
+    namesByKey.set(foldPlaceName(spelling), { name: municipality.fi, match: "name" });
+  }
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos are only corrected when exactly one name is that close, and never in
+// short names where one letter already makes a different place.
+function fuzzyMatch(key) {
+  const allowed = key.length >= 9 ? 2 : key.length >= 5 ? 1 : 0;
+  if (allowed === 0) return null;
+
+  let best = null;
+  let bestDistance = allowed + 1;
+  let tied = false;
+  for (const [candidate, { name }] of namesByKey) {
+    if (Math.abs(candidate.length - key.length) > allowed) continue;
+    const distance = editDistance(key, candidate);
+    if (distance < bestDistance) {
+      best = name;
+      bestDistance = distance;
+      tied = false;
+    } else if (distance === bestDistance && name !== best) {
+      tied = true;
+    }
+  }
+  return best && !tied ? best : null;
+}
+
+function describe(entry) {
+  return entry ? { code: entry.code, fi: entry.fi, sv: entry.sv } : null;
+}
+
+/**
+ * True when `country` is Finland or not given; cities are only matched
+ * against Finnish municipalities for those companies.
+ */
+export function isFinlandCountry(country) {
+  const key = foldPlaceName(country);
+  return !key || FINLAND_NAMES.has(key);
+}
+
+/**
+ * Resolves a free-text city ("Åbo", "00100 Helsinki, Finland", "Tampre",
+ * "Tammisaari") to its municipality. Returns `{ municipality: { fi, sv },
+ * region: { code, fi, sv }, elyCentre: { code, fi, sv } | null, match }`
+ * with `match` one of "name", "alias" or "fuzzy", or null. Åland has no ELY
+ * centre.
+ */
+export function resolveMunicipality(city) {
+  const [firstPart] = String(city ?? "").split(",");
+  const key = foldPlaceName(firstPart.replace(/\(.*?\)/g, ""));
+  if (!key) return null;
+
+  const known = namesByKey.get(key);
+  const name = known?.name ?? fuzzyMatch(key);
+  if (!name) return null;
+
+  const municipality = municipalitiesByName.get(name);
+  const region = regionsByCode.get(municipality.region);
+  return {
+    municipality: { fi: municipality.fi, sv: municipality.sv },
+    region: describe(region),
+    elyCentre: describe(elyCentresByCode.get(region.elyCentre)),
+    match: known?.match ?? "fuzzy"
+  };
+}
+
+/**
+ * The `companies` location columns for a `city` and `country`: a matched
+ * Finnish city is rewritten to its municipality's Finnish name and the
+ * municipality, region and ELY centre codes are filled in; anything else
+ * keeps the city and leaves them null.
+ */
+export function normalizeRegionFields({ city, country }) {
+  const resolved = isFinlandCountry(country) ? resolveMunicipality(city) : null;
+  return resolved
+    ? {
+        city: resolved.municipality.fi,
+        municipality: resolved.municipality.fi,
+        region_code: resolved.region.code,
+        ely_centre_code: resolved.elyCentre?.code ?? null
+      }
+    : { city: city ?? null, municipality: null, region_code: null, ely_centre_code: null };
+}
+
+export function getRegion(code) {
+  return describe(regionsByCode.get(code));
+}
+
+export function getElyCentre(code) {
+  return describe(elyCentresByCode.get(code));
+}
+
+function parseNamedFilter(value, entries, stripSuffix = null) {
+  const trimmed = String(value ?? "").trim();
+  const key = foldPlaceName(trimmed);
+  const match = entries.find(
+    (entry) =>
+      entry.code === trimmed ||
+      (key &&
+        [entry.fi, entry.sv]
+          .flatMap((name) => (stripSuffix ? [name, name.replace(stripSuffix, "")] : [name]))
+          .some((name) => foldPlaceName(name) === key))
+  );
+  return match?.code ?? null;
+}
+
+/**
+ * Parses a region filter: the two-digit code ("02") or the Finnish or
+ * Swedish name ("Varsinais-Suomi", "Egentliga Finland"). Returns
+ * `{ valid: true, code }` or `{ valid: false, error }`.
+ */
+export function parseRegionFilter(value) {
+  const code = parseNamedFilter(value, reference.regions);
+  return code
+    ? { valid: true, code }
+    : { valid: false, error: `"${value}" is not a Finnish region code or name` };
+}
+
+/**
+ * Parses an ELY centre filter: the code ("02") or the Finnish or Swedish
+ * name, with or without "ELY-keskus" ("Varsinais-Suomen ELY-keskus",
+ * "Varsinais-Suomen").
+ */
+export function parseElyCentreFilter(value) {
+  const code = parseNamedFilter(value, reference.elyCentres, / ELY-keskus$/);
+  return code
+    ? { valid: true, code }
+    : { valid: false, error: `"${value}" is not an ELY centre code or name` };
+}
+
+/**
+ * The bundled mapping as `elyCentres[].regions[].municipalities[]`, with
+ * Åland (no ELY centre) listed under `regionsWithoutElyCentre`.
+ */
+export function getRegionTree() {
+  const describeRegion = (region) => ({
+    ...describe(region),
+    municipalities: reference.municipalities
+      .filter((municipality) => municipality.region === region.code)
+      .map((municipality) => ({ fi: municipality.fi, sv: municipality.sv }))
+  });
+
+  return {
+    source: reference.source,
+    elyCentres: reference.elyCentres.map((elyCentre) => ({
+      ...describe(elyCentre),
+      regions: reference.regions
+        .filter((region) => region.elyCentre === elyCentre.code)
+        .map(describeRegion)
+    })),
+    regionsWithoutElyCentre: reference.regions
+      .filter((region) => !region.elyCentre)
+      .map(describeRegion)
+  };
+}
@@ -0,0 +1,84 @@
+// Minimal JSON-schema validator covering the subset used by the agent
+// structured-output schemas (type, enum, properties, required,
+// additionalProperties: false and items).
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(expected, value) {
+  switch (expected) {
+    case "null":
+      return value === null;
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validates `value` against `schema` and returns a list of human-readable
+ * error strings (empty when valid). Paths use the same `$.field[0]` notation
+ * as the investor report change log.
+ */
+export function validateJsonSchema(schema, value, path = "$") {
+  if (!schema || typeof schema !== "object") return [];
+
+  const errors = [];
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!allowed.some((type) => matchesType(type, value))) {
+      errors.push(
+        `${path}: expected ${allowed.join(" or ")}, got ${describeType(value)}`
+      );
+      return errors;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(
+      `${path}: must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(", ")}`
+    );
+  }
+
+  if (matchesType("object", value)) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateJsonSchema(properties[key], item, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not an allowed property`);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateJsonSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
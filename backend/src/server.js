@@ -1,45 +1,355 @@
 import express from "express";
 import cors from "cors";
 import {
-  recordBasicCase,
-  recordDetailedCase,
   getRecentCompanyHistory,
   getCompanyProfileById,
-  recordInvestorReport,
   applyManualCompanyUpdates,
-  applyManualInvestorReportUpdates
+  applyManualInvestorReportUpdates,
+  resolveVerificationDisagreement,
+  getCaseDebug,
+  listCompanies
 } from "./db.js";
-import { recommendInvestorsForCompany } from "./investorAdvisor.js";
-import { inferCompanyBaseMetrics } from "./companyEnrichment.js";
+import { getIndustryTree, parseIndustryFilter } from "./industryClassification.js";
+import { getRegionTree, parseElyCentreFilter, parseRegionFilter } from "./regions.js";
+import {
+  runCompanyLookup,
+  runEnrichmentRetry,
+  runInvestorMatch,
+  refreshInvestorReport,
+  scoreUnscoredInvestorReports
+} from "./agentWorkflows.js";
+import { llmProvider } from "./llmProvider.js";
+import { LLM_ERROR_CODES } from "./llmCall.js";
+import { INPUT_REJECTED_ERROR_CLASS } from "./inputGuard.js";
+import {
+  listAgentPrompts,
+  createAgentPrompt,
+  activateAgentPrompt,
+  isKnownAgent
+} from "./promptRegistry.js";
+import {
+  listFundingPrograms,
+  getFundingProgram,
+  createFundingProgram,
+  updateFundingProgram,
+  deleteFundingProgram,
+  importFundingPrograms,
+  readFundingProgramsSeed,
+  checkCompanyEligibility
+} from "./fundingPrograms.js";
+import {
+  listInvestors,
+  getInvestor,
+  mergeInvestors,
+  splitInvestor,
+  rederiveInvestorDirectory,
+  backfillInvestorDirectory
+} from "./investorDirectory.js";
+import { getUsageReport } from "./usageLedger.js";
+import { openEventStream, wantsEventStream } from "./sse.js";
+import { enqueueJob, getJob, registerJobHandler, startJobWorker } from "./jobQueue.js";
+import {
+  createLookupBatch,
+  getLookupBatch,
+  buildLookupBatchResultsCsv
+} from "./lookupBatches.js";
 
 const app = express();
 const port = process.env.PORT || 4000;
+const adminToken = process.env.ADMIN_API_TOKEN || "";
 
-function respondIfAgentMissing(res, error) {
-  if (error?.code === "MISSING_LOOKUP_AGENT") {
-    res.status(500).json({
-      error: "Missing LOOKUP_AGENT configuration",
-      details: "Set LOOKUP_AGENT in backend/.env to enable company lookup."
+if (!adminToken) {
+  // eslint-disable-next-line no-console
+  console.warn(
+    "[api] ADMIN_API_TOKEN is not set. Admin endpoints are disabled until it is configured."
+  );
+}
+
+// Admin endpoints require the X-Admin-Token header and stay closed while
+// ADMIN_API_TOKEN is unset.
+function requireAdmin(req, res, next) {
+  if (!adminToken) {
+    return res.status(403).json({
+      error: "Admin endpoints are disabled",
+      details: "Set ADMIN_API_TOKEN in backend/.env to enable them."
     });
-    return true;
+  }
+
+  if (req.get("X-Admin-Token") === adminToken) {
+    return next();
+  }
+
+  return res.status(403).json({
+    error: "Admin access required",
+    details: "Send the ADMIN_API_TOKEN value in the X-Admin-Token header."
+  });
+}
+
+function respondWithStatusError(res, error, { notFound, fallback }) {
+  const status = error?.statusCode && Number.isInteger(error.statusCode)
+    ? error.statusCode
+    : 500;
+  res.status(status).json({
+    error:
+      error?.statusCode === 400
+        ? "Validation failed"
+        : error?.statusCode === 404
+          ? notFound
+          : error?.statusCode === 409
+            ? "Conflict"
+            : fallback,
+    details: error?.message ?? "Unknown error"
+  });
+}
+
+const LLM_ERROR_RESPONSES = {
+  [LLM_ERROR_CODES.RATE_LIMITED]: {
+    status: 429,
+    error: "LLM provider rate limit reached",
+    details: "The model provider is throttling requests. Wait a moment and try again."
+  },
+  [LLM_ERROR_CODES.AUTH]: {
+    status: 500,
+    error: "LLM provider authentication failed",
+    details: "Check OPENAI_API_KEY in backend/.env."
+  },
+  [LLM_ERROR_CODES.TIMEOUT]: {
+    status: 504,
+    error: "LLM call timed out",
+    details: "The agent did not answer within the configured deadline. Try again or raise LLM_TIMEOUT_MS."
+  },
+  [LLM_ERROR_CODES.INVALID_OUTPUT]: {
+    status: 502,
+    error: "LLM returned invalid output",
+    details: "The agent answer could not be parsed or validated. Refining the agent prompt may help."
+  },
+  [LLM_ERROR_CODES.UPSTREAM_ERROR]: {
+    status: 503,
+    error: "LLM provider error",
+    details: "The model provider failed to answer. Try again later."
+  },
+  [LLM_ERROR_CODES.BUDGET_EXCEEDED]: {
+    status: 402,
+    error: "Monthly LLM budget exceeded",
+    details: "New model calls are blocked until the budget is raised or the month rolls over. See /api/usage."
+  },
+  // Not a provider error: the input guard stopped the lookup before any call.
+  [INPUT_REJECTED_ERROR_CLASS]: {
+    status: 422,
+    error: "Input rejected",
+    details: "The company name or extra context contains instruction-like text. Remove it, or set INPUT_GUARD_MODE=flag to only flag such input."
+  }
+};
+
+function buildLlmErrorBody(code, message) {
+  const mapped =
+    LLM_ERROR_RESPONSES[code] ?? LLM_ERROR_RESPONSES[LLM_ERROR_CODES.UPSTREAM_ERROR];
+
+  return {
+    status: mapped.status,
+    body: {
+      error: mapped.error,
+      code: code ?? LLM_ERROR_CODES.UPSTREAM_ERROR,
+      details: message ? `${mapped.details} (${message})` : mapped.details
+    }
+  };
+}
+
+// Maps agent configuration errors and typed LLM errors to
+// `{ status, body, headers }`; returns null for anything else.
+function describeAgentError(error) {
+  if (error?.code === "MISSING_LOOKUP_AGENT") {
+    return {
+      status: 500,
+      body: {
+        error: "Missing LOOKUP_AGENT configuration",
+        details: "Set LOOKUP_AGENT in backend/.env to enable company lookup."
+      }
+    };
   }
 
   if (error?.code === "MISSING_FUNDING_ADVISOR_AGENT") {
-    res.status(500).json({
-      error: "Missing FUNDING_ADVISOR_AGENT configuration",
-      details: "Set FUNDING_ADVISOR_AGENT in backend/.env to enable investor match."
-    });
-    return true;
+    return {
+      status: 500,
+      body: {
+        error: "Missing FUNDING_ADVISOR_AGENT configuration",
+        details: "Set FUNDING_ADVISOR_AGENT in backend/.env to enable investor match."
+      }
+    };
   }
 
-  return false;
+  if (!LLM_ERROR_RESPONSES[error?.code]) return null;
+
+  const { status, body } = buildLlmErrorBody(error.code, error.message);
+  const headers =
+    error.code === LLM_ERROR_CODES.RATE_LIMITED && error.retryAfterMs
+      ? { "Retry-After": String(Math.ceil(error.retryAfterMs / 1000)) }
+      : null;
+  return { status, body, headers };
+}
+
+// Failed enrichments are still stored as cases (so they can be retried), but
+// the caller gets the status mapped from the error class together with the
+// case ids instead of a fabricated summary.
+function describeEnrichmentOutcome(payload) {
+  const { enrichment } = payload;
+
+  if (enrichment?.status === "failed") {
+    const { status, body } = buildLlmErrorBody(
+      enrichment.errorClass,
+      enrichment.errorMessage
+    );
+    return {
+      status,
+      body: {
+        ...payload,
+        ...body,
+        error: `Company enrichment failed: ${body.error}`
+      }
+    };
+  }
+
+  return { status: 200, body: payload };
+}
+
+// Agent work shared by the routes and the job queue. `run` resolves to an
+// HTTP-style outcome `{ status, body }`; 4xx errors it throws with a
+// `statusCode` are answered with the matching `statusErrors` title. Jobs pass
+// `throwRetryable` on all but the last attempt, so lookups that failed with a
+// retryable model error throw (and are requeued) instead of storing a case.
+const AGENT_TASKS = {
+  company_lookup: {
+    label: "Company lookup",
+    fallbackError: "Failed to enrich company information",
+    statusErrors: { 400: "Validation failed" },
+    run: async (input, onProgress, { throwRetryable } = {}) =>
+      describeEnrichmentOutcome(
+        await runCompanyLookup(input, { onProgress, throwRetryable })
+      )
+  },
+  enrichment_retry: {
+    label: "Enrichment retry",
+    fallbackError: "Failed to retry company enrichment",
+    statusErrors: {
+      400: "Validation failed",
+      404: "Case not found",
+      409: "Enrichment already succeeded"
+    },
+    run: async ({ caseId, verify }, onProgress, { throwRetryable } = {}) =>
+      describeEnrichmentOutcome(
+        await runEnrichmentRetry(caseId, { verify, onProgress, throwRetryable })
+      )
+  },
+  investor_match: {
+    label: "Investor match",
+    fallbackError: "Failed to generate investor recommendations",
+    statusErrors: { 404: "Company not found" },
+    run: async ({ companyId }, onProgress) => ({
+      status: 200,
+      body: await runInvestorMatch(companyId, { onProgress })
+    })
+  }
+};
+
+function describeTaskError(task, error) {
+  const agentError = describeAgentError(error);
+  if (agentError) return agentError;
+
+  if (task.statusErrors[error?.statusCode]) {
+    return {
+      status: error.statusCode,
+      body: { error: task.statusErrors[error.statusCode], details: error.message }
+    };
+  }
+
+  // eslint-disable-next-line no-console
+  console.error(`[api] ${task.label} failed:`, error);
+  return {
+    status: 500,
+    body: { error: task.fallbackError, details: error?.message ?? "Unknown error" }
+  };
+}
+
+// Client errors and non-retryable LLM errors will not improve on another run.
+function isRetryableTaskError(error) {
+  return (
+    !error?.statusCode &&
+    error?.retryable !== false &&
+    !/^MISSING_/.test(error?.code ?? "")
+  );
+}
+
+for (const [type, task] of Object.entries(AGENT_TASKS)) {
+  registerJobHandler(type, async (input, { onProgress, isLastAttempt }) => {
+    try {
+      return await task.run(input, onProgress, { throwRetryable: !isLastAttempt });
+    } catch (error) {
+      if (!isLastAttempt && isRetryableTaskError(error)) throw error;
+      return describeTaskError(task, error);
+    }
+  });
+}
+
+// Background execution is opt-in: `?async=1` or `Prefer: respond-async`.
+function wantsBackgroundJob(req) {
+  const flag = String(req.query?.async ?? "").toLowerCase();
+  return (
+    flag === "1" ||
+    flag === "true" ||
+    /\brespond-async\b/.test(req.get("Prefer") || "")
+  );
+}
+
+/**
+ * Runs an AGENT_TASKS entry for a route. By default it answers with JSON once
+ * the task is done; clients that ask for a stream (see sse.js) get `progress`
+ * events followed by a single `result` or `error` event, and clients that ask
+ * for a background job get `202` with the job id to poll at `/api/jobs/:id`.
+ */
+async function runAgentRoute(req, res, taskName, input) {
+  const task = AGENT_TASKS[taskName];
+
+  if (wantsBackgroundJob(req)) {
+    const job = enqueueJob(taskName, input);
+    res
+      .status(202)
+      .location(`/api/jobs/${job.id}`)
+      .json({ jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}` });
+    return;
+  }
+
+  const stream = wantsEventStream(req) ? openEventStream(res) : null;
+  const onProgress = stream
+    ? (event) => stream.send("progress", event)
+    : undefined;
+
+  let outcome;
+  try {
+    outcome = await task.run(input, onProgress);
+  } catch (error) {
+    outcome = describeTaskError(task, error);
+  }
+
+  if (stream) {
+    if (outcome.status < 400) {
+      stream.send("result", outcome.body);
+    } else {
+      stream.send("error", { status: outcome.status, ...outcome.body });
+    }
+    stream.close();
+    return;
+  }
+
+  if (outcome.headers) res.set(outcome.headers);
+  res.status(outcome.status).json(outcome.body);
 }
 
 app.use(
   cors({
     origin: "http://localhost:5173",
-    methods: ["GET", "POST"],
-    allowedHeaders: ["Content-Type"]
+    methods: ["GET", "POST", "PUT", "DELETE"],
+    allowedHeaders: ["Content-Type", "X-Admin-Token", "Prefer"],
+    exposedHeaders: ["Location", "Retry-After", "Content-Disposition"]
   })
 );
 
@@ -47,95 +357,91 @@ app.use(express.json());
 
 // Health check
 app.get("/api/health", (req, res) => {
-  res.json({ status: "ok" });
+  res.json({ status: "ok", llmProvider: llmProvider.name });
 });
 
-// Basic company summary – uses OpenAI GPT-5.1 reasoning for enrichment
+// Basic company summary – uses the configured LLM provider (OpenAI GPT-5.1 reasoning by default)
 app.post("/api/company/summary-basic", async (req, res) => {
-  const { companyName } = req.body || {};
+  const { companyName, businessId, force, verify } = req.body || {};
 
   if (!companyName || typeof companyName !== "string") {
     return res.status(400).json({ error: "companyName is required" });
   }
 
-  const cleanedName = companyName.trim();
-
-  try {
-    const { metrics, raw } = await inferCompanyBaseMetrics(cleanedName);
-    const summary = metrics.summary || `Basic information for company ${cleanedName}.`;
-
-    const { companyId, caseId } = recordBasicCase({
-      companyName: cleanedName,
-      summary,
-      metrics,
-      rawInput: {
-        ...req.body,
-        llmMetrics: metrics,
-        llmRaw: raw
-      }
-    });
-
-    res.json({
-      companyName: cleanedName,
-      summary,
-      metrics,
-      companyId,
-      caseId,
-      source: "openai-gpt-5.1"
-    });
-  } catch (error) {
-    if (respondIfAgentMissing(res, error)) return;
-    // eslint-disable-next-line no-console
-    console.error("[api] /summary-basic failed:", error);
-    res.status(500).json({ error: "Failed to enrich company information" });
-  }
+  await runAgentRoute(req, res, "company_lookup", {
+    companyName: companyName.trim(),
+    businessId: typeof businessId === "string" ? businessId.trim() : null,
+    kind: "basic",
+    force: force === true,
+    verify: typeof verify === "boolean" ? verify : undefined,
+    requestBody: req.body
+  });
 });
 
-// Detailed company summary – uses the same GPT-5.1 reasoning model, including extraInfo
+// Detailed company summary – uses the same LLM provider, including extraInfo
 app.post("/api/company/summary-detailed", async (req, res) => {
-  const { companyName, extraInfo } = req.body || {};
+  const { companyName, extraInfo, businessId, force, verify } = req.body || {};
 
   if (!companyName || typeof companyName !== "string") {
     return res.status(400).json({ error: "companyName is required" });
   }
 
-  const cleanedName = companyName.trim();
-  const extra = typeof extraInfo === "string" ? extraInfo.trim() : "";
+  await runAgentRoute(req, res, "company_lookup", {
+    companyName: companyName.trim(),
+    extraInfo: typeof extraInfo === "string" ? extraInfo.trim() : "",
+    businessId: typeof businessId === "string" ? businessId.trim() : null,
+    kind: "detailed",
+    force: force === true,
+    verify: typeof verify === "boolean" ? verify : undefined,
+    requestBody: req.body
+  });
+});
 
-  try {
-    const { metrics, raw } = await inferCompanyBaseMetrics(
-      `${cleanedName} (${extra || "no extra context"})`
-    );
-    const summary =
-      metrics.summary ||
-      `Profile summary for company ${cleanedName} based on the provided context.`;
-
-    const { companyId, caseId } = recordDetailedCase({
-      companyName: cleanedName,
-      summary,
-      metrics,
-      extraInfo: extra,
-      rawInput: {
-        ...req.body,
-        llmMetrics: metrics,
-        llmRaw: raw
-      }
-    });
+// Re-runs the lookup agent for a failed (or partial) case and updates it in place
+app.post("/api/company/cases/:caseId/retry-enrichment", async (req, res) => {
+  const numericCaseId = Number(req.params.caseId);
 
-    res.json({
-      companyName: cleanedName,
-      extraInfo: extra,
-      summary,
-      metrics,
-      companyId,
-      caseId,
-      source: "openai-gpt-5.1"
+  if (!Number.isInteger(numericCaseId)) {
+    return res.status(400).json({ error: "Valid caseId is required" });
+  }
+
+  const { verify } = req.body || {};
+  await runAgentRoute(req, res, "enrichment_retry", {
+    caseId: numericCaseId,
+    verify: typeof verify === "boolean" ? verify : undefined
+  });
+});
+
+// Settles a field the verification agent disputed: apply the first-pass or the
+// verified value to the company, or keep the company's current value.
+app.post("/api/company/cases/:caseId/verification/resolve", (req, res) => {
+  const numericCaseId = Number(req.params.caseId);
+  const { field, resolution } = req.body || {};
+
+  if (!Number.isInteger(numericCaseId)) {
+    return res.status(400).json({ error: "Valid caseId is required" });
+  }
+
+  if (!field || typeof field !== "string") {
+    return res.status(400).json({ error: "field is required" });
+  }
+
+  try {
+    const result = resolveVerificationDisagreement({
+      caseId: numericCaseId,
+      field,
+      resolution
     });
+    res.json(result);
   } catch (error) {
-    if (respondIfAgentMissing(res, error)) return;
-    // eslint-disable-next-line no-console
-    console.error("[api] /summary-detailed failed:", error);
-    res.status(500).json({ error: "Failed to enrich company information" });
+    if (!error?.statusCode) {
+      // eslint-disable-next-line no-console
+      console.error("[api] /verification/resolve failed:", error);
+    }
+    respondWithStatusError(res, error, {
+      notFound: "Case not found",
+      fallback: "Failed to resolve the verification disagreement"
+    });
   }
 });
 
@@ -156,6 +462,118 @@ app.get("/api/company/history", (req, res) => {
   }
 });
 
+// TOL 2008 sections, divisions and groups with Finnish and English labels.
+app.get("/api/industries", (req, res) => {
+  res.json(getIndustryTree());
+});
+
+// ELY centres, regions and municipalities with Finnish and Swedish names.
+app.get("/api/regions", (req, res) => {
+  res.json(getRegionTree());
+});
+
+// Query parameters of /api/companies: the parser and the listCompanies option
+// each one sets.
+const COMPANY_FILTERS = [
+  ["industry", parseIndustryFilter, (parsed) => ({ industry: parsed.filter })],
+  ["region", parseRegionFilter, (parsed) => ({ regionCode: parsed.code })],
+  ["ely", parseElyCentreFilter, (parsed) => ({ elyCentreCode: parsed.code })]
+];
+
+// Stored companies. `industry` narrows the list to a TOL 2008 section letter
+// ("J") or code prefix ("62", "620"); `region` and `ely` to a region or ELY
+// centre, by code or name.
+app.get("/api/companies", (req, res) => {
+  const filters = {};
+  for (const [name, parse, toOption] of COMPANY_FILTERS) {
+    if (!req.query[name]) continue;
+    const parsed = parse(req.query[name]);
+    if (!parsed.valid) {
+      return res.status(400).json({ error: `Invalid ${name} filter`, details: parsed.error });
+    }
+    Object.assign(filters, toOption(parsed));
+  }
+
+  try {
+    res.json({ companies: listCompanies(filters) });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] /companies failed:", error);
+    res.status(500).json({
+      error: "Failed to fetch companies",
+      details: error?.message ?? "Unknown error"
+    });
+  }
+});
+
+// Rule-based eligibility of a stored company for every active catalogue
+// programme (see eligibility.js).
+app.get("/api/companies/:companyId/eligibility", (req, res) => {
+  const numericCompanyId = Number(req.params.companyId);
+
+  if (!Number.isInteger(numericCompanyId)) {
+    return res.status(400).json({ error: "Valid companyId is required" });
+  }
+
+  try {
+    const eligibility = checkCompanyEligibility(numericCompanyId);
+    if (!eligibility) {
+      return res.status(404).json({ error: "Company not found" });
+    }
+    res.json(eligibility);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] /companies/:id/eligibility failed:", error);
+    res.status(500).json({
+      error: "Failed to check programme eligibility",
+      details: error?.message ?? "Unknown error"
+    });
+  }
+});
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseUsageDay(value) {
+  if (typeof value !== "string" || !DAY_PATTERN.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// LLM usage and cost totals. `from` and `to` are inclusive UTC days
+// (YYYY-MM-DD) and default to the current month.
+app.get("/api/usage", (req, res) => {
+  const now = new Date();
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const today = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+  );
+
+  const from = req.query.from ? parseUsageDay(req.query.from) : monthStart;
+  const lastDay = req.query.to ? parseUsageDay(req.query.to) : today;
+
+  if (!from || !lastDay) {
+    return res
+      .status(400)
+      .json({ error: "from and to must be dates formatted as YYYY-MM-DD" });
+  }
+
+  if (lastDay < from) {
+    return res.status(400).json({ error: "to must not be before from" });
+  }
+
+  try {
+    const to = new Date(lastDay.getTime() + 24 * 60 * 60 * 1000);
+    res.json(getUsageReport({ from, to }));
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] /usage failed:", error);
+    res.status(500).json({
+      error: "Failed to fetch LLM usage",
+      details: error?.message ?? "Unknown error"
+    });
+  }
+});
+
 app.post("/api/company/investor-match", async (req, res) => {
   const { companyId } = req.body || {};
 
@@ -163,29 +581,108 @@ app.post("/api/company/investor-match", async (req, res) => {
     return res.status(400).json({ error: "companyId is required" });
   }
 
+  await runAgentRoute(req, res, "investor_match", { companyId: Number(companyId) });
+});
+
+app.get("/api/jobs/:jobId", (req, res) => {
+  const numericJobId = Number(req.params.jobId);
+
+  if (!Number.isInteger(numericJobId)) {
+    return res.status(400).json({ error: "Valid jobId is required" });
+  }
+
   try {
-    const profile = getCompanyProfileById(companyId);
-    if (!profile || !profile.metrics) {
-      return res.status(404).json({ error: "Company not found" });
+    const job = getJob(numericJobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
     }
-
-    const recommendation = await recommendInvestorsForCompany(profile.metrics);
-    recordInvestorReport({
-      companyId,
-      companyName: profile.metrics.name || profile.companyName || "Unknown company",
-      recommendation
+    res.json(job);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] /jobs/:jobId failed:", error);
+    res.status(500).json({
+      error: "Failed to fetch job",
+      details: error?.message ?? "Unknown error"
     });
+  }
+});
 
-    res.json({
-      companyId,
-      recommendation
+// Bulk lookup: accepts a CSV as the raw body (text/csv) or as JSON
+// `{ csv, fileName }` and enqueues one company lookup job per row.
+app.post(
+  "/api/company/batches",
+  express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }),
+  (req, res) => {
+    const csvText = typeof req.body === "string" ? req.body : req.body?.csv;
+    const fileName =
+      typeof req.body === "string" ? req.query.fileName : req.body?.fileName;
+
+    if (!csvText || typeof csvText !== "string") {
+      return res.status(400).json({
+        error: "CSV content is required",
+        details: "Send the file as a text/csv body or as JSON { csv, fileName }."
+      });
+    }
+
+    try {
+      res.status(201).json(createLookupBatch({ fileName, csvText }));
+    } catch (error) {
+      if (error?.statusCode !== 400) {
+        // eslint-disable-next-line no-console
+        console.error("[api] /company/batches failed:", error);
+      }
+      respondWithStatusError(res, error, {
+        notFound: "Batch not found",
+        fallback: "Failed to start the batch lookup"
+      });
+    }
+  }
+);
+
+app.get("/api/company/batches/:batchId", (req, res) => {
+  const numericBatchId = Number(req.params.batchId);
+
+  if (!Number.isInteger(numericBatchId)) {
+    return res.status(400).json({ error: "Valid batchId is required" });
+  }
+
+  try {
+    const batch = getLookupBatch(numericBatchId);
+    if (!batch) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+    res.json(batch);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] /company/batches/:batchId failed:", error);
+    res.status(500).json({
+      error: "Failed to fetch batch",
+      details: error?.message ?? "Unknown error"
     });
+  }
+});
+
+app.get("/api/company/batches/:batchId/results.csv", (req, res) => {
+  const numericBatchId = Number(req.params.batchId);
+
+  if (!Number.isInteger(numericBatchId)) {
+    return res.status(400).json({ error: "Valid batchId is required" });
+  }
+
+  try {
+    const batch = getLookupBatch(numericBatchId);
+    if (!batch) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+    res
+      .type("text/csv; charset=utf-8")
+      .attachment(`lookup-batch-${batch.batchId}-results.csv`)
+      .send(buildLookupBatchResultsCsv(batch));
   } catch (error) {
-    if (respondIfAgentMissing(res, error)) return;
     // eslint-disable-next-line no-console
-    console.error("[api] /company/investor-match failed:", error);
+    console.error("[api] /company/batches/:batchId/results.csv failed:", error);
     res.status(500).json({
-      error: "Failed to generate investor recommendations",
+      error: "Failed to build batch results",
       details: error?.message ?? "Unknown error"
     });
   }
@@ -251,6 +748,13 @@ app.post("/api/investor-report/manual-validate", async (req, res) => {
       reportId: numericReportId,
       recommendation
     });
+    if (result.updated) {
+      refreshInvestorReport({
+        reportId: numericReportId,
+        companyId: result.companyId,
+        recommendation: result.recommendation
+      });
+    }
 
     res.json(result);
   } catch (error) {
@@ -271,9 +775,306 @@ app.post("/api/investor-report/manual-validate", async (req, res) => {
   }
 });
 
+app.get("/api/admin/prompts", requireAdmin, (req, res) => {
+  const agent = typeof req.query.agent === "string" ? req.query.agent : null;
+
+  if (agent && !isKnownAgent(agent)) {
+    return res.status(400).json({ error: `Unknown agent "${agent}"` });
+  }
+
+  try {
+    res.json({ prompts: listAgentPrompts(agent) });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] /admin/prompts failed:", error);
+    res.status(500).json({
+      error: "Failed to list prompt versions",
+      details: error?.message ?? "Unknown error"
+    });
+  }
+});
+
+app.post("/api/admin/prompts", requireAdmin, (req, res) => {
+  const { agent, version, content, notes, activate } = req.body || {};
+
+  try {
+    const prompt = createAgentPrompt({
+      agent,
+      version,
+      content,
+      notes,
+      activate: activate === true
+    });
+    res.status(201).json({ prompt });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] POST /admin/prompts failed:", error);
+    respondWithStatusError(res, error, {
+      notFound: "Prompt version not found",
+      fallback: "Failed to create prompt version"
+    });
+  }
+});
+
+app.post("/api/admin/prompts/:promptId/activate", requireAdmin, (req, res) => {
+  const numericPromptId = Number(req.params.promptId);
+
+  if (!Number.isInteger(numericPromptId)) {
+    return res.status(400).json({ error: "Valid promptId is required" });
+  }
+
+  try {
+    res.json({ prompt: activateAgentPrompt(numericPromptId) });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] /admin/prompts/:id/activate failed:", error);
+    respondWithStatusError(res, error, {
+      notFound: "Prompt version not found",
+      fallback: "Failed to activate prompt version"
+    });
+  }
+});
+
+const FUNDING_PROGRAM_ERRORS = {
+  notFound: "Funding programme not found",
+  fallback: "Failed to save the funding programme"
+};
+
+app.get("/api/admin/funding-programs", requireAdmin, (req, res) => {
+  const { active } = req.query;
+
+  if (active !== undefined && active !== "true" && active !== "false") {
+    return res.status(400).json({ error: "active must be true or false" });
+  }
+
+  try {
+    res.json({
+      programs: listFundingPrograms({
+        active: active === undefined ? null : active === "true"
+      })
+    });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] /admin/funding-programs failed:", error);
+    res.status(500).json({
+      error: "Failed to list funding programmes",
+      details: error?.message ?? "Unknown error"
+    });
+  }
+});
+
+app.get("/api/admin/funding-programs/:programId", requireAdmin, (req, res) => {
+  const numericProgramId = Number(req.params.programId);
+
+  if (!Number.isInteger(numericProgramId)) {
+    return res.status(400).json({ error: "Valid programId is required" });
+  }
+
+  const program = getFundingProgram(numericProgramId);
+  if (!program) {
+    return res.status(404).json({ error: FUNDING_PROGRAM_ERRORS.notFound });
+  }
+  res.json({ program });
+});
+
+app.post("/api/admin/funding-programs", requireAdmin, (req, res) => {
+  try {
+    res.status(201).json({ program: createFundingProgram(req.body) });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] POST /admin/funding-programs failed:", error);
+    respondWithStatusError(res, error, FUNDING_PROGRAM_ERRORS);
+  }
+});
+
+// Imports `{ programs: [...] }` from the body, or the bundled seed file when
+// the body has no programs.
+app.post("/api/admin/funding-programs/import", requireAdmin, (req, res) => {
+  const programs = req.body?.programs;
+
+  try {
+    const counts = importFundingPrograms(programs ?? readFundingProgramsSeed());
+    res.json({ ...counts, programs: listFundingPrograms() });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] /admin/funding-programs/import failed:", error);
+    respondWithStatusError(res, error, {
+      ...FUNDING_PROGRAM_ERRORS,
+      fallback: "Failed to import funding programmes"
+    });
+  }
+});
+
+app.put("/api/admin/funding-programs/:programId", requireAdmin, (req, res) => {
+  const numericProgramId = Number(req.params.programId);
+
+  if (!Number.isInteger(numericProgramId)) {
+    return res.status(400).json({ error: "Valid programId is required" });
+  }
+
+  try {
+    res.json({ program: updateFundingProgram(numericProgramId, req.body || {}) });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] PUT /admin/funding-programs/:id failed:", error);
+    respondWithStatusError(res, error, FUNDING_PROGRAM_ERRORS);
+  }
+});
+
+app.delete("/api/admin/funding-programs/:programId", requireAdmin, (req, res) => {
+  const numericProgramId = Number(req.params.programId);
+
+  if (!Number.isInteger(numericProgramId)) {
+    return res.status(400).json({ error: "Valid programId is required" });
+  }
+
+  try {
+    deleteFundingProgram(numericProgramId);
+    res.status(204).end();
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] DELETE /admin/funding-programs/:id failed:", error);
+    respondWithStatusError(res, error, {
+      ...FUNDING_PROGRAM_ERRORS,
+      fallback: "Failed to delete the funding programme"
+    });
+  }
+});
+
+// Canonical investors deduplicated from the investor reports (see
+// investorDirectory.js).
+app.get("/api/investors", (req, res) => {
+  const { q, type } = req.query;
+
+  try {
+    res.json({
+      investors: listInvestors({
+        query: typeof q === "string" ? q : null,
+        type: typeof type === "string" && type.trim() ? type.trim() : null
+      })
+    });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] /investors failed:", error);
+    res.status(500).json({
+      error: "Failed to list investors",
+      details: error?.message ?? "Unknown error"
+    });
+  }
+});
+
+app.get("/api/investors/:investorId", (req, res) => {
+  const numericInvestorId = Number(req.params.investorId);
+
+  if (!Number.isInteger(numericInvestorId)) {
+    return res.status(400).json({ error: "Valid investorId is required" });
+  }
+
+  try {
+    const investor = getInvestor(numericInvestorId);
+    if (!investor) {
+      return res.status(404).json({ error: "Investor not found" });
+    }
+    res.json({ investor });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] /investors/:id failed:", error);
+    res.status(500).json({
+      error: "Failed to load the investor",
+      details: error?.message ?? "Unknown error"
+    });
+  }
+});
+
+// Merges `{ investorIds: [...] }` into the investor in the path.
+app.post("/api/admin/investors/:investorId/merge", requireAdmin, (req, res) => {
+  const numericInvestorId = Number(req.params.investorId);
+
+  if (!Number.isInteger(numericInvestorId)) {
+    return res.status(400).json({ error: "Valid investorId is required" });
+  }
+
+  try {
+    res.json({ investor: mergeInvestors(numericInvestorId, req.body?.investorIds) });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] /admin/investors/:id/merge failed:", error);
+    respondWithStatusError(res, error, {
+      notFound: "Investor not found",
+      fallback: "Failed to merge investors"
+    });
+  }
+});
+
+// Moves `{ mentionIds: [...] }` to a new investor, optionally named `name`.
+app.post("/api/admin/investors/:investorId/split", requireAdmin, (req, res) => {
+  const numericInvestorId = Number(req.params.investorId);
+
+  if (!Number.isInteger(numericInvestorId)) {
+    return res.status(400).json({ error: "Valid investorId is required" });
+  }
+
+  try {
+    res.json(splitInvestor(numericInvestorId, req.body || {}));
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] /admin/investors/:id/split failed:", error);
+    respondWithStatusError(res, error, {
+      notFound: "Investor not found",
+      fallback: "Failed to split the investor"
+    });
+  }
+});
+
+// Full agent trace of a case (prompt messages, tool configuration, raw model
+// responses, parse diagnostics) for prompt authors. Admin only, because it
+// exposes the active prompts.
+app.get("/api/cases/:caseId/debug", requireAdmin, (req, res) => {
+  const numericCaseId = Number(req.params.caseId);
+
+  if (!Number.isInteger(numericCaseId)) {
+    return res.status(400).json({ error: "Valid caseId is required" });
+  }
+
+  try {
+    const debug = getCaseDebug(numericCaseId);
+    if (!debug) {
+      return res.status(404).json({ error: "Case not found" });
+    }
+    res.json(debug);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("[api] /cases/:id/debug failed:", error);
+    res.status(500).json({
+      error: "Failed to load the case trace",
+      details: error?.message ?? "Unknown error"
+    });
+  }
+});
+
+// The investor directory is brought up to the current matching rules before
+// serving. A failure is logged and the server starts with the directory as is.
+try {
+  rederiveInvestorDirectory();
+  backfillInvestorDirectory();
+} catch (error) {
+  // eslint-disable-next-line no-console
+  console.error("[investors] Investor directory backfill failed:", error);
+}
+
+// Reports saved before fit scoring existed are scored once before serving. A
+// failure is logged and the server starts with those reports unscored.
+try {
+  scoreUnscoredInvestorReports();
+} catch (error) {
+  // eslint-disable-next-line no-console
+  console.error("[investors] Investor fit backfill failed:", error);
+}
+
 app.listen(port, () => {
   // eslint-disable-next-line no-console
   console.log(`Backend server listening on http://localhost:${port}`);
+  startJobWorker();
 });
 
 
@@ -0,0 +1,52 @@
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Streaming is opt-in per request: `?stream=1` or `Accept: text/event-stream`.
+export function wantsEventStream(req) {
+  const flag = String(req.query?.stream ?? "").toLowerCase();
+  return (
+    flag === "1" ||
+    flag === "true" ||
+    (req.get("Accept") || "").includes("text/event-stream")
+  );
+}
+
+/**
+ * Switches `res` to a server-sent events stream. `send(event, data)` writes a
+ * named event with a JSON body; `close()` ends the stream. A comment line is
+ * written periodically so proxies keep long agent runs open.
+ */
+export function openEventStream(res) {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(": keep-alive\n\n");
+  }, HEARTBEAT_INTERVAL_MS);
+
+  // The agent keeps running when the client disconnects; its result is still
+  // stored and shows up in history.
+  res.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (closed) return;
+      closed = true;
+      res.end();
+    }
+  };
+}
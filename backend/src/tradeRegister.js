@@ -0,0 +1,338 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { DEFAULT_FIXTURES_DIRECTORY } from "./fixtureProvider.js";
+import { businessIdToVatNumber, parseBusinessId } from "./businessId.js";
+import { createProgressReporter } from "./progress.js";
+import { normalizeIndustryFields } from "./industryClassification.js";
+
+dotenv.config();
+
+// Identity data from the Finnish trade register (PRH open data, YTJ API v3).
+// Registry values take precedence over the lookup agent's web search answer.
+
+export const TRADE_REGISTER_MODES = {
+  OFF: "off",
+  PRH: "prh",
+  FIXTURE: "fixture"
+};
+
+const configuredMode = (process.env.TRADE_REGISTER_MODE || TRADE_REGISTER_MODES.OFF)
+  .trim()
+  .toLowerCase();
+
+export const TRADE_REGISTER_MODE = Object.values(TRADE_REGISTER_MODES).includes(
+  configuredMode
+)
+  ? configuredMode
+  : TRADE_REGISTER_MODES.OFF;
+
+// Point this at the mock server (npm run mock:trade-register) to exercise the
+// HTTP path offline.
+export const TRADE_REGISTER_BASE_URL = (
+  process.env.TRADE_REGISTER_BASE_URL || "https://avoindata.prh.fi/opendata-ytj-api/v3"
+).replace(/\/+$/, "");
+
+const parsedTimeout = Number.parseInt(process.env.TRADE_REGISTER_TIMEOUT_MS ?? "", 10);
+const TRADE_REGISTER_TIMEOUT_MS =
+  Number.isInteger(parsedTimeout) && parsedTimeout > 0 ? parsedTimeout : 10000;
+
+export const TRADE_REGISTER_FIXTURES_DIRECTORY = path.join(
+  process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIRECTORY,
+  "trade_register"
+);
+
+export const REGISTRY_STATUSES = {
+  FOUND: "found",
+  NOT_FOUND: "not_found",
+  AMBIGUOUS: "ambiguous",
+  SKIPPED: "skipped",
+  FAILED: "failed"
+};
+
+// Metric fields a registry record overrides, mapped from the record keys.
+// industry_text is derived from the code (see industryClassification.js).
+export const REGISTRY_METRIC_FIELDS = {
+  businessId: "business_id",
+  name: "registered_name",
+  city: "city",
+  industryCode: "industry_code",
+  registrationDate: "registration_date"
+};
+
+// PRH language codes: 1 = Finnish, 2 = Swedish, 3 = English.
+const LANGUAGE_PREFERENCE = ["3", "1", "2"];
+
+const COMPANY_FORM_SUFFIX_PATTERN =
+  /\b(oy|oyj|ab|abp|ky|tmi|ay|osuuskunta|ltd|oy ab)\.?$/;
+
+// "Lyyti Oy", "LYYTI OY" and "Lyyti" compare equal; the legal form suffix is
+// ignored because the agent and the advisor often leave it out.
+export function normalizeRegistryName(name) {
+  return String(name ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+    .replace(COMPANY_FORM_SUFFIX_PATTERN, "")
+    .trim();
+}
+
+function pickDescription(descriptions) {
+  if (!Array.isArray(descriptions)) return null;
+  for (const languageCode of LANGUAGE_PREFERENCE) {
+    const match = descriptions.find((entry) => entry.languageCode === languageCode);
+    if (match?.description) return match.description;
+  }
+  return descriptions[0]?.description ?? null;
+}
+
+function pickCurrentName(names) {
+  if (!Array.isArray(names)) return null;
+  const current = names.filter((entry) => !entry.endDate);
+  return (
+    current.find((entry) => entry.type === "1") ??
+    current[0] ??
+    names[0] ??
+    null
+  )?.name ?? null;
+}
+
+// YTJ spells post office names in capitals: "MÄNTTÄ-VILPPULA" → "Mänttä-Vilppula".
+function formatCity(city) {
+  return city
+    .toLowerCase()
+    .replace(
+      /(^|[\s-])(\p{L})/gu,
+      (match, separator, letter) => separator + letter.toUpperCase()
+    );
+}
+
+// Street address (type 1) first, then the postal address.
+function pickCity(addresses) {
+  if (!Array.isArray(addresses)) return null;
+  const ordered = [...addresses].sort((a, b) => Number(a.type) - Number(b.type));
+  for (const address of ordered) {
+    const postOffices = address.postOffices || [];
+    const office =
+      postOffices.find((entry) => entry.languageCode === "1") ?? postOffices[0];
+    if (office?.city) {
+      return formatCity(office.city);
+    }
+  }
+  return null;
+}
+
+/**
+ * Maps one company of a YTJ v3 `/companies` response to
+ * `{ businessId, name, city, industryCode, industryText, registrationDate,
+ * companyForm, status }`.
+ */
+export function parseRegistryCompany(company) {
+  return {
+    businessId: company?.businessId?.value ?? null,
+    name: pickCurrentName(company?.names),
+    city: pickCity(company?.addresses),
+    industryCode: company?.mainBusinessLine?.type ?? null,
+    industryText: pickDescription(company?.mainBusinessLine?.descriptions),
+    registrationDate:
+      company?.registrationDate ?? company?.businessId?.registrationDate ?? null,
+    companyForm: pickDescription(company?.companyForms?.[0]?.descriptions),
+    status: company?.status ?? null
+  };
+}
+
+function readFixtureCompanies(fixturesDirectory) {
+  if (!fs.existsSync(fixturesDirectory)) return [];
+
+  return fs
+    .readdirSync(fixturesDirectory)
+    .filter((file) => file.endsWith(".json"))
+    .flatMap((file) => {
+      const parsed = JSON.parse(
+        fs.readFileSync(path.join(fixturesDirectory, file), "utf8")
+      );
+      return Array.isArray(parsed.companies) ? parsed.companies : [];
+    });
+}
+
+/**
+ * Answers a `/companies?businessId=…|name=…` query from the recorded YTJ
+ * responses in `fixturesDirectory`, in the same shape as the live API. Used
+ * by the fixture mode and by the mock server.
+ */
+export function searchRegistryFixtures(
+  { businessId, name },
+  fixturesDirectory = TRADE_REGISTER_FIXTURES_DIRECTORY
+) {
+  const companies = readFixtureCompanies(fixturesDirectory);
+  const wantedName = normalizeRegistryName(name);
+  const matches = companies.filter((company) =>
+    businessId
+      ? company.businessId?.value === businessId
+      : wantedName &&
+        (company.names || []).some((entry) =>
+          normalizeRegistryName(entry.name).includes(wantedName)
+        )
+  );
+
+  return { totalResults: matches.length, companies: matches };
+}
+
+async function fetchRegistryCompanies(query) {
+  const params = new URLSearchParams(
+    query.businessId ? { businessId: query.businessId } : { name: query.name }
+  );
+  const response = await fetch(`${TRADE_REGISTER_BASE_URL}/companies?${params}`, {
+    headers: { Accept: "application/json" },
+    signal: AbortSignal.timeout(TRADE_REGISTER_TIMEOUT_MS)
+  });
+
+  // A 404 means no match as well.
+  if (response.status === 404) return { totalResults: 0, companies: [] };
+  if (!response.ok) {
+    throw new Error(`Trade register answered ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+async function queryRegistry(query, mode) {
+  return mode === TRADE_REGISTER_MODES.FIXTURE
+    ? searchRegistryFixtures(query)
+    : fetchRegistryCompanies(query);
+}
+
+function carriesName(company, companyName) {
+  const wanted = normalizeRegistryName(companyName);
+  return (company.names || []).some(
+    (entry) => normalizeRegistryName(entry.name) === wanted
+  );
+}
+
+// A name search only counts when exactly one company carries that name.
+function pickNameMatch(companies, companyName) {
+  const exact = companies.filter((company) => carriesName(company, companyName));
+  return exact.length === 1 ? exact[0] : null;
+}
+
+/**
+ * Looks the company up in the trade register: by Business ID when
+ * `businessId` is valid, then by name. With `matchName` an ID hit must also
+ * carry `companyName` (current or former name), otherwise the name search
+ * decides; use it for IDs the agent supplied, which may belong to a namesake.
+ *
+ * Never throws: returns `{ status, source, query, record, error }` where
+ * `status` is one of REGISTRY_STATUSES, `query` the search that decided it
+ * and `record` is set only when the status is "found".
+ */
+export async function lookupRegistryCompany(
+  { businessId, companyName, matchName = false },
+  { mode = TRADE_REGISTER_MODE, onProgress } = {}
+) {
+  const report = createProgressReporter(onProgress);
+  const parsedId = businessId ? parseBusinessId(businessId) : null;
+  const name = String(companyName ?? "").trim();
+  const queries = [
+    ...(parsedId?.valid ? [{ businessId: parsedId.businessId }] : []),
+    ...(name ? [{ name }] : [])
+  ];
+  const result = {
+    status: REGISTRY_STATUSES.SKIPPED,
+    source: mode,
+    query: queries[0] ?? null,
+    record: null,
+    error: null
+  };
+
+  if (mode === TRADE_REGISTER_MODES.OFF || queries.length === 0) {
+    return result;
+  }
+
+  try {
+    for (const query of queries) {
+      report(
+        "registry_lookup",
+        query.businessId
+          ? `Checking the trade register for ${query.businessId}`
+          : `Searching the trade register for "${query.name}"`
+      );
+
+      const { companies = [] } = await queryRegistry(query, mode);
+      let match = query.businessId
+        ? companies.find((company) => company.businessId?.value === query.businessId)
+        : pickNameMatch(companies, query.name);
+
+      if (match && query.businessId && matchName && !carriesName(match, name)) {
+        report(
+          "registry_mismatch",
+          `${query.businessId} is registered to ${pickCurrentName(match.names)}, not "${name}"`
+        );
+        match = null;
+      }
+
+      result.query = query;
+      if (match) {
+        const record = parseRegistryCompany(match);
+        report(
+          "registry_completed",
+          `Trade register match: ${record.name} (${record.businessId})`
+        );
+        return { ...result, status: REGISTRY_STATUSES.FOUND, record };
+      }
+
+      result.status =
+        !query.businessId && companies.length > 0
+          ? REGISTRY_STATUSES.AMBIGUOUS
+          : REGISTRY_STATUSES.NOT_FOUND;
+    }
+
+    report("registry_completed", `Trade register: ${result.status.replace("_", " ")}`);
+    return result;
+  } catch (error) {
+    const message = error?.message ?? "Unknown error";
+    report("registry_failed", "Trade register lookup failed; keeping the agent values", {
+      error: message
+    });
+    return {
+      ...result,
+      status: REGISTRY_STATUSES.FAILED,
+      error: message
+    };
+  }
+}
+
+/**
+ * Overrides the metric fields the registry knows about. Returns the merged
+ * `metrics`, the `fields` taken from the registry and `overrides` as
+ * `{ field: { registry, agent } }` for those where the agent had a different
+ * value.
+ */
+export function applyRegistryRecord(metrics, registry) {
+  if (registry?.status !== REGISTRY_STATUSES.FOUND) {
+    return { metrics, fields: [], overrides: {} };
+  }
+
+  const merged = { ...metrics };
+  const fields = [];
+  const overrides = {};
+
+  for (const [recordKey, field] of Object.entries(REGISTRY_METRIC_FIELDS)) {
+    const value = registry.record[recordKey];
+    if (value === null || value === undefined) continue;
+
+    const agentValue = metrics?.[field] ?? null;
+    if (agentValue !== value) {
+      overrides[field] = { registry: value, agent: agentValue };
+    }
+    merged[field] = value;
+    fields.push(field);
+  }
+
+  merged.vat_number = businessIdToVatNumber(merged.business_id);
+  if (fields.includes("industry_code")) {
+    Object.assign(merged, normalizeIndustryFields(merged));
+    fields.push("industry_text");
+  }
+
+  return { metrics: merged, fields, overrides };
+}
@@ -0,0 +1,376 @@
+import dotenv from "dotenv";
+import { db } from "./db.js";
+import { llmProvider } from "./llmProvider.js";
+import { callLlm, createLlmError, LLM_ERROR_CODES } from "./llmCall.js";
+
+dotenv.config();
+
+function readPrice(value, fallback) {
+  const parsed = Number.parseFloat(value ?? "");
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// USD list prices; defaults match gpt-5.1 with the web_search tool.
+const PRICES = {
+  inputPerMillion: readPrice(process.env.LLM_PRICE_INPUT_USD_PER_MTOK, 1.25),
+  cachedInputPerMillion: readPrice(
+    process.env.LLM_PRICE_CACHED_INPUT_USD_PER_MTOK,
+    0.125
+  ),
+  outputPerMillion: readPrice(process.env.LLM_PRICE_OUTPUT_USD_PER_MTOK, 10),
+  webSearchPerCall: readPrice(process.env.LLM_PRICE_WEB_SEARCH_USD_PER_CALL, 0.01)
+};
+
+const parsedBudget = Number.parseFloat(process.env.LLM_MONTHLY_BUDGET_USD ?? "");
+
+export const LLM_MONTHLY_BUDGET_USD =
+  Number.isFinite(parsedBudget) && parsedBudget > 0 ? parsedBudget : null;
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id                   INTEGER PRIMARY KEY AUTOINCREMENT,
+  agent                TEXT NOT NULL,
+  provider             TEXT,
+  model                TEXT,
+  reasoning_effort     TEXT,
+  prompt_version       TEXT,
+
+  input_tokens         INTEGER,
+  cached_input_tokens  INTEGER,
+  output_tokens        INTEGER,
+  reasoning_tokens     INTEGER,
+  web_search_calls     INTEGER,
+
+  latency_ms           INTEGER,
+  attempts             INTEGER,
+  outcome              TEXT NOT NULL,
+  error_message        TEXT,
+  cost_usd             REAL NOT NULL DEFAULT 0,
+
+  company_name         TEXT,
+  case_id              INTEGER,
+  report_id            INTEGER,
+  created_at           DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (case_id) REFERENCES company_cases(id),
+  FOREIGN KEY (report_id) REFERENCES investor_reports(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at
+  ON llm_usage(created_at);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_case
+  ON llm_usage(case_id);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_report
+  ON llm_usage(report_id);
+`);
+
+const insertUsageStmt = db.prepare(
+  `INSERT INTO llm_usage (
+    agent,
+    provider,
+    model,
+    reasoning_effort,
+    prompt_version,
+    input_tokens,
+    cached_input_tokens,
+    output_tokens,
+    reasoning_tokens,
+    web_search_calls,
+    latency_ms,
+    attempts,
+    outcome,
+    error_message,
+    cost_usd,
+    company_name
+  ) VALUES (
+    @agent,
+    @provider,
+    @model,
+    @reasoning_effort,
+    @prompt_version,
+    @input_tokens,
+    @cached_input_tokens,
+    @output_tokens,
+    @reasoning_tokens,
+    @web_search_calls,
+    @latency_ms,
+    @attempts,
+    @outcome,
+    @error_message,
+    @cost_usd,
+    @company_name
+  )`
+);
+
+const linkUsageToCaseStmt = db.prepare(
+  "UPDATE llm_usage SET case_id = @target_id WHERE id = @id"
+);
+
+const linkUsageToReportStmt = db.prepare(
+  "UPDATE llm_usage SET report_id = @target_id WHERE id = @id"
+);
+
+const selectCostSinceStmt = db.prepare(
+  "SELECT COALESCE(SUM(cost_usd), 0) AS cost FROM llm_usage WHERE created_at >= ?"
+);
+
+const USAGE_TOTAL_COLUMNS = `
+  COUNT(*) AS calls,
+  SUM(CASE WHEN outcome = 'succeeded' THEN 0 ELSE 1 END) AS failed_calls,
+  COALESCE(SUM(input_tokens), 0) AS input_tokens,
+  COALESCE(SUM(cached_input_tokens), 0) AS cached_input_tokens,
+  COALESCE(SUM(output_tokens), 0) AS output_tokens,
+  COALESCE(SUM(reasoning_tokens), 0) AS reasoning_tokens,
+  COALESCE(SUM(web_search_calls), 0) AS web_search_calls,
+  COALESCE(SUM(cost_usd), 0) AS cost_usd,
+  COALESCE(AVG(latency_ms), 0) AS avg_latency_ms`;
+
+const USAGE_RANGE_FILTER = "created_at >= @from AND created_at < @to";
+
+const selectUsageTotalsStmt = db.prepare(
+  `SELECT ${USAGE_TOTAL_COLUMNS} FROM llm_usage WHERE ${USAGE_RANGE_FILTER}`
+);
+
+const selectUsageByDayStmt = db.prepare(
+  `SELECT date(created_at) AS day, ${USAGE_TOTAL_COLUMNS}
+   FROM llm_usage
+   WHERE ${USAGE_RANGE_FILTER}
+   GROUP BY day
+   ORDER BY day`
+);
+
+const selectUsageByAgentStmt = db.prepare(
+  `SELECT agent, ${USAGE_TOTAL_COLUMNS}
+   FROM llm_usage
+   WHERE ${USAGE_RANGE_FILTER}
+   GROUP BY agent
+   ORDER BY cost_usd DESC`
+);
+
+const selectUsageByCompanyStmt = db.prepare(
+  `SELECT COALESCE(company_name, 'Unknown company') AS company_name, ${USAGE_TOTAL_COLUMNS}
+   FROM llm_usage
+   WHERE ${USAGE_RANGE_FILTER}
+   GROUP BY COALESCE(company_name, 'Unknown company')
+   ORDER BY cost_usd DESC`
+);
+
+function countWebSearchCalls(response) {
+  if (!Array.isArray(response?.output)) return 0;
+  return response.output.filter((item) => item?.type === "web_search_call").length;
+}
+
+export function estimateCostUsd({
+  inputTokens = 0,
+  cachedInputTokens = 0,
+  outputTokens = 0,
+  webSearchCalls = 0
+}) {
+  const uncachedInput = Math.max(inputTokens - cachedInputTokens, 0);
+  const cost =
+    (uncachedInput * PRICES.inputPerMillion +
+      cachedInputTokens * PRICES.cachedInputPerMillion +
+      outputTokens * PRICES.outputPerMillion) /
+      1_000_000 +
+    webSearchCalls * PRICES.webSearchPerCall;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+/**
+ * Stores one ledger row per `callLlm` invocation. Pass either `response`
+ * (successful call) or `error` (failed call, tokens unknown). Returns the
+ * ledger row id so the caller can link it to the case or report later.
+ */
+export function recordLlmUsage({
+  agentRun,
+  provider,
+  companyName,
+  response = null,
+  error = null,
+  attempts = null,
+  latencyMs = null
+}) {
+  const usage = response?.usage ?? {};
+  const inputTokens = usage.input_tokens ?? null;
+  const cachedInputTokens = usage.input_tokens_details?.cached_tokens ?? null;
+  const outputTokens = usage.output_tokens ?? null;
+  const webSearchCalls = response ? countWebSearchCalls(response) : null;
+
+  // Replayed fixtures carry recorded token counts but cost nothing.
+  const costUsd =
+    response && provider !== "fixture"
+      ? estimateCostUsd({
+          inputTokens: inputTokens ?? 0,
+          cachedInputTokens: cachedInputTokens ?? 0,
+          outputTokens: outputTokens ?? 0,
+          webSearchCalls: webSearchCalls ?? 0
+        })
+      : 0;
+
+  const result = insertUsageStmt.run({
+    agent: agentRun?.agent ?? "unknown",
+    provider: provider ?? null,
+    model: agentRun?.model ?? null,
+    reasoning_effort: agentRun?.reasoningEffort ?? null,
+    prompt_version: agentRun?.promptVersion ?? null,
+    input_tokens: inputTokens,
+    cached_input_tokens: cachedInputTokens,
+    output_tokens: outputTokens,
+    reasoning_tokens: usage.output_tokens_details?.reasoning_tokens ?? null,
+    web_search_calls: webSearchCalls,
+    latency_ms: latencyMs ?? error?.latencyMs ?? null,
+    attempts: attempts ?? error?.attempts ?? null,
+    outcome: error ? error.code || "error" : "succeeded",
+    error_message: error ? error.message ?? null : null,
+    cost_usd: costUsd,
+    company_name: companyName ?? null
+  });
+
+  return result.lastInsertRowid;
+}
+
+const linkManyTx = db.transaction((stmt, usageIds, targetId) => {
+  for (const id of usageIds) {
+    stmt.run({ id, target_id: targetId });
+  }
+});
+
+export function linkUsageToCase(usageIds, caseId) {
+  if (!Array.isArray(usageIds) || usageIds.length === 0) return;
+  linkManyTx(linkUsageToCaseStmt, usageIds, caseId);
+}
+
+export function linkUsageToReport(usageIds, reportId) {
+  if (!Array.isArray(usageIds) || usageIds.length === 0) return;
+  linkManyTx(linkUsageToReportStmt, usageIds, reportId);
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC "YYYY-MM-DD HH:MM:SS" strings.
+function toSqliteTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+function startOfCurrentMonthUtc() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+export function getBudgetStatus() {
+  const monthToDateUsd = selectCostSinceStmt.get(
+    toSqliteTimestamp(startOfCurrentMonthUtc())
+  ).cost;
+
+  return {
+    monthlyBudgetUsd: LLM_MONTHLY_BUDGET_USD,
+    monthToDateUsd,
+    remainingUsd:
+      LLM_MONTHLY_BUDGET_USD === null
+        ? null
+        : Math.max(LLM_MONTHLY_BUDGET_USD - monthToDateUsd, 0),
+    exceeded:
+      LLM_MONTHLY_BUDGET_USD !== null && monthToDateUsd >= LLM_MONTHLY_BUDGET_USD
+  };
+}
+
+function shapeTotals(row) {
+  return {
+    calls: row.calls,
+    failedCalls: row.failed_calls ?? 0,
+    inputTokens: row.input_tokens,
+    cachedInputTokens: row.cached_input_tokens,
+    outputTokens: row.output_tokens,
+    reasoningTokens: row.reasoning_tokens,
+    webSearchCalls: row.web_search_calls,
+    costUsd: Math.round(row.cost_usd * 10000) / 10000,
+    avgLatencyMs: Math.round(row.avg_latency_ms)
+  };
+}
+
+/**
+ * Aggregates the ledger between `from` (inclusive) and `to` (exclusive),
+ * both Date objects, grouped by day, agent and company.
+ */
+export function getUsageReport({ from, to }) {
+  const range = {
+    from: toSqliteTimestamp(from),
+    to: toSqliteTimestamp(to)
+  };
+
+  return {
+    range: { from: from.toISOString(), to: to.toISOString() },
+    totals: shapeTotals(selectUsageTotalsStmt.get(range)),
+    byDay: selectUsageByDayStmt
+      .all(range)
+      .map((row) => ({ day: row.day, ...shapeTotals(row) })),
+    byAgent: selectUsageByAgentStmt
+      .all(range)
+      .map((row) => ({ agent: row.agent, ...shapeTotals(row) })),
+    byCompany: selectUsageByCompanyStmt
+      .all(range)
+      .map((row) => ({ companyName: row.company_name, ...shapeTotals(row) })),
+    budget: getBudgetStatus()
+  };
+}
+
+/**
+ * `callLlm` plus bookkeeping: refuses the call once the monthly budget is
+ * spent and appends a ledger row for the call, successful or not. The new
+ * row id is pushed onto `usageIds` so the agent can hand it back to the route
+ * that stores the case or report. When `trace` is given, the request and the
+ * raw response (or error) of the call are appended to it for the case debug
+ * payload.
+ */
+export async function callLlmWithUsage(
+  request,
+  context,
+  options,
+  { agentRun, usageIds, trace }
+) {
+  const budget = getBudgetStatus();
+  if (budget.exceeded) {
+    throw createLlmError(
+      LLM_ERROR_CODES.BUDGET_EXCEEDED,
+      `Monthly LLM budget of $${budget.monthlyBudgetUsd} is used up ($${budget.monthToDateUsd.toFixed(2)} spent). Raise LLM_MONTHLY_BUDGET_USD or wait for next month.`
+    );
+  }
+
+  const usageContext = {
+    agentRun,
+    provider: llmProvider.name,
+    companyName: context.companyName ?? null
+  };
+
+  try {
+    const result = await callLlm(request, context, options);
+    usageIds.push(
+      recordLlmUsage({
+        ...usageContext,
+        response: result.response,
+        attempts: result.attempts,
+        latencyMs: result.latencyMs
+      })
+    );
+    trace?.push({
+      agent: agentRun?.agent ?? "unknown",
+      request,
+      response: result.response,
+      error: null,
+      attempts: result.attempts,
+      latencyMs: result.latencyMs
+    });
+    return result;
+  } catch (error) {
+    usageIds.push(recordLlmUsage({ ...usageContext, error }));
+    trace?.push({
+      agent: agentRun?.agent ?? "unknown",
+      request,
+      response: null,
+      error: { code: error?.code ?? null, message: error?.message ?? "Unknown error" },
+      attempts: error?.attempts ?? null,
+      latencyMs: error?.latencyMs ?? null
+    });
+    throw error;
+  }
+}
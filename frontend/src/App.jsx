@@ -13,6 +13,7 @@ const METRIC_LABELS = {
   employee_range: "Employee range",
   revenue_eur: "Revenue (€)",
   revenue_range: "Revenue range",
+  balance_sheet_total_eur: "Balance sheet total (€)",
   stage: "Stage",
   funding_need_type_guess: "Funding type",
   funding_need_min_eur_guess: "Funding min (€)",
@@ -39,6 +40,7 @@ const METRIC_SECTIONS = [
       "employee_range",
       "revenue_eur",
       "revenue_range",
+      "balance_sheet_total_eur",
       "stage"
     ]
   },
@@ -57,12 +59,123 @@ const DENSE_FIELDS = new Set(["funding_need_summary_guess"]);
 const NUMERIC_FIELDS = new Set([
   "employee_count",
   "revenue_eur",
+  "balance_sheet_total_eur",
   "funding_need_min_eur_guess",
   "funding_need_max_eur_guess"
 ]);
 
 const EDITABLE_FIELDS = METRIC_SECTIONS.flatMap((section) => section.fields);
 
+// The fixed buckets of backend/src/companySize.js; other spellings are
+// mapped onto them when saved.
+const RANGE_BUCKETS = {
+  employee_range: [
+    "0-4",
+    "5-9",
+    "10-19",
+    "20-49",
+    "50-99",
+    "100-249",
+    "250-499",
+    "500-999",
+    "1000+"
+  ],
+  revenue_range: [
+    "0-0.2M",
+    "0.2M-0.4M",
+    "0.4M-2M",
+    "2M-10M",
+    "10M-20M",
+    "20M-50M",
+    "50M-100M",
+    "100M+"
+  ]
+};
+
+const SIZE_CLASS_LABELS = {
+  micro: "Micro",
+  small: "Small",
+  medium: "Medium-sized",
+  large: "Large"
+};
+
+// Stages and instrument types of the funding programme catalogue
+// (backend/src/fundingPrograms.js).
+const FUNDING_STAGE_LABELS = {
+  pre_seed: "Pre-seed",
+  seed: "Seed",
+  early_growth: "Early growth",
+  growth: "Growth",
+  mature: "Mature"
+};
+
+const INSTRUMENT_TYPE_LABELS = {
+  grant: "Grant",
+  loan: "Loan",
+  guarantee: "Guarantee",
+  equity: "Equity",
+  blended: "Grant + equity"
+};
+
+// Components of the investor fit score (backend/src/investorFit.js).
+const FIT_COMPONENT_LABELS = {
+  ticket: "Ticket size",
+  stage: "Stage",
+  geography: "Geography",
+  sector: "Sector"
+};
+
+// Outcomes of the programme eligibility rules (backend/src/eligibility.js).
+const ELIGIBILITY_STATUS_LABELS = {
+  eligible: "Eligible",
+  needs_info: "Needs info",
+  ineligible: "Not eligible"
+};
+
+const RULE_OUTCOME_MARKS = {
+  pass: "✓",
+  fail: "✗",
+  unknown: "?"
+};
+
+const BUSINESS_ID_WEIGHTS = [7, 9, 10, 5, 8, 4, 2];
+
+// Mirrors backend/src/businessId.js so the editor can flag a bad Business ID
+// before saving. Empty input is valid (clears the field).
+const checkBusinessId = (value) => {
+  const compact = String(value ?? "").toUpperCase().replace(/[\s.]/g, "");
+  if (!compact) return { valid: true, normalized: "" };
+
+  const match = /^(?:FI)?(\d{6,7})[-\u2010-\u2015]?(\d)$/.exec(compact);
+  if (!match) {
+    return { valid: false, message: "Use the format 1234567-8." };
+  }
+
+  const digits = match[1].padStart(7, "0");
+  const remainder =
+    BUSINESS_ID_WEIGHTS.reduce(
+      (sum, weight, index) => sum + weight * Number(digits[index]),
+      0
+    ) % 11;
+  if (remainder === 1) {
+    return { valid: false, message: `No valid Business ID starts with ${digits}.` };
+  }
+
+  const expected = remainder === 0 ? 0 : 11 - remainder;
+  if (Number(match[2]) !== expected) {
+    return {
+      valid: false,
+      message: `Wrong check digit; ${digits}-${expected} would be valid.`
+    };
+  }
+
+  return {
+    valid: true,
+    normalized: `${digits}-${expected}`,
+    vatNumber: `FI${digits}${expected}`
+  };
+};
+
 const formatRecommendationJson = (recommendation) =>
   JSON.stringify(recommendation ?? {}, null, 2);
 
@@ -99,6 +212,7 @@ const FIELD_COLUMN_MAP = {
   employee_range: "employee_range",
   revenue_eur: "revenue_eur",
   revenue_range: "revenue_range",
+  balance_sheet_total_eur: "balance_sheet_total_eur",
   stage: "stage",
   funding_need_type_guess: "funding_need_type",
   funding_need_min_eur_guess: "funding_need_min_eur",
@@ -137,43 +251,1435 @@ const buildUpdatesPayload = (buffer = {}, metrics = {}) => {
     if (normalizeForComparison(bufferedValue) !== baseline) {
       updates[field] = bufferedValue;
     }
-  });
-  return updates;
-};
+  });
+  return updates;
+};
+
+const formatChangeTimestamp = (timestamp) => {
+  if (!timestamp) return "—";
+  const date = parseUtcTimestamp(timestamp);
+  if (!date) return timestamp;
+
+  try {
+    return new Intl.DateTimeFormat("fi-FI", {
+      dateStyle: "short",
+      timeStyle: "short"
+    }).format(date);
+  } catch (error) {
+    return timestamp;
+  }
+};
+
+const ENRICHMENT_STATUS_LABELS = {
+  partial: "Partial lookup",
+  failed: "Lookup failed"
+};
+
+const formatRelativeTime = (timestamp) => {
+  if (!timestamp) return "unknown";
+  const createdAt = parseUtcTimestamp(timestamp);
+  if (!createdAt) return "unknown";
+  const diffMs = Date.now() - createdAt.getTime();
+
+  const minutes = Math.floor(diffMs / 60000);
+  if (minutes < 60) return "<1 hour ago";
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? "" : "s"} ago`;
+  const days = Math.floor(hours / 24);
+  if (days === 1) return "1 day ago";
+  if (days < 30) return `${days} days ago`;
+  const months = Math.floor(days / 30);
+  return months === 1 ? "1 month ago" : `${months} months ago`;
+};
+
+function AgentRunMeta({ agentRun }) {
+  if (!agentRun) return null;
+
+  return (
+    <p className="agent-run-meta">
+      Prompt {agentRun.promptVersion || "unversioned"} · {agentRun.model || "unknown model"}
+      {agentRun.reasoningEffort && <> · {agentRun.reasoningEffort} effort</>}
+    </p>
+  );
+}
+
+// Calls an agent route in streaming mode (see backend/src/sse.js). Progress
+// events go to `onProgress`; resolves to `{ ok, status, data }` like a plain
+// JSON call once the final result or error event arrives.
+async function postAgentRequest(url, body, onProgress) {
+  const response = await fetch(`${url}?stream=1`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "text/event-stream"
+    },
+    body: JSON.stringify(body)
+  });
+
+  const contentType = response.headers.get("Content-Type") || "";
+  if (!contentType.includes("text/event-stream") || !response.body) {
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, data };
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let outcome = null;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf("\n\n");
+
+      let eventName = "message";
+      const dataLines = [];
+      for (const line of rawEvent.split("\n")) {
+        if (line.startsWith("event:")) eventName = line.slice(6).trim();
+        if (line.startsWith("data:")) dataLines.push(line.slice(5).trim());
+      }
+      if (dataLines.length === 0) continue;
+
+      let data;
+      try {
+        data = JSON.parse(dataLines.join("\n"));
+      } catch {
+        continue;
+      }
+
+      if (eventName === "progress") {
+        onProgress(data);
+      } else if (eventName === "result") {
+        outcome = { ok: true, status: 200, data };
+      } else if (eventName === "error") {
+        outcome = { ok: false, status: data?.status ?? 500, data };
+      }
+    }
+  }
+
+  return (
+    outcome ?? {
+      ok: false,
+      status: 502,
+      data: { error: "The progress stream ended before a result arrived." }
+    }
+  );
+}
+
+function ProgressLog({ entries }) {
+  if (!entries || entries.length === 0) return null;
+
+  const startedAt = new Date(entries[0].at).getTime();
+
+  return (
+    <ol className="progress-log" aria-live="polite">
+      {entries.map((entry, index) => {
+        const elapsedSeconds = Math.max(
+          (new Date(entry.at).getTime() - startedAt) / 1000,
+          0
+        );
+        return (
+          <li key={index} className={`progress-log__entry ${entry.stage}`}>
+            <span className="progress-log__time">
+              +{elapsedSeconds.toFixed(1)}s
+            </span>
+            <span>{entry.message}</span>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+const BATCH_POLL_INTERVAL_MS = 2000;
+
+const BATCH_ROW_STATUS_LABELS = {
+  queued: "Queued",
+  running: "Running",
+  succeeded: "Done",
+  failed: "Failed"
+};
+
+function BatchLookupPanel({ onRowsFinished }) {
+  const [batchFile, setBatchFile] = useState(null);
+  const [batch, setBatch] = useState(null);
+  const [batchError, setBatchError] = useState("");
+  const [uploading, setUploading] = useState(false);
+
+  const batchId = batch?.batchId;
+  const batchRunning = batch?.status === "running";
+  const finishedRows = batch ? batch.counts.succeeded + batch.counts.failed : 0;
+
+  useEffect(() => {
+    if (!batchId || !batchRunning) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(
+          `http://localhost:4000/api/company/batches/${batchId}`
+        );
+        if (!response.ok) {
+          console.error("Failed to load batch:", response.status);
+          return;
+        }
+        setBatch(await response.json());
+      } catch (error) {
+        console.error("Error polling batch:", error);
+      }
+    }, BATCH_POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [batchId, batchRunning, batch]);
+
+  // New cases land in history as rows finish.
+  useEffect(() => {
+    if (finishedRows > 0) onRowsFinished();
+  }, [finishedRows, onRowsFinished]);
+
+  const handleBatchSubmit = async (event) => {
+    event.preventDefault();
+    if (!batchFile) return;
+
+    setUploading(true);
+    setBatchError("");
+    setBatch(null);
+
+    try {
+      const response = await fetch(
+        `http://localhost:4000/api/company/batches?fileName=${encodeURIComponent(
+          batchFile.name
+        )}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "text/csv" },
+          body: await batchFile.text()
+        }
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        const baseError = data?.error || "Batch upload failed.";
+        const detail = data?.details ? ` (${data.details})` : "";
+        setBatchError(`${baseError}${detail}`);
+        return;
+      }
+
+      setBatch(data);
+    } catch (error) {
+      console.error("Error uploading batch:", error);
+      setBatchError("Unexpected error. Check the console for details.");
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="panel-block batch-panel">
+      <h2>Bulk lookup (CSV)</h2>
+      <p className="panel-description">
+        Upload a CSV with the columns <code>name</code>, <code>business_id</code>{" "}
+        (optional) and <code>extra</code> (optional context). Each row runs as a
+        separate lookup in the background; results can be downloaded as CSV when
+        the batch is done.
+      </p>
+
+      <form className="form" onSubmit={handleBatchSubmit}>
+        <label className="field">
+          <span>CSV file</span>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={(e) => setBatchFile(e.target.files?.[0] ?? null)}
+            required
+          />
+        </label>
+
+        <div className="button-row">
+          <button
+            type="submit"
+            className="primary-button"
+            disabled={uploading || batchRunning || !batchFile}
+          >
+            {uploading ? "Uploading…" : "Start batch lookup"}
+          </button>
+          {(uploading || batchRunning) && (
+            <span className="button-spinner" aria-hidden />
+          )}
+        </div>
+        {batchError && <p className="error-text">{batchError}</p>}
+      </form>
+
+      {batch && (
+        <div className="batch-status">
+          <div className="batch-status__summary">
+            <span>
+              {finishedRows} / {batch.totalRows} rows finished
+              {batch.counts.failed > 0 && ` (${batch.counts.failed} failed)`}
+            </span>
+            {batch.status === "completed" && (
+              <a
+                className="secondary-button"
+                href={`http://localhost:4000/api/company/batches/${batch.batchId}/results.csv`}
+              >
+                Download results CSV
+              </a>
+            )}
+          </div>
+          <table className="batch-table">
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Company</th>
+                <th>Status</th>
+                <th>Progress</th>
+              </tr>
+            </thead>
+            <tbody>
+              {batch.rows.map((row) => (
+                <tr key={row.rowNumber}>
+                  <td>{row.rowNumber}</td>
+                  <td>
+                    {row.companyName}
+                    {row.businessId && (
+                      <span className="batch-table__muted"> {row.businessId}</span>
+                    )}
+                  </td>
+                  <td>
+                    <span className={`batch-row-status ${row.status}`}>
+                      {BATCH_ROW_STATUS_LABELS[row.status] ?? row.status}
+                    </span>
+                    {row.enrichmentStatus && row.enrichmentStatus !== "succeeded" && (
+                      <span className={`enrichment-badge ${row.enrichmentStatus}`}>
+                        {ENRICHMENT_STATUS_LABELS[row.enrichmentStatus]}
+                      </span>
+                    )}
+                  </td>
+                  <td className="batch-table__muted">
+                    {row.error || row.progressMessage || "—"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const CONFIDENCE_LABELS = {
+  verified: "Verified",
+  estimated: "Estimated",
+  unknown: "Unknown"
+};
+
+const CONFIDENCE_SOURCE_LABELS = {
+  agent: "rated by the lookup agent",
+  derived: "derived from the answer and its sources",
+  manual: "set by an advisor",
+  registry: "from the trade register"
+};
+
+// Matches INVESTOR_MATCH_MIN_CONFIDENCE's default on the backend.
+const LOW_CONFIDENCE_SCORE = 0.5;
+
+function ConfidenceBadge({ confidence }) {
+  if (!confidence) return null;
+
+  const isLow =
+    confidence.level !== "unknown" && confidence.score < LOW_CONFIDENCE_SCORE;
+  const scoreText = `${Math.round(confidence.score * 100)}%`;
+
+  return (
+    <span
+      className={`confidence-badge ${confidence.level}${isLow ? " low" : ""}`}
+      title={`${CONFIDENCE_LABELS[confidence.level]} (${scoreText}), ${
+        CONFIDENCE_SOURCE_LABELS[confidence.source] ?? "source unknown"
+      }${isLow ? ". Withheld from investor matching." : ""}`}
+    >
+      {CONFIDENCE_LABELS[confidence.level] ?? confidence.level}
+      {confidence.level !== "unknown" && ` ${scoreText}`}
+    </span>
+  );
+}
+
+const VERIFICATION_RESOLUTION_LABELS = {
+  first_pass: "kept the first-pass value",
+  verification: "applied the verified value",
+  keep_current: "kept the stored value"
+};
+
+// Fields the verification agent disputed and nobody has reviewed yet.
+const openDisagreements = (verification) =>
+  (verification?.disagreements || []).filter(
+    (field) => !verification.resolutions?.[field]
+  );
+
+const INPUT_GUARD_LABELS = {
+  flagged: "Input flagged",
+  rejected: "Input rejected"
+};
+
+const INPUT_GUARD_FIELD_LABELS = {
+  companyName: "company name",
+  extraInfo: "extra context"
+};
+
+// Shows why the input guard (backend/src/inputGuard.js) flagged or rejected
+// the advisor input of a case.
+function InputGuardNotice({ inputGuard }) {
+  const label = INPUT_GUARD_LABELS[inputGuard?.decision];
+  if (!label) return null;
+
+  return (
+    <div className={`input-guard-notice ${inputGuard.decision}`}>
+      <p>
+        <strong>{label}</strong>:{" "}
+        {inputGuard.decision === "rejected"
+          ? "the lookup was not sent to the agent because the input looks like instructions."
+          : "the input looks like instructions to the agent. Check the values before relying on them."}
+      </p>
+      <ul>
+        {inputGuard.findings.map((finding, index) => (
+          <li key={index}>
+            {finding.rule.replace(/_/g, " ")} in{" "}
+            {INPUT_GUARD_FIELD_LABELS[finding.field] || finding.field}:{" "}
+            <q>{finding.excerpt}</q>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function BusinessIdFeedback({ value }) {
+  const check = checkBusinessId(value);
+  if (!String(value ?? "").trim()) return null;
+
+  return check.valid ? (
+    <span className="metric-hint valid">
+      Saved as {check.normalized} · VAT {check.vatNumber}
+    </span>
+  ) : (
+    <span className="metric-hint invalid" role="alert">
+      {check.message}
+    </span>
+  );
+}
+
+const DATA_FLAG_LABELS = {
+  invalid_business_id: "Invalid Business ID from the agent",
+  invalid_industry_code: "Invalid industry code from the agent"
+};
+
+// Agent values the backend refused to store (see data_flags_json).
+function DataFlagsNotice({ dataFlags }) {
+  if (!dataFlags || dataFlags.length === 0) return null;
+
+  return (
+    <div className="input-guard-notice">
+      {dataFlags.map((flag, index) => (
+        <p key={index}>
+          <strong>{DATA_FLAG_LABELS[flag.flag] || flag.flag}</strong>: {flag.message}.
+          The value was not saved to the company.
+        </p>
+      ))}
+    </div>
+  );
+}
+
+const REGISTRY_STATUS_MESSAGES = {
+  not_found: "The trade register has no company with this name or Business ID.",
+  ambiguous: "Several companies in the trade register match this name; add the Business ID to pick one.",
+  failed: "The trade register could not be reached; the agent values were kept."
+};
+
+function SizeClassNotice({ metrics }) {
+  const warnings = metrics?.size_warnings || [];
+  if (!metrics?.size_class && warnings.length === 0) return null;
+
+  return (
+    <div className="size-class-notice">
+      <p>
+        <strong>EU SME class</strong>:{" "}
+        {metrics.size_class
+          ? `${SIZE_CLASS_LABELS[metrics.size_class] || metrics.size_class} enterprise`
+          : "undetermined"}
+      </p>
+      {warnings.length > 0 && (
+        <ul>
+          {warnings.map((warning) => (
+            <li key={warning.code}>{warning.message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Outcome of the trade register lookup (backend/src/tradeRegister.js) and the
+// agent values it replaced.
+function RegistryNotice({ registry }) {
+  if (!registry || registry.status === "skipped") return null;
+
+  if (registry.status !== "found") {
+    return (
+      <p className="agent-run-meta">
+        {REGISTRY_STATUS_MESSAGES[registry.status] || `Trade register: ${registry.status}`}
+        {registry.error ? ` (${registry.error})` : ""}
+      </p>
+    );
+  }
+
+  const { record } = registry;
+  const overrides = Object.entries(registry.overrides || {}).filter(
+    ([, change]) => change.agent !== null
+  );
+
+  return (
+    <div className="registry-notice">
+      <p>
+        <strong>Trade register</strong>: {record.name} ({record.businessId})
+        {record.companyForm ? `, ${record.companyForm.toLowerCase()}` : ""}
+        {record.registrationDate ? `, registered ${record.registrationDate}` : ""}.
+      </p>
+      {overrides.length > 0 && (
+        <ul>
+          {overrides.map(([field, change]) => (
+            <li key={field}>
+              {METRIC_LABELS[field] || field}: register says{" "}
+              <q>{change.registry}</q>, the agent said <q>{change.agent}</q>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function VerificationReview({ entry, resolveStatus, onResolve }) {
+  const { verification } = entry;
+  if (!verification) return null;
+
+  if (verification.status !== "completed") {
+    return (
+      <p className="agent-run-meta">
+        Verification {verification.status}
+        {verification.reason ? `: ${verification.reason}` : ""}
+      </p>
+    );
+  }
+
+  if (verification.disagreements.length === 0) {
+    return <p className="agent-run-meta">Verification agreed with the lookup.</p>;
+  }
+
+  const pending = openDisagreements(verification);
+
+  return (
+    <div className={`verification-review${pending.length > 0 ? " pending" : ""}`}>
+      <p>
+        <strong>
+          {pending.length > 0
+            ? `Review needed: the verification agent disputed ${pending.length} field(s)`
+            : "Verification disagreements reviewed"}
+        </strong>
+        . Disputed values were not written to the company record.
+      </p>
+      {verification.disagreements.map((field) => {
+        const check = verification.checks[field];
+        const resolution = verification.resolutions?.[field];
+        const status = resolveStatus[`${entry.caseId}-${field}`];
+
+        return (
+          <div key={field} className="verification-review__item">
+            <p className="verification-review__field">{METRIC_LABELS[field]}</p>
+            <p>
+              First pass: <strong>{formatMetricValue(check.firstPassValue)}</strong>{" "}
+              · Verification: <strong>{formatMetricValue(check.foundValue)}</strong>
+            </p>
+            {check.note && <p className="verification-review__note">{check.note}</p>}
+            {resolution ? (
+              <p className="verification-review__note">
+                Resolved: {VERIFICATION_RESOLUTION_LABELS[resolution.resolution]}.
+              </p>
+            ) : (
+              <div className="button-row">
+                <button
+                  type="button"
+                  className="secondary-button"
+                  onClick={() => onResolve(entry, field, "verification")}
+                  disabled={status?.status === "loading" || check.foundValue === null}
+                >
+                  Use verified value
+                </button>
+                <button
+                  type="button"
+                  className="secondary-button"
+                  onClick={() => onResolve(entry, field, "first_pass")}
+                  disabled={status?.status === "loading"}
+                >
+                  Use first pass
+                </button>
+                <button
+                  type="button"
+                  className="secondary-button"
+                  onClick={() => onResolve(entry, field, "keep_current")}
+                  disabled={status?.status === "loading"}
+                >
+                  Keep stored value
+                </button>
+              </div>
+            )}
+            {status?.message && (
+              <span className={`validation-message ${status.status || "idle"}`}>
+                {status.message}
+              </span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+const citationsForField = (citations, field) =>
+  (citations || []).filter((citation) => citation.field === field);
+
+// Citations for a nested object, e.g. "recommended_investors[0]" matches
+// "recommended_investors[0].fit_reason".
+const citationsUnderPath = (citations, path) =>
+  (citations || []).filter(
+    (citation) =>
+      citation.field === path ||
+      citation.field?.startsWith(`${path}.`) ||
+      citation.field?.startsWith(`${path}[`)
+  );
+
+// The admin token (the backend's ADMIN_API_TOKEN) is typed in at runtime and
+// kept in sessionStorage only, so it never ends up in the built bundle.
+const ADMIN_TOKEN_STORAGE_KEY = "adminApiToken";
+
+const readAdminToken = () => {
+  try {
+    return window.sessionStorage.getItem(ADMIN_TOKEN_STORAGE_KEY) || "";
+  } catch {
+    return "";
+  }
+};
+
+const writeAdminToken = (token) => {
+  try {
+    if (token) {
+      window.sessionStorage.setItem(ADMIN_TOKEN_STORAGE_KEY, token);
+    } else {
+      window.sessionStorage.removeItem(ADMIN_TOKEN_STORAGE_KEY);
+    }
+  } catch {
+    // Storage can be unavailable (private mode); admin calls then fail with 403.
+  }
+};
+
+const adminTokenHeaders = () => {
+  const token = readAdminToken();
+  return token ? { "X-Admin-Token": token } : {};
+};
+
+const adminErrorMessage = (response, data, fallback) => {
+  if (response.status !== 403) return data?.details || data?.error || fallback;
+  return readAdminToken()
+    ? data?.details || "The admin token was rejected."
+    : "Admin access required. Enter the admin token at the bottom of the page.";
+};
+
+const formatTraceJson = (value) => JSON.stringify(value, null, 2);
+
+const traceMessageText = (content) =>
+  typeof content === "string" ? content : formatTraceJson(content);
+
+const traceOutputText = (response) =>
+  (response?.output || [])
+    .flatMap((block) => block?.content || [])
+    .map((item) => item?.text ?? item?.refusal ?? "")
+    .join("") ||
+  (typeof response?.output_text === "string" ? response.output_text : "");
+
+const describeTraceTools = (tools) =>
+  Array.isArray(tools) && tools.length > 0
+    ? tools.map((tool) => tool.type).join(", ")
+    : "none";
+
+// Admin-only view of /api/cases/:id/debug, loaded the first time it is opened.
+function AgentTracePanel({ caseId }) {
+  const [trace, setTrace] = useState(null);
+  const [traceError, setTraceError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const loadTrace = async () => {
+    setLoading(true);
+    setTraceError("");
+    try {
+      const response = await fetch(`http://localhost:4000/api/cases/${caseId}/debug`, {
+        headers: adminTokenHeaders()
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(
+          adminErrorMessage(response, data, "Failed to load the agent trace.")
+        );
+      }
+      setTrace(data);
+    } catch (error) {
+      setTraceError(error.message || "Failed to load the agent trace.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = (event) => {
+    if (event.currentTarget.open && !trace && !loading) loadTrace();
+  };
+
+  const requestCalls = trace?.request?.calls || [];
+  const responseCalls = trace?.response?.calls || [];
+  const parseDiagnostics = trace?.response?.parseDiagnostics || [];
+
+  return (
+    <details className="agent-trace" onToggle={handleToggle}>
+      <summary>Agent trace</summary>
+      {loading && <p className="agent-trace__note">Loading trace…</p>}
+      {traceError && <p className="error-text">{traceError}</p>}
+      {trace && (
+        <div className="agent-trace__body">
+          <p className="agent-trace__label">User input</p>
+          <pre className="agent-trace__pre">{formatTraceJson(trace.input)}</pre>
+          {!trace.request && (
+            <p className="agent-trace__note">
+              This case was stored before agent traces were recorded.
+            </p>
+          )}
+          {trace.request && requestCalls.length === 0 && (
+            <p className="agent-trace__note">
+              No model calls: the result was served from the enrichment cache.
+            </p>
+          )}
+          {requestCalls.map(({ call, agent, request }) => {
+            const result = responseCalls.find((entry) => entry.call === call);
+            return (
+              <div key={call} className="agent-trace__call">
+                <p className="agent-trace__call-title">
+                  Call {call} · {agent} · {request?.model || "unknown model"}
+                  {request?.reasoning?.effort && <> · {request.reasoning.effort} effort</>}
+                  {result?.latencyMs != null && <> · {result.latencyMs} ms</>}
+                </p>
+                <p className="agent-trace__note">
+                  Tools: {describeTraceTools(request?.tools)} · Output format:{" "}
+                  {request?.text?.format?.name || "free text"}
+                </p>
+                {(request?.input || []).map((message, index) => (
+                  <div key={index} className="agent-trace__message">
+                    <span className="agent-trace__label">{message.role}</span>
+                    <pre className="agent-trace__pre">
+                      {traceMessageText(message.content)}
+                    </pre>
+                  </div>
+                ))}
+                <div className="agent-trace__message">
+                  <span className="agent-trace__label">
+                    response
+                    {result?.response?.status && <> ({result.response.status})</>}
+                  </span>
+                  {result?.error ? (
+                    <p className="error-text">
+                      {result.error.code && <>{result.error.code}: </>}
+                      {result.error.message}
+                    </p>
+                  ) : (
+                    <pre className="agent-trace__pre">
+                      {traceOutputText(result?.response) || "(no text output)"}
+                    </pre>
+                  )}
+                </div>
+                {result?.response && (
+                  <details className="agent-trace__raw">
+                    <summary>Raw response</summary>
+                    <pre className="agent-trace__pre">
+                      {formatTraceJson(result.response)}
+                    </pre>
+                  </details>
+                )}
+              </div>
+            );
+          })}
+          {parseDiagnostics.length > 0 && (
+            <>
+              <p className="agent-trace__label">Parse diagnostics</p>
+              <pre className="agent-trace__pre">{formatTraceJson(parseDiagnostics)}</pre>
+            </>
+          )}
+        </div>
+      )}
+    </details>
+  );
+}
+
+const formatEurRange = (min, max) => {
+  const format = (value) => `€${Number(value).toLocaleString("en-US")}`;
+  if (min != null && max != null) return `${format(min)}–${format(max)}`;
+  if (max != null) return `up to ${format(max)}`;
+  if (min != null) return `from ${format(min)}`;
+  return "—";
+};
+
+const EMPTY_PROGRAM_FORM = {
+  id: null,
+  name: "",
+  provider: "",
+  instrumentType: "grant",
+  minAmountEur: "",
+  maxAmountEur: "",
+  eligibleStages: [],
+  sizeClasses: [],
+  sectors: "",
+  regions: "",
+  minCompanyAgeYears: "",
+  maxCompanyAgeYears: "",
+  coFinancingPercent: "",
+  callDeadlines: "",
+  url: "",
+  description: "",
+  isActive: true
+};
+
+const programToForm = (program) => ({
+  id: program.id,
+  name: program.name,
+  provider: program.provider,
+  instrumentType: program.instrumentType,
+  minAmountEur: program.minAmountEur ?? "",
+  maxAmountEur: program.maxAmountEur ?? "",
+  eligibleStages: program.eligibleStages,
+  sizeClasses: program.sizeClasses,
+  sectors: program.sectors.join(", "),
+  regions: program.regions.join(", "),
+  minCompanyAgeYears: program.minCompanyAgeYears ?? "",
+  maxCompanyAgeYears: program.maxCompanyAgeYears ?? "",
+  coFinancingPercent:
+    program.coFinancingRate == null ? "" : Math.round(program.coFinancingRate * 100),
+  callDeadlines: program.callDeadlines.join(", "),
+  url: program.url ?? "",
+  description: program.description ?? "",
+  isActive: program.isActive
+});
+
+const splitListInput = (value) =>
+  String(value)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+const formToProgram = (form) => ({
+  name: form.name,
+  provider: form.provider,
+  instrumentType: form.instrumentType,
+  minAmountEur: form.minAmountEur === "" ? null : Number(form.minAmountEur),
+  maxAmountEur: form.maxAmountEur === "" ? null : Number(form.maxAmountEur),
+  eligibleStages: form.eligibleStages,
+  sizeClasses: form.sizeClasses,
+  sectors: splitListInput(form.sectors),
+  regions: splitListInput(form.regions),
+  minCompanyAgeYears:
+    form.minCompanyAgeYears === "" ? null : Number(form.minCompanyAgeYears),
+  maxCompanyAgeYears:
+    form.maxCompanyAgeYears === "" ? null : Number(form.maxCompanyAgeYears),
+  coFinancingRate:
+    form.coFinancingPercent === "" ? null : Number(form.coFinancingPercent) / 100,
+  callDeadlines: splitListInput(form.callDeadlines),
+  url: form.url,
+  description: form.description,
+  isActive: form.isActive
+});
+
+async function adminRequest(path, options = {}) {
+  const response = await fetch(`http://localhost:4000${path}`, {
+    ...options,
+    headers: {
+      ...(options.body ? { "Content-Type": "application/json" } : {}),
+      ...adminTokenHeaders()
+    }
+  });
+  if (response.status === 204) return null;
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(adminErrorMessage(response, data, "Request failed."));
+  }
+  return data;
+}
+
+// Footer field for the admin token; it is forgotten when the tab closes.
+function AdminTokenField() {
+  const [hasToken, setHasToken] = useState(() => Boolean(readAdminToken()));
+  const [token, setToken] = useState("");
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const trimmed = token.trim();
+    if (!trimmed) return;
+    writeAdminToken(trimmed);
+    setToken("");
+    setHasToken(true);
+  };
+
+  const handleForget = () => {
+    writeAdminToken("");
+    setHasToken(false);
+  };
+
+  if (hasToken) {
+    return (
+      <div className="admin-token">
+        <span>Admin token set for this session.</span>
+        <button type="button" className="secondary-button" onClick={handleForget}>
+          Forget
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="admin-token" onSubmit={handleSubmit}>
+      <label>
+        Admin token
+        <input
+          type="password"
+          autoComplete="off"
+          value={token}
+          onChange={(event) => setToken(event.target.value)}
+        />
+      </label>
+      <button type="submit" className="secondary-button" disabled={!token.trim()}>
+        Use
+      </button>
+    </form>
+  );
+}
+
+// Admin view of the funding programme catalogue, loaded the first time it is
+// opened. New lookups are linked to the active programmes that fit.
+function FundingProgramsAdminPanel() {
+  const [programs, setPrograms] = useState(null);
+  const [form, setForm] = useState(EMPTY_PROGRAM_FORM);
+  const [adminError, setAdminError] = useState("");
+  const [adminNotice, setAdminNotice] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const runAdminAction = async (action) => {
+    setBusy(true);
+    setAdminError("");
+    setAdminNotice("");
+    try {
+      await action();
+    } catch (error) {
+      setAdminError(error.message || "Request failed.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const loadPrograms = () =>
+    runAdminAction(async () => {
+      const data = await adminRequest("/api/admin/funding-programs");
+      setPrograms(data.programs);
+    });
+
+  const handleToggle = (event) => {
+    if (event.currentTarget.open && !programs && !busy) loadPrograms();
+  };
+
+  const updateForm = (field, value) =>
+    setForm((current) => ({ ...current, [field]: value }));
+
+  const toggleFormList = (field, value) =>
+    setForm((current) => ({
+      ...current,
+      [field]: current[field].includes(value)
+        ? current[field].filter((entry) => entry !== value)
+        : [...current[field], value]
+    }));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    runAdminAction(async () => {
+      const { program } = await adminRequest(
+        form.id ? `/api/admin/funding-programs/${form.id}` : "/api/admin/funding-programs",
+        {
+          method: form.id ? "PUT" : "POST",
+          body: JSON.stringify(formToProgram(form))
+        }
+      );
+      const data = await adminRequest("/api/admin/funding-programs");
+      setPrograms(data.programs);
+      setForm(EMPTY_PROGRAM_FORM);
+      setAdminNotice(`Saved ${program.name}.`);
+    });
+  };
+
+  const handleActiveChange = (program) =>
+    runAdminAction(async () => {
+      const { program: updated } = await adminRequest(
+        `/api/admin/funding-programs/${program.id}`,
+        { method: "PUT", body: JSON.stringify({ isActive: !program.isActive }) }
+      );
+      setPrograms((current) =>
+        current.map((entry) => (entry.id === updated.id ? updated : entry))
+      );
+    });
+
+  const handleDelete = (program) => {
+    if (!window.confirm(`Delete ${program.name} from the catalogue?`)) return;
+    runAdminAction(async () => {
+      await adminRequest(`/api/admin/funding-programs/${program.id}`, {
+        method: "DELETE"
+      });
+      setPrograms((current) => current.filter((entry) => entry.id !== program.id));
+      if (form.id === program.id) setForm(EMPTY_PROGRAM_FORM);
+    });
+  };
+
+  const handleImportSeed = () =>
+    runAdminAction(async () => {
+      const data = await adminRequest("/api/admin/funding-programs/import", {
+        method: "POST",
+        body: JSON.stringify({})
+      });
+      setPrograms(data.programs);
+      setAdminNotice(
+        `Imported the bundled catalogue: ${data.created} created, ${data.updated} updated.`
+      );
+    });
+
+  return (
+    <details className="funding-admin" onToggle={handleToggle}>
+      <summary>
+        <h2>Funding programme catalogue</h2>
+      </summary>
+      <div className="funding-admin__body">
+        <p className="panel-description">
+          Programmes new lookups are matched against by stage, EU size class,
+          sector (TOL 2008), region, funding need and company age. Programmes
+          a company is not eligible for are left out. Admin access required.
+        </p>
+        {busy && !programs && <p className="agent-trace__note">Loading catalogue…</p>}
+        {adminError && <p className="error-text">{adminError}</p>}
+        {adminNotice && <p className="funding-admin__notice">{adminNotice}</p>}
+
+        {programs && (
+          <>
+            <table className="batch-table">
+              <thead>
+                <tr>
+                  <th>Programme</th>
+                  <th>Type</th>
+                  <th>Amount</th>
+                  <th>Active</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {programs.map((program) => (
+                  <tr key={program.id}>
+                    <td>
+                      {program.name}
+                      <span className="batch-table__muted"> {program.provider}</span>
+                    </td>
+                    <td>{INSTRUMENT_TYPE_LABELS[program.instrumentType]}</td>
+                    <td>{formatEurRange(program.minAmountEur, program.maxAmountEur)}</td>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={program.isActive}
+                        disabled={busy}
+                        onChange={() => handleActiveChange(program)}
+                      />
+                    </td>
+                    <td className="funding-admin__actions">
+                      <button
+                        type="button"
+                        className="secondary-button"
+                        onClick={() => setForm(programToForm(program))}
+                        disabled={busy}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        className="secondary-button"
+                        onClick={() => handleDelete(program)}
+                        disabled={busy}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <form className="form funding-admin__form" onSubmit={handleSubmit}>
+              <h3>{form.id ? `Edit ${form.name}` : "Add a programme"}</h3>
+              <label className="field">
+                <span>Name</span>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => updateForm("name", e.target.value)}
+                  required
+                />
+              </label>
+              <label className="field">
+                <span>Provider</span>
+                <input
+                  type="text"
+                  value={form.provider}
+                  onChange={(e) => updateForm("provider", e.target.value)}
+                  required
+                />
+              </label>
+              <label className="field">
+                <span>Instrument type</span>
+                <select
+                  value={form.instrumentType}
+                  onChange={(e) => updateForm("instrumentType", e.target.value)}
+                >
+                  {Object.entries(INSTRUMENT_TYPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <div className="funding-admin__row">
+                <label className="field">
+                  <span>Min amount (EUR)</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.minAmountEur}
+                    onChange={(e) => updateForm("minAmountEur", e.target.value)}
+                  />
+                </label>
+                <label className="field">
+                  <span>Max amount (EUR)</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.maxAmountEur}
+                    onChange={(e) => updateForm("maxAmountEur", e.target.value)}
+                  />
+                </label>
+                <label className="field">
+                  <span>Co-financing (% of costs)</span>
+                  <input
+                    type="number"
+                    min="1"
+                    max="100"
+                    value={form.coFinancingPercent}
+                    onChange={(e) => updateForm("coFinancingPercent", e.target.value)}
+                  />
+                </label>
+              </div>
+              <fieldset className="funding-admin__choices">
+                <legend>Eligible stages (none checked: any)</legend>
+                {Object.entries(FUNDING_STAGE_LABELS).map(([value, label]) => (
+                  <label key={value} className="checkbox-field">
+                    <input
+                      type="checkbox"
+                      checked={form.eligibleStages.includes(value)}
+                      onChange={() => toggleFormList("eligibleStages", value)}
+                    />
+                    <span>{label}</span>
+                  </label>
+                ))}
+              </fieldset>
+              <fieldset className="funding-admin__choices">
+                <legend>Size classes (none checked: any)</legend>
+                {Object.entries(SIZE_CLASS_LABELS).map(([value, label]) => (
+                  <label key={value} className="checkbox-field">
+                    <input
+                      type="checkbox"
+                      checked={form.sizeClasses.includes(value)}
+                      onChange={() => toggleFormList("sizeClasses", value)}
+                    />
+                    <span>{label}</span>
+                  </label>
+                ))}
+              </fieldset>
+              <label className="field">
+                <span>Sectors (TOL 2008 sections or code prefixes, comma-separated)</span>
+                <input
+                  type="text"
+                  placeholder="e.g. J, 72, 10.2"
+                  value={form.sectors}
+                  onChange={(e) => updateForm("sectors", e.target.value)}
+                />
+              </label>
+              <label className="field">
+                <span>Regions (codes or names, comma-separated; empty: all of Finland)</span>
+                <input
+                  type="text"
+                  placeholder="e.g. Varsinais-Suomi, 04"
+                  value={form.regions}
+                  onChange={(e) => updateForm("regions", e.target.value)}
+                />
+              </label>
+              <div className="funding-admin__row">
+                <label className="field">
+                  <span>Min company age (years)</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={form.minCompanyAgeYears}
+                    onChange={(e) => updateForm("minCompanyAgeYears", e.target.value)}
+                  />
+                </label>
+                <label className="field">
+                  <span>Company younger than (years)</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={form.maxCompanyAgeYears}
+                    onChange={(e) => updateForm("maxCompanyAgeYears", e.target.value)}
+                  />
+                </label>
+              </div>
+              <label className="field">
+                <span>Call deadlines (YYYY-MM-DD, comma-separated; empty: continuous)</span>
+                <input
+                  type="text"
+                  value={form.callDeadlines}
+                  onChange={(e) => updateForm("callDeadlines", e.target.value)}
+                />
+              </label>
+              <label className="field">
+                <span>URL</span>
+                <input
+                  type="url"
+                  value={form.url}
+                  onChange={(e) => updateForm("url", e.target.value)}
+                />
+              </label>
+              <label className="field">
+                <span>Description</span>
+                <textarea
+                  value={form.description}
+                  onChange={(e) => updateForm("description", e.target.value)}
+                />
+              </label>
+              <label className="checkbox-field">
+                <input
+                  type="checkbox"
+                  checked={form.isActive}
+                  onChange={(e) => updateForm("isActive", e.target.checked)}
+                />
+                <span>Active (linked to new lookups)</span>
+              </label>
+              <div className="button-row">
+                <button type="submit" className="primary-button" disabled={busy}>
+                  {form.id ? "Save programme" : "Add programme"}
+                </button>
+                {form.id && (
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    onClick={() => setForm(EMPTY_PROGRAM_FORM)}
+                    disabled={busy}
+                  >
+                    Cancel
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className="secondary-button"
+                  onClick={handleImportSeed}
+                  disabled={busy}
+                >
+                  Import bundled catalogue
+                </button>
+              </div>
+            </form>
+          </>
+        )}
+      </div>
+    </details>
+  );
+}
+
+// Catalogue programmes linked to a lookup case, best match first.
+function FundingProgramList({ programs }) {
+  if (!programs || programs.length === 0) return null;
+
+  return (
+    <div className="funding-programs">
+      <p className="funding-programs__title">Matching funding programmes</p>
+      <ol>
+        {programs.map((program) => (
+          <li key={program.programId ?? program.name}>
+            <p>
+              {program.url ? (
+                <a href={program.url} target="_blank" rel="noreferrer">
+                  {program.name}
+                </a>
+              ) : (
+                program.name
+              )}{" "}
+              {program.eligibilityStatus && (
+                <span className={`eligibility-badge ${program.eligibilityStatus}`}>
+                  {ELIGIBILITY_STATUS_LABELS[program.eligibilityStatus]}
+                </span>
+              )}{" "}
+              <span className="batch-table__muted">
+                {program.provider} ·{" "}
+                {INSTRUMENT_TYPE_LABELS[program.instrumentType] || program.instrumentType} ·{" "}
+                {formatEurRange(program.minAmountEur, program.maxAmountEur)}
+              </span>
+            </p>
+            <p className="funding-programs__explanation">{program.explanation}</p>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+// Rule-based check of the company against the active catalogue programmes,
+// listing the rules each programme passes or fails. Loaded on first open.
+function ProgrammeEligibilityPanel({ companyId }) {
+  const [eligibility, setEligibility] = useState(null);
+  const [eligibilityError, setEligibilityError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const loadEligibility = async () => {
+    setLoading(true);
+    setEligibilityError("");
+    try {
+      const response = await fetch(
+        `http://localhost:4000/api/companies/${companyId}/eligibility`
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data?.details || data?.error || "Failed to check eligibility.");
+      }
+      setEligibility(data);
+    } catch (error) {
+      setEligibilityError(error.message || "Failed to check eligibility.");
+    } finally {
+      setLoading(false);
+    }
+  };
 
-const formatChangeTimestamp = (timestamp) => {
-  if (!timestamp) return "—";
-  const date = parseUtcTimestamp(timestamp);
-  if (!date) return timestamp;
+  const handleToggle = (event) => {
+    if (event.currentTarget.open && !eligibility && !loading) loadEligibility();
+  };
 
-  try {
-    return new Intl.DateTimeFormat("fi-FI", {
-      dateStyle: "short",
-      timeStyle: "short"
-    }).format(date);
-  } catch (error) {
-    return timestamp;
-  }
-};
+  return (
+    <details className="eligibility-panel" onToggle={handleToggle}>
+      <summary>Programme eligibility</summary>
+      {loading && <p className="agent-trace__note">Checking programmes…</p>}
+      {eligibilityError && <p className="error-text">{eligibilityError}</p>}
+      {eligibility && (
+        <div className="eligibility-panel__body">
+          <div className="eligibility-panel__summary">
+            <span>
+              {Object.entries(ELIGIBILITY_STATUS_LABELS)
+                .map(([status, label]) => `${eligibility.counts[status]} ${label.toLowerCase()}`)
+                .join(" · ")}{" "}
+              (checked {eligibility.evaluatedAt})
+            </span>
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={loadEligibility}
+              disabled={loading}
+            >
+              Recheck
+            </button>
+          </div>
+          {eligibility.programs.length === 0 && (
+            <p className="agent-trace__note">The catalogue has no active programmes.</p>
+          )}
+          {eligibility.programs.map((program) => {
+            const restrictedRules = program.rules.filter((rule) => rule.restricted);
+            return (
+              <div key={program.programId} className="eligibility-program">
+                <p className="eligibility-program__title">
+                  <span className={`eligibility-badge ${program.status}`}>
+                    {ELIGIBILITY_STATUS_LABELS[program.status]}
+                  </span>{" "}
+                  {program.url ? (
+                    <a href={program.url} target="_blank" rel="noreferrer">
+                      {program.name}
+                    </a>
+                  ) : (
+                    program.name
+                  )}{" "}
+                  <span className="batch-table__muted">
+                    {program.provider} ·{" "}
+                    {INSTRUMENT_TYPE_LABELS[program.instrumentType] ||
+                      program.instrumentType}
+                  </span>
+                </p>
+                {restrictedRules.length === 0 ? (
+                  <p className="agent-trace__note">Open to all companies.</p>
+                ) : (
+                  <ul className="eligibility-rules">
+                    {restrictedRules.map((rule) => (
+                      <li key={rule.rule} className={rule.outcome}>
+                        <span aria-hidden>{RULE_OUTCOME_MARKS[rule.outcome]}</span>{" "}
+                        {rule.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </details>
+  );
+}
 
-const formatRelativeTime = (timestamp) => {
-  if (!timestamp) return "unknown";
-  const createdAt = parseUtcTimestamp(timestamp);
-  if (!createdAt) return "unknown";
-  const diffMs = Date.now() - createdAt.getTime();
+function SourceLinks({ citations, label = "Sources" }) {
+  if (!citations || citations.length === 0) return null;
 
-  const minutes = Math.floor(diffMs / 60000);
-  if (minutes < 60) return "<1 hour ago";
-  const hours = Math.floor(minutes / 60);
-  if (hours < 24) return `${hours} hour${hours === 1 ? "" : "s"} ago`;
-  const days = Math.floor(hours / 24);
-  if (days === 1) return "1 day ago";
-  if (days < 30) return `${days} days ago`;
-  const months = Math.floor(days / 30);
-  return months === 1 ? "1 month ago" : `${months} months ago`;
-};
+  return (
+    <span className="source-links">
+      <span className="source-links__label">{label}:</span>
+      {citations.map((citation, index) => (
+        <a
+          key={`${citation.url}-${index}`}
+          href={citation.url}
+          target="_blank"
+          rel="noreferrer"
+          title={citation.title || citation.url}
+        >
+          [{index + 1}]
+        </a>
+      ))}
+    </span>
+  );
+}
 
-function InvestmentReportView({ report }) {
+function InvestmentReportView({ report, citations = [], investorFit = [] }) {
   if (!report) {
     return (
       <div className="advisor-output">
@@ -191,6 +1697,15 @@ function InvestmentReportView({ report }) {
     uncertainty_flags
   } = report;
 
+  // Best fit first; `index` stays the report position citations refer to.
+  const fitByPosition = new Map(investorFit.map((fit) => [fit.position, fit]));
+  const rankedInvestors = recommended_investors
+    .map((investor, index) => ({ investor, index, fit: fitByPosition.get(index) }))
+    .sort(
+      (a, b) =>
+        (a.fit?.rank ?? Infinity) - (b.fit?.rank ?? Infinity) || a.index - b.index
+    );
+
   return (
     <div className="advisor-output">
       <div className="advisor-summary">
@@ -232,6 +1747,12 @@ function InvestmentReportView({ report }) {
                 <p className="instrument-rationale">
                   {instrument.rationale || "No rationale provided."}
                 </p>
+                <SourceLinks
+                  citations={citationsUnderPath(
+                    citations,
+                    `funding_instrument_mix[${index}]`
+                  )}
+                />
               </article>
             ))}
           </div>
@@ -241,8 +1762,11 @@ function InvestmentReportView({ report }) {
       {recommended_investors.length > 0 && (
         <div className="advisor-section">
           <h3>Recommended investors</h3>
+          {investorFit.length > 0 && (
+            <p className="panel-description">Ranked by fit score.</p>
+          )}
           <div className="investor-list">
-            {recommended_investors.map((investor) => (
+            {rankedInvestors.map(({ investor, index, fit }) => (
               <article
                 key={`${investor.name}-${investor.website_url}`}
                 className="investor-card"
@@ -252,16 +1776,23 @@ function InvestmentReportView({ report }) {
                     <p className="investor-name">{investor.name}</p>
                     <p className="investor-type">{investor.type}</p>
                   </div>
-                  {investor.website_url && (
-                    <a
-                      href={investor.website_url}
-                      target="_blank"
-                      rel="noreferrer"
-                      className="metric-link"
-                    >
-                      Website
-                    </a>
-                  )}
+                  <div className="investor-header__aside">
+                    {fit && (
+                      <span className="fit-score" title="Deterministic fit score (0–100)">
+                        Fit {Math.round(fit.score * 100)}
+                      </span>
+                    )}
+                    {investor.website_url && (
+                      <a
+                        href={investor.website_url}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="metric-link"
+                      >
+                        Website
+                      </a>
+                    )}
+                  </div>
                 </div>
                 <div className="investor-meta">
                   <span>{investor.geo_focus || "Geo n/a"}</span>
@@ -281,6 +1812,27 @@ function InvestmentReportView({ report }) {
                 <p className="investor-fit">
                   {investor.fit_reason || "No fit reason provided."}
                 </p>
+                {fit && (
+                  <ul className="fit-breakdown">
+                    {fit.components.map((entry) => (
+                      <li key={entry.component}>
+                        <span className="fit-breakdown__label">
+                          {FIT_COMPONENT_LABELS[entry.component] || entry.component}
+                        </span>
+                        <span className="fit-breakdown__score">
+                          {entry.score === null ? "?" : Math.round(entry.score * 100)}
+                        </span>
+                        <span>{entry.message}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <SourceLinks
+                  citations={citationsUnderPath(
+                    citations,
+                    `recommended_investors[${index}]`
+                  )}
+                />
               </article>
             ))}
           </div>
@@ -290,6 +1842,16 @@ function InvestmentReportView({ report }) {
       <div className="advisor-section">
         <h3>Search summary</h3>
         <p>{search_summary || "No summary provided."}</p>
+        <SourceLinks
+          citations={(citations || []).filter(
+            (citation) =>
+              !citation.field ||
+              !/^(recommended_investors|funding_instrument_mix)\[/.test(
+                citation.field
+              )
+          )}
+          label="Other sources"
+        />
       </div>
 
       {uncertainty_flags && (
@@ -302,17 +1864,315 @@ function InvestmentReportView({ report }) {
   );
 }
 
+const VIEWS = {
+  advisor: "Advisor",
+  investors: "Investor directory"
+};
+
+const focusText = (values) => (values.length > 0 ? values.join(", ") : "—");
+
+// Canonical investors deduplicated from every investor report. Admins can
+// merge checked investors into the open one or split mentions off it.
+function InvestorDirectory() {
+  const [investors, setInvestors] = useState([]);
+  const [investorTypes, setInvestorTypes] = useState([]);
+  const [query, setQuery] = useState("");
+  const [typeFilter, setTypeFilter] = useState("");
+  const [listError, setListError] = useState("");
+  const [selectedInvestor, setSelectedInvestor] = useState(null);
+  const [detailError, setDetailError] = useState("");
+  const [checkedInvestorIds, setCheckedInvestorIds] = useState([]);
+  const [checkedMentionIds, setCheckedMentionIds] = useState([]);
+  const [splitName, setSplitName] = useState("");
+  const [adminError, setAdminError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const loadInvestors = useCallback(async ({ q = "", type = "" } = {}) => {
+    setListError("");
+    try {
+      const params = new URLSearchParams();
+      if (q.trim()) params.set("q", q.trim());
+      if (type) params.set("type", type);
+      const response = await fetch(`http://localhost:4000/api/investors?${params}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data?.details || data?.error || "Failed to load investors.");
+      }
+      setInvestors(data.investors);
+      if (!q.trim() && !type) {
+        setInvestorTypes(
+          [...new Set(data.investors.map((investor) => investor.type).filter(Boolean))].sort()
+        );
+      }
+    } catch (error) {
+      setListError(error.message || "Failed to load investors.");
+    }
+  }, []);
+
+  const openInvestor = async (investorId) => {
+    setDetailError("");
+    setAdminError("");
+    setCheckedMentionIds([]);
+    setSplitName("");
+    try {
+      const response = await fetch(`http://localhost:4000/api/investors/${investorId}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data?.details || data?.error || "Failed to load the investor.");
+      }
+      setSelectedInvestor(data.investor);
+    } catch (error) {
+      setSelectedInvestor(null);
+      setDetailError(error.message || "Failed to load the investor.");
+    }
+  };
+
+  useEffect(() => {
+    loadInvestors();
+  }, [loadInvestors]);
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    loadInvestors({ q: query, type: typeFilter });
+  };
+
+  const toggleChecked = (setter, id) =>
+    setter((prev) => (prev.includes(id) ? prev.filter((entry) => entry !== id) : [...prev, id]));
+
+  const runAdminAction = async (path, body) => {
+    setBusy(true);
+    setAdminError("");
+    try {
+      const data = await adminRequest(path, {
+        method: "POST",
+        body: JSON.stringify(body)
+      });
+      setSelectedInvestor(data.investor);
+      setCheckedInvestorIds([]);
+      setCheckedMentionIds([]);
+      setSplitName("");
+      await loadInvestors({ q: query, type: typeFilter });
+    } catch (error) {
+      setAdminError(error.message || "Request failed.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const mergeTargets = checkedInvestorIds.filter((id) => id !== selectedInvestor?.id);
+
+  return (
+    <main className="app-main">
+      <section className="panel investor-directory">
+        <div className="panel-block">
+          <h2>Investor directory</h2>
+          <p className="panel-description">
+            Every investor the funding advisor has recommended, with the names,
+            ticket sizes and focus areas its reports used merged into one record.
+          </p>
+          <form className="investor-directory__search" onSubmit={handleSearch}>
+            <input
+              type="text"
+              placeholder="Name, alias or domain"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+            />
+            <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+              <option value="">All types</option>
+              {investorTypes.map((type) => (
+                <option key={type} value={type}>
+                  {type}
+                </option>
+              ))}
+            </select>
+            <button type="submit" className="secondary-button">
+              Search
+            </button>
+          </form>
+          {listError && <p className="error-text">{listError}</p>}
+          {!listError && investors.length === 0 && (
+            <p className="agent-trace__note">No investors found.</p>
+          )}
+          {investors.length > 0 && (
+            <table className="batch-table">
+              <thead>
+                <tr>
+                  <th aria-label="Select for merge" />
+                  <th>Investor</th>
+                  <th>Ticket</th>
+                  <th>Reports</th>
+                </tr>
+              </thead>
+              <tbody>
+                {investors.map((investor) => (
+                  <tr
+                    key={investor.id}
+                    className={
+                      investor.id === selectedInvestor?.id
+                        ? "investor-directory__row selected"
+                        : "investor-directory__row"
+                    }
+                    onClick={() => openInvestor(investor.id)}
+                  >
+                    <td onClick={(e) => e.stopPropagation()}>
+                      <input
+                        type="checkbox"
+                        checked={checkedInvestorIds.includes(investor.id)}
+                        onChange={() => toggleChecked(setCheckedInvestorIds, investor.id)}
+                      />
+                    </td>
+                    <td>
+                      {investor.name}
+                      <span className="batch-table__muted">
+                        {" "}
+                        {[investor.type, investor.websiteDomain].filter(Boolean).join(" · ")}
+                      </span>
+                    </td>
+                    <td>{formatEurRange(investor.ticketMinEur, investor.ticketMaxEur)}</td>
+                    <td>{investor.mentionCount}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </section>
+
+      <section className="panel investor-directory__detail">
+        {detailError && <p className="error-text">{detailError}</p>}
+        {!selectedInvestor && !detailError && (
+          <p className="agent-trace__note">Select an investor to see its record.</p>
+        )}
+        {selectedInvestor && (
+          <div className="panel-block">
+            <h2>{selectedInvestor.name}</h2>
+            {selectedInvestor.aliases.length > 0 && (
+              <p className="batch-table__muted">
+                Also recommended as {selectedInvestor.aliases.join("; ")}
+              </p>
+            )}
+            <dl className="investor-directory__facts">
+              <dt>Type</dt>
+              <dd>{selectedInvestor.type || "—"}</dd>
+              <dt>Website</dt>
+              <dd>
+                {selectedInvestor.websiteDomain ? (
+                  <a
+                    href={`https://${selectedInvestor.websiteDomain}`}
+                    target="_blank"
+                    rel="noreferrer"
+                  >
+                    {selectedInvestor.websiteDomain}
+                  </a>
+                ) : (
+                  "—"
+                )}
+              </dd>
+              <dt>Ticket</dt>
+              <dd>
+                {formatEurRange(selectedInvestor.ticketMinEur, selectedInvestor.ticketMaxEur)}
+              </dd>
+              <dt>Geography</dt>
+              <dd>{focusText(selectedInvestor.geoFocus)}</dd>
+              <dt>Sectors</dt>
+              <dd>{focusText(selectedInvestor.sectorFocus)}</dd>
+              <dt>Stages</dt>
+              <dd>{focusText(selectedInvestor.stageFocus)}</dd>
+              <dt>Recommended</dt>
+              <dd>
+                {selectedInvestor.mentionCount} time(s) for{" "}
+                {selectedInvestor.companyCount} company(ies)
+              </dd>
+            </dl>
+
+            {mergeTargets.length > 0 && (
+              <button
+                type="button"
+                className="secondary-button"
+                disabled={busy}
+                onClick={() =>
+                  runAdminAction(`/api/admin/investors/${selectedInvestor.id}/merge`, {
+                    investorIds: mergeTargets
+                  })
+                }
+              >
+                Merge {mergeTargets.length} checked investor(s) into this one
+              </button>
+            )}
+
+            <h3 className="investor-directory__subtitle">Recommendations</h3>
+            <ul className="investor-directory__mentions">
+              {selectedInvestor.mentions.map((mention) => (
+                <li key={mention.id}>
+                  <label className="checkbox-field">
+                    <input
+                      type="checkbox"
+                      checked={checkedMentionIds.includes(mention.id)}
+                      onChange={() => toggleChecked(setCheckedMentionIds, mention.id)}
+                    />
+                    <span>
+                      <strong>{mention.companyName}</strong>{" "}
+                      <span className="batch-table__muted">
+                        {formatChangeTimestamp(mention.recommendedAt)} · as &quot;
+                        {mention.name}&quot; ·{" "}
+                        {formatEurRange(mention.ticketMinEur, mention.ticketMaxEur)}
+                      </span>
+                    </span>
+                  </label>
+                  {mention.fitReason && (
+                    <p className="investor-directory__reason">{mention.fitReason}</p>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            {checkedMentionIds.length > 0 && (
+              <div className="investor-directory__split">
+                <input
+                  type="text"
+                  placeholder="New investor name (optional)"
+                  value={splitName}
+                  onChange={(e) => setSplitName(e.target.value)}
+                />
+                <button
+                  type="button"
+                  className="secondary-button"
+                  disabled={busy}
+                  onClick={() =>
+                    runAdminAction(`/api/admin/investors/${selectedInvestor.id}/split`, {
+                      mentionIds: checkedMentionIds,
+                      ...(splitName.trim() ? { name: splitName.trim() } : {})
+                    })
+                  }
+                >
+                  Split {checkedMentionIds.length} recommendation(s) into a new investor
+                </button>
+              </div>
+            )}
+            {adminError && <p className="error-text">{adminError}</p>}
+          </div>
+        )}
+      </section>
+    </main>
+  );
+}
+
 function App() {
+  const [view, setView] = useState("advisor");
   const [companyNameSimple, setCompanyNameSimple] = useState("");
+  const [businessIdSimple, setBusinessIdSimple] = useState("");
   const [simpleOutput, setSimpleOutput] = useState("");
   const [basicLoading, setBasicLoading] = useState(false);
   const [lookupError, setLookupError] = useState("");
+  const [lookupCache, setLookupCache] = useState(null);
+  const [lookupProgress, setLookupProgress] = useState([]);
   const [history, setHistory] = useState([]);
   const [expandedCaseId, setExpandedCaseId] = useState(null);
   const [historyLoading, setHistoryLoading] = useState(false);
   const [selectedCompanyId, setSelectedCompanyId] = useState("");
   const [advisorError, setAdvisorError] = useState("");
   const [advisorLoading, setAdvisorLoading] = useState(false);
+  const [advisorProgress, setAdvisorProgress] = useState([]);
   const [editBuffers, setEditBuffers] = useState({});
   const [validationStatus, setValidationStatus] = useState({});
   const [editingEntries, setEditingEntries] = useState({});
@@ -321,6 +2181,9 @@ function App() {
   const [reportValidationStatus, setReportValidationStatus] = useState({});
   const [editingReports, setEditingReports] = useState({});
   const [reportChangeModal, setReportChangeModal] = useState(null);
+  const [retryStatus, setRetryStatus] = useState({});
+  const [verifyLookup, setVerifyLookup] = useState(false);
+  const [verificationResolveStatus, setVerificationResolveStatus] = useState({});
 
   const fetchHistory = useCallback(async () => {
     setHistoryLoading(true);
@@ -345,37 +2208,46 @@ function App() {
     fetchHistory();
   }, [fetchHistory]);
 
-  const handleSimpleSubmit = async (event) => {
-    event.preventDefault();
-
+  const runBasicLookup = async ({ force = false } = {}) => {
     setBasicLoading(true);
     setLookupError("");
+    setLookupCache(null);
+    setLookupProgress([]);
 
     try {
-      const response = await fetch(
+      const response = await postAgentRequest(
         "http://localhost:4000/api/company/summary-basic",
         {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json"
-          },
-          body: JSON.stringify({ companyName: companyNameSimple })
-        }
+          companyName: companyNameSimple,
+          ...(businessIdSimple.trim() ? { businessId: businessIdSimple.trim() } : {}),
+          force,
+          // Unchecked leaves the server default (ENRICHMENT_VERIFICATION_ENABLED).
+          ...(verifyLookup ? { verify: true } : {})
+        },
+        (entry) => setLookupProgress((previous) => [...previous, entry])
       );
-
-      const data = await response.json().catch(() => ({}));
+      const { data } = response;
 
       if (!response.ok) {
         const baseError =
           data?.error || "Company lookup failed. Please try again.";
         const detail = data?.details ? ` (${data.details})` : "";
-        setLookupError(`${baseError}${detail}`);
+        const savedNote = data?.caseId
+          ? " The failed lookup was saved to history and can be retried there."
+          : "";
+        setLookupError(`${baseError}${detail}${savedNote}`);
+        if (data?.caseId) fetchHistory();
         return;
       }
 
       console.log("Basic company metrics:", data.metrics);
       setSimpleOutput(data.summary || "");
-      setLookupError("");
+      setLookupCache(data.cache ?? null);
+      setLookupError(
+        data?.enrichment?.status === "partial"
+          ? "Some fields could not be validated and were left empty. Review the entry in history."
+          : ""
+      );
       fetchHistory();
     } catch (error) {
       console.error("Error calling basic summary endpoint:", error);
@@ -385,6 +2257,11 @@ function App() {
     }
   };
 
+  const handleSimpleSubmit = (event) => {
+    event.preventDefault();
+    runBasicLookup();
+  };
+
   const handleEntryToggle = useCallback((entryId, entry) => {
     setExpandedCaseId((prev) => (prev === entryId ? null : entryId));
 
@@ -576,6 +2453,93 @@ function App() {
     [reportEditBuffers, fetchHistory]
   );
 
+  const handleRetryEnrichment = useCallback(
+    async (entry) => {
+      const caseId = entry.caseId;
+
+      setRetryStatus((prev) => ({
+        ...prev,
+        [caseId]: { status: "loading" }
+      }));
+
+      try {
+        const response = await fetch(
+          `http://localhost:4000/api/company/cases/${caseId}/retry-enrichment`,
+          { method: "POST" }
+        );
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          const message = data?.details || data?.error || "Retry failed.";
+          throw new Error(message);
+        }
+
+        setRetryStatus((prev) => ({
+          ...prev,
+          [caseId]: {
+            status: "success",
+            message:
+              data?.enrichment?.status === "partial"
+                ? "Retry returned partial data."
+                : "Enrichment succeeded."
+          }
+        }));
+      } catch (error) {
+        setRetryStatus((prev) => ({
+          ...prev,
+          [caseId]: {
+            status: "error",
+            message: error.message || "Retry failed."
+          }
+        }));
+      } finally {
+        await fetchHistory();
+      }
+    },
+    [fetchHistory]
+  );
+
+  const handleResolveVerification = useCallback(
+    async (entry, field, resolution) => {
+      const statusKey = `${entry.caseId}-${field}`;
+      setVerificationResolveStatus((prev) => ({
+        ...prev,
+        [statusKey]: { status: "loading" }
+      }));
+
+      try {
+        const response = await fetch(
+          `http://localhost:4000/api/company/cases/${entry.caseId}/verification/resolve`,
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ field, resolution })
+          }
+        );
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data?.details || data?.error || "Resolving failed.");
+        }
+
+        setVerificationResolveStatus((prev) => ({
+          ...prev,
+          [statusKey]: { status: "success", message: "Saved." }
+        }));
+        await fetchHistory();
+      } catch (error) {
+        setVerificationResolveStatus((prev) => ({
+          ...prev,
+          [statusKey]: {
+            status: "error",
+            message: error.message || "Resolving failed."
+          }
+        }));
+      }
+    },
+    [fetchHistory]
+  );
+
   const handleFieldChange = useCallback((companyId, field, value) => {
     setEditBuffers((prev) => ({
       ...prev,
@@ -684,19 +2648,17 @@ function App() {
 
     setAdvisorLoading(true);
     setAdvisorError("");
+    setAdvisorProgress([]);
 
     try {
-      const response = await fetch(
+      const response = await postAgentRequest(
         "http://localhost:4000/api/company/investor-match",
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ companyId: Number(selectedCompanyId) })
-        }
+        { companyId: Number(selectedCompanyId) },
+        (entry) => setAdvisorProgress((previous) => [...previous, entry])
       );
 
       if (!response.ok) {
-        const message = await response.json().catch(() => ({}));
+        const message = response.data;
         const baseError =
           message?.error || "Investor advisor request failed. Try again.";
         const detail = message?.details ? ` (${message.details})` : "";
@@ -704,7 +2666,6 @@ function App() {
         return;
       }
 
-      await response.json();
       await fetchHistory();
     } catch (error) {
       console.error("Error calling investor advisor:", error);
@@ -723,9 +2684,25 @@ function App() {
             MVP view for Business Turku funding advisors
           </p>
         </div>
+        <nav className="view-switcher" aria-label="Views">
+          {Object.entries(VIEWS).map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              className={value === view ? "view-switcher__item active" : "view-switcher__item"}
+              aria-pressed={value === view}
+              onClick={() => setView(value)}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
       </header>
 
-      <main className="app-main">
+      {view === "investors" && <InvestorDirectory />}
+
+      {/* Hidden rather than unmounted so lookups keep running in the background. */}
+      <main className="app-main" hidden={view !== "advisor"}>
         <section className="panel compose-panel">
           <div className="panel-block">
             <h2>Company lookup</h2>
@@ -748,11 +2725,38 @@ function App() {
                 />
               </label>
 
+              <label className="field">
+                <span>Business ID (optional):</span>
+                <input
+                  type="text"
+                  placeholder="e.g. 1234567-8"
+                  value={businessIdSimple}
+                  onChange={(e) => setBusinessIdSimple(e.target.value)}
+                />
+                <BusinessIdFeedback value={businessIdSimple} />
+              </label>
+
+              <label className="checkbox-field">
+                <input
+                  type="checkbox"
+                  checked={verifyLookup}
+                  onChange={(e) => setVerifyLookup(e.target.checked)}
+                />
+                <span>
+                  Cross-check business ID, city, revenue and employees with a
+                  second agent
+                </span>
+              </label>
+
               <div className="button-row">
                 <button
                   type="submit"
                   className="primary-button"
-                  disabled={basicLoading}
+                  disabled={
+                    basicLoading ||
+                    (businessIdSimple.trim() !== "" &&
+                      !checkBusinessId(businessIdSimple).valid)
+                  }
                 >
                   {basicLoading ? "Generating…" : "Generate basic summary"}
                 </button>
@@ -760,10 +2764,27 @@ function App() {
               </div>
               {lookupError && <p className="error-text">{lookupError}</p>}
             </form>
+            <ProgressLog entries={lookupProgress} />
 
             {simpleOutput && (
               <div className="output">
                 <h3>Generated summary</h3>
+                {lookupCache?.hit && (
+                  <div className="cache-note">
+                    <span>
+                      Served from cache (looked up{" "}
+                      {formatRelativeTime(lookupCache.cachedAt)}).
+                    </span>
+                    <button
+                      type="button"
+                      className="secondary-button"
+                      onClick={() => runBasicLookup({ force: true })}
+                      disabled={basicLoading}
+                    >
+                      Refresh with a new web search
+                    </button>
+                  </div>
+                )}
                 <pre>{simpleOutput}</pre>
               </div>
             )}
@@ -771,6 +2792,10 @@ function App() {
 
           <div className="panel-divider" />
 
+          <BatchLookupPanel onRowsFinished={fetchHistory} />
+
+          <div className="panel-divider" />
+
           <div className="panel-block advisor-panel">
             <h2>Investor &amp; funding advisor</h2>
             <p className="panel-description">
@@ -812,7 +2837,12 @@ function App() {
               </div>
               {advisorError && <p className="error-text">{advisorError}</p>}
             </form>
+            <ProgressLog entries={advisorProgress} />
           </div>
+
+          <div className="panel-divider" />
+
+          <FundingProgramsAdminPanel />
         </section>
 
         <section className="panel history-panel">
@@ -866,6 +2896,9 @@ function App() {
               const hasReportChanges =
                 reportBuffer.trim() !== reportBaseline.trim();
               const reportStatus = reportValidationStatus[entry.reportId];
+              const enrichmentStatus = entry.enrichment?.status;
+              const enrichmentLabel = ENRICHMENT_STATUS_LABELS[enrichmentStatus];
+              const caseRetryStatus = retryStatus[entry.caseId];
 
               return (
                 <article
@@ -919,7 +2952,13 @@ function App() {
                         <div className="investment-report-section">
                           {!isReportEditing ? (
                             <>
-                              <InvestmentReportView report={reportData} />
+                              <AgentRunMeta agentRun={entry.agentRun} />
+                              <InvestmentReportView
+                                report={reportData}
+                                citations={entry.citations}
+                                investorFit={entry.investorFit}
+                              />
+                              <ProgrammeEligibilityPanel companyId={entry.companyId} />
                               <div className="history-entry__actions">
                                 <button
                                   type="button"
@@ -979,6 +3018,50 @@ function App() {
                         </div>
                       ) : (
                         <div className="history-metrics">
+                          <AgentRunMeta agentRun={entry.agentRun} />
+                          {enrichmentLabel && (
+                            <div className={`enrichment-banner ${enrichmentStatus}`}>
+                              <p>
+                                <strong>{enrichmentLabel}</strong>
+                                {entry.enrichment.errorClass && (
+                                  <> ({entry.enrichment.errorClass})</>
+                                )}
+                                {entry.enrichment.errorMessage && (
+                                  <>: {entry.enrichment.errorMessage}</>
+                                )}
+                              </p>
+                              <div className="button-row">
+                                <button
+                                  type="button"
+                                  className="secondary-button"
+                                  onClick={() => handleRetryEnrichment(entry)}
+                                  disabled={caseRetryStatus?.status === "loading"}
+                                >
+                                  {caseRetryStatus?.status === "loading"
+                                    ? "Retrying…"
+                                    : "Retry enrichment"}
+                                </button>
+                                {caseRetryStatus?.status === "loading" && (
+                                  <span className="button-spinner" aria-hidden />
+                                )}
+                              </div>
+                            </div>
+                          )}
+                          {caseRetryStatus?.message && (
+                            <span
+                              className={`validation-message ${caseRetryStatus.status || "idle"}`}
+                            >
+                              {caseRetryStatus.message}
+                            </span>
+                          )}
+                          <InputGuardNotice inputGuard={entry.inputGuard} />
+                          <DataFlagsNotice dataFlags={entry.dataFlags} />
+                          <RegistryNotice registry={entry.registry} />
+                          <VerificationReview
+                            entry={entry}
+                            resolveStatus={verificationResolveStatus}
+                            onResolve={handleResolveVerification}
+                          />
                           {METRIC_SECTIONS.map((section) => (
                             <div key={section.title} className="metric-section">
                               <p className="metric-section__title">
@@ -998,11 +3081,29 @@ function App() {
                                     const popoverKey = `${entry.companyId}-${field}`;
                                     const popoverOpen =
                                       openChangePopoverKey === popoverKey;
+                                    const confidence =
+                                      entry.fieldConfidence?.[field];
+                                    const isDisputed = openDisagreements(
+                                      entry.verification
+                                    ).includes(field);
 
                                     return (
-                                      <div key={field} className="metric-pair">
+                                      <div
+                                        key={field}
+                                        className={`metric-pair${
+                                          confidence
+                                            ? ` confidence-${confidence.level}`
+                                            : ""
+                                        }${isDisputed ? " disputed" : ""}`}
+                                      >
                                         <span className="metric-label">
                                           {METRIC_LABELS[field]}
+                                          <ConfidenceBadge confidence={confidence} />
+                                          {isDisputed && (
+                                            <span className="confidence-badge disputed">
+                                              Disputed
+                                            </span>
+                                          )}
                                         </span>
                                         {field === "website_url" &&
                                         metrics[field] &&
@@ -1020,6 +3121,32 @@ function App() {
                                             {formatMetricValue(metrics[field])}
                                           </span>
                                         )}
+                                        {field === "business_id" && metrics.vat_number && (
+                                          <span className="metric-hint">
+                                            VAT {metrics.vat_number}
+                                          </span>
+                                        )}
+                                        {field === "city" && metrics.region && (
+                                          <span className="metric-hint">
+                                            {metrics.region}
+                                            {metrics.ely_centre &&
+                                              ` · ${metrics.ely_centre}`}
+                                          </span>
+                                        )}
+                                        {field === "industry_text" &&
+                                          metrics.industry_section && (
+                                            <span className="metric-hint">
+                                              Section {metrics.industry_section}
+                                              {metrics.industry_text_fi &&
+                                                ` · ${metrics.industry_text_fi}`}
+                                            </span>
+                                          )}
+                                        <SourceLinks
+                                          citations={citationsForField(
+                                            entry.citations,
+                                            field
+                                          )}
+                                        />
                                         {DENSE_FIELDS.has(field) && metrics[field] && (
                                           <div className="double-divider" />
                                         )}
@@ -1098,8 +3225,13 @@ function App() {
                                       ? ""
                                       : value;
                                   const isDense = DENSE_FIELDS.has(field);
+                                  // The backend derives the text from a set code.
+                                  const isDerived =
+                                    field === "industry_text" &&
+                                    String(buffer.industry_code ?? "").trim() !== "";
                                   const inputProps = {
                                     value: inputValue,
+                                    disabled: isDerived,
                                     onChange: (event) =>
                                       handleFieldChange(
                                         entry.companyId,
@@ -1126,9 +3258,29 @@ function App() {
                                               ? "number"
                                               : "text"
                                           }
+                                          list={
+                                            RANGE_BUCKETS[field]
+                                              ? `${field}-buckets`
+                                              : undefined
+                                          }
                                           {...inputProps}
                                         />
                                       )}
+                                      {RANGE_BUCKETS[field] && (
+                                        <datalist id={`${field}-buckets`}>
+                                          {RANGE_BUCKETS[field].map((bucket) => (
+                                            <option key={bucket} value={bucket} />
+                                          ))}
+                                        </datalist>
+                                      )}
+                                      {field === "business_id" && (
+                                        <BusinessIdFeedback value={inputValue} />
+                                      )}
+                                      {isDerived && (
+                                        <span className="metric-hint">
+                                          Derived from the industry code
+                                        </span>
+                                      )}
                                       {DENSE_FIELDS.has(field) && metrics[field] && (
                                         <div className="double-divider" />
                                       )}
@@ -1136,8 +3288,23 @@ function App() {
                                   );
                                 })}
                               </div>
+                              {!isEditing && section.title === "Scale Indicators" && (
+                                <SizeClassNotice metrics={metrics} />
+                              )}
                             </div>
                           ))}
+                          {!isEditing && (
+                            <FundingProgramList programs={entry.fundingPrograms} />
+                          )}
+                          {!isEditing && (
+                            <SourceLinks
+                              citations={(entry.citations || []).filter(
+                                (citation) =>
+                                  !EDITABLE_FIELDS.includes(citation.field)
+                              )}
+                              label="Other sources"
+                            />
+                          )}
                           <div className="history-entry__actions">
                             {!isEditing ? (
                               <button
@@ -1164,7 +3331,9 @@ function App() {
                                   }
                                   disabled={
                                     validationStatus[entry.companyId]?.status ===
-                                      "loading" || !hasPendingChanges
+                                      "loading" ||
+                                    !hasPendingChanges ||
+                                    !checkBusinessId(buffer.business_id).valid
                                   }
                                 >
                                   {validationStatus[entry.companyId]?.status ===
@@ -1182,6 +3351,7 @@ function App() {
                               </>
                             )}
                           </div>
+                          <AgentTracePanel caseId={entry.caseId} />
                         </div>
                       )}
                     </>
@@ -1243,6 +3413,7 @@ function App() {
           MVP demo &ndash; LLM-backed enrichment calls are active (see browser
           console for details).
         </span>
+        <AdminTokenField />
       </footer>
     </div>
   );